@@ -0,0 +1,168 @@
+/**
+ * @file Continue Watching
+ *
+ * @description Keeps playback positions of catalog videos in localStorage and shows them in
+ * the "Continue watching" row above the video list, most recently watched first.
+ * Positions close to the start or the end of the video aren't kept, such video is played from the start.
+ * Positions are described as {videoId, position, totalTime, updated}.
+ *
+ * @example
+ * var continueWatching = ContinueWatching({
+ *     row: document.getElementById('continue-watching'),
+ *     list: document.getElementById('continue-list'),
+ *     getVideo: function (videoId) {
+ *         return document.getElementById('video-' + videoId);
+ *     }
+ * });
+ * continueWatching.save("3", 65000, 596000);
+ * continueWatching.get("3").position; //65000
+ */
+
+function ContinueWatching(config) {
+    'use strict';
+
+    var STORAGE_KEY = 'tvApp.resumePositions';
+
+    /**
+     * Positions before it are forgotten, in miliseconds
+     * @type {Number}
+     */
+    var MIN_POSITION = 10000;
+
+    /**
+     * Part of the video after which it is considered watched
+     * @type {Number}
+     */
+    var WATCHED = 0.95;
+
+    var MAX_ENTRIES = 10;
+
+    /**
+     * Reads stored positions by video id.
+     * @returns {Object}
+     */
+    function load() {
+        var positions;
+
+        try {
+            positions = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            positions = null;
+        }
+        return positions && typeof positions === 'object' ? positions : {};
+    }
+
+    function store(positions) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(positions));
+        } catch (e) {
+            console.error('unable to store resume positions: ' + e.message);
+        }
+    }
+
+    /**
+     * Returns stored positions, most recently watched first.
+     * @returns {Array} {videoId, position, totalTime, updated}
+     */
+    function list() {
+        var positions = load();
+
+        return Object.keys(positions).map(function (videoId) {
+            var entry = positions[videoId];
+
+            return {videoId: videoId, position: entry.position, totalTime: entry.totalTime, updated: entry.updated};
+        }).sort(function (a, b) {
+            return b.updated - a.updated;
+        });
+    }
+
+    /**
+     * Renders the row, it is hidden when there is nothing to continue.
+     */
+    function render() {
+        var html = [];
+
+        list().forEach(function (entry) {
+            var videoEl = config.getVideo(entry.videoId);
+            var artwork, progress;
+
+            if (!videoEl) {
+                //video isn't in the catalog anymore
+                return;
+            }
+            artwork = videoEl.querySelector('img');
+            progress = Math.min(100, Math.round(entry.position / entry.totalTime * 100));
+            html.push('<li class="navigable" data-videoId="' + entry.videoId
+                + '" id="continue-' + entry.videoId + '">'
+                + '<div class="li-content">'
+                + '<div class="img-wrapper"><img src="' + (artwork ? artwork.getAttribute('src') : '') + '"></div>'
+                + '<div class="descr"><p>' + videoEl.dataset.videotitle + '</p></div>'
+                + '<div class="progress"><div class="resume-bar" style="width: ' + progress + '%"></div></div>'
+                + '</div>'
+                + '</li>');
+        });
+
+        config.list.innerHTML = html.join('');
+        config.row.style.display = html.length ? 'block' : 'none';
+
+        if (typeof config.callback === 'function') {
+            config.callback();
+        }
+    }
+
+    return {
+        list: list,
+        render: render,
+        /**
+         * Stores playback position of the video, positions close to the start or the end remove stored one.
+         * @param {String} videoId - catalog video id
+         * @param {Number} position - playback position in miliseconds
+         * @param {Number} totalTime - video duration in miliseconds
+         * @returns {Boolean} true if position is kept
+         */
+        save: function (videoId, position, totalTime) {
+            var positions;
+
+            if (!(totalTime > 0)) {
+                return false;
+            }
+            if (position < MIN_POSITION || position >= totalTime * WATCHED) {
+                this.remove(videoId);
+                return false;
+            }
+            positions = load();
+            positions[videoId] = {position: position, totalTime: totalTime, updated: Date.now()};
+            list().slice(MAX_ENTRIES - 1).forEach(function (entry) {
+                if (entry.videoId !== String(videoId)) {
+                    delete positions[entry.videoId];
+                }
+            });
+            store(positions);
+            render();
+            return true;
+        },
+        /**
+         * Returns stored position of the video.
+         * @param {String} videoId - catalog video id
+         * @returns {Object|null} {videoId, position, totalTime, updated}
+         */
+        get: function (videoId) {
+            return list().filter(function (entry) {
+                return entry.videoId === String(videoId);
+            })[0] || null;
+        },
+        /**
+         * Forgets position of the video, e.g. when it has been watched to the end.
+         * @param {String} videoId - catalog video id
+         */
+        remove: function (videoId) {
+            var positions = load();
+
+            if (positions.hasOwnProperty(videoId)) {
+                delete positions[videoId];
+                store(positions);
+                render();
+            }
+        }
+    };
+}
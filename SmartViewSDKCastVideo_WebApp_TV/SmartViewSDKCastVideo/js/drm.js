@@ -0,0 +1,175 @@
+/**
+ * @file DRM
+ *
+ * @description Configures avplay for protected streams before they are prepared.
+ * PlayReady licenses are acquired by the player from the configured license server,
+ * Widevine challenges are posted to the license server by the application and the response
+ * is passed back to the player.
+ * DRM is described as {type: "playready" or "widevine", licenseServer, headers, customData},
+ * customData is sent in PlayReady challenges.
+ *
+ * @example
+ * var drm = Drm();
+ * drm.configure({type: "playready", licenseServer: "https://license.example.com/rightsmanager.asmx"});
+ * webapis.avplay.prepareAsync(onPrepared, function (e) {
+ *     FastCast.error(drm.getError(e.name));
+ * });
+ */
+
+function Drm() {
+    'use strict';
+
+    var DRM_TYPES = {
+        playready: 'PLAYREADY',
+        widevine: 'WIDEVINE_CDM'
+    };
+
+    /**
+     * FastCast error names of avplay DRM errors
+     * @type {Object}
+     */
+    var PLAYER_ERRORS = {
+        PLAYER_ERROR_DRM_NO_LICENSE: 'DRM_NO_LICENSE',
+        PLAYER_ERROR_DRM_EXPIRED: 'DRM_EXPIRED',
+        PLAYER_ERROR_DRM_NOT_PERMITTED: 'DRM_NOT_PERMITTED'
+    };
+
+    /**
+     * DRM of the stream being played, null for clear streams
+     * @type {Object}
+     */
+    var current = null;
+
+    function decode(base64) {
+        var binary = atob(base64);
+        var bytes = new Uint8Array(binary.length);
+        var i;
+
+        for (i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    function encode(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var binary = '';
+        var i;
+
+        for (i = 0; i < bytes.length; i += 1) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Posts Widevine challenge to the license server and passes the license to the player.
+     * @param {Object} drmData - ondrmevent data with base64 encoded challenge
+     * @param {Function} callback - called with false if license can't be acquired
+     */
+    function requestLicense(drmData, callback) {
+        var drm = current;
+        var xhr = new XMLHttpRequest();
+        var headers = drm.headers || {};
+
+        xhr.open('POST', drm.licenseServer);
+        xhr.responseType = 'arraybuffer';
+        Object.keys(headers).forEach(function (name) {
+            xhr.setRequestHeader(name, headers[name]);
+        });
+        xhr.onload = function () {
+            if (current !== drm) {
+                //playback has changed meanwhile
+                return;
+            }
+            if (xhr.status !== 200) {
+                console.error('license server responded with ' + xhr.status);
+                callback(false);
+                return;
+            }
+            try {
+                webapis.avplay.setDrm('WIDEVINE_CDM', 'widevine_license_data', JSON.stringify({
+                    ResponseMessage: encode(xhr.response),
+                    session_id: drmData.session_id
+                }));
+                callback(true);
+            } catch (e) {
+                console.error('avplay exception at setDrm', e.message);
+                callback(false);
+            }
+        };
+        xhr.onerror = function () {
+            if (current === drm) {
+                console.error('license server is unreachable: ' + drm.licenseServer);
+                callback(false);
+            }
+        };
+        xhr.send(decode(drmData.challenge));
+    }
+
+    return {
+        /**
+         * Configures DRM of the opened stream, has to be called before it is prepared.
+         * @param {Object|null} drm - DRM description, null for clear streams
+         * @returns {Boolean} false if DRM type isn't supported or the player has rejected the configuration
+         */
+        configure: function (drm) {
+            var properties;
+
+            current = null;
+            if (!drm) {
+                return true;
+            }
+            if (!DRM_TYPES.hasOwnProperty(drm.type) || typeof drm.licenseServer !== 'string') {
+                return false;
+            }
+            try {
+                if (drm.type === 'playready') {
+                    properties = {LicenseServer: drm.licenseServer, DeleteLicenseAfterUse: true};
+                    if (drm.customData) {
+                        properties.CustomData = drm.customData;
+                    }
+                    if (drm.headers) {
+                        properties.HttpHeader = Object.keys(drm.headers).map(function (name) {
+                            return name + ': ' + drm.headers[name];
+                        }).join('\r\n');
+                    }
+                    webapis.avplay.setDrm('PLAYREADY', 'SetProperties', JSON.stringify(properties));
+                } else {
+                    webapis.avplay.setDrm('WIDEVINE_CDM', 'Initialize', '');
+                }
+            } catch (e) {
+                console.error('avplay exception at setDrm', e.message);
+                return false;
+            }
+            current = drm;
+            return true;
+        },
+        /**
+         * Handles avplay's ondrmevent, Widevine challenges are answered with license from the license server.
+         * @param {String} drmEvent - DRM type
+         * @param {Object} drmData - event data
+         * @param {Function} callback - called with false if license can't be acquired
+         */
+        onDrmEvent: function (drmEvent, drmData, callback) {
+            if (current === null || current.type !== 'widevine' || !drmData || drmData.name !== 'Challenge') {
+                return;
+            }
+            requestLicense(drmData, callback);
+        },
+        /**
+         * Returns FastCast error of avplay error.
+         * @param {String} name - avplay error name or onerror event type
+         * @returns {Number|null} FastCast.error constant, null if the error isn't caused by DRM
+         */
+        getError: function (name) {
+            return PLAYER_ERRORS.hasOwnProperty(name) ? FastCast.error[PLAYER_ERRORS[name]] : null;
+        },
+        /**
+         * Forgets DRM of the stopped stream, license responses arriving later are ignored.
+         */
+        reset: function () {
+            current = null;
+        }
+    };
+}
@@ -4,17 +4,47 @@
  * @date 2016-03-03
  * @copyright Copyright (c) 2015 Samsung Electronics, Visual Display Division. All Rights Reserved.
  * @description The FastCast module defines an api over Samsung MultiScreen 2.0 protocol.
+ * Channel is opened with a transport from FastCastTransport module, MultiScreen one by default.
  * @version 1.5.2
  */
 
 /**
  * @module FastCast
  */
-var FastCast = (function(){
+var FastCast = (function (createFastCast) {
+    var defaultInstance = createFastCast(true);
+
+    /**
+     * Creates independent FastCast instance, e.g. for a control or chat channel next to the media one.
+     * Instance has its own channel, clients, permissions, logs and handlers.
+     * FastCast global itself is the default instance.
+     * @func create
+     * @memberof module:FastCast
+     * @access public
+     * @returns {Object} FastCast instance
+     * @example
+     * var chat = FastCast.create();
+     * chat.init("com.samsung.MultiScreenChat", document.getElementById("chat"), function () {
+     *     chat.on("message", showMessage);
+     *     chat.connect({name: "TV"});
+     * });
+     */
+    defaultInstance.create = function () {
+        return createFastCast(false);
+    };
+    return defaultInstance;
+}(function (isDefault) {
 
     var channel = null,
+        transport = null,
         ownName = "TV",
         eventBus = null,
+        // application's player state, kept from player:statechange events on the event bus
+        playerState = null,
+        // PLAYING or PAUSED, the state buffering and seeking return to
+        playerPlayback = "PLAYING",
+        // player states in which a stream can be controlled, e.g. scrubbed
+        ACTIVE_PLAYER_STATES = ["PLAYING", "PAUSED", "BUFFERING", "SEEKING"],
         tvKeys = {
             "ArrowDown": 40,
             "ArrowUp": 38,
@@ -25,16 +55,228 @@ var FastCast = (function(){
         videoId = -1,
         clientCallbacks = {},
         maxClients = 2,
-        forbiddenClients = [],
         allowingAllClients = false,
+        // per-role message permissions, "*" applies to messages not listed explicitly
+        rolePermissions = {
+            "owner": {"*": true},
+            "controller": {"*": true, "reclaim": false, "volume": false},
+            "viewer": {"*": false, "capabilities": true, "pair": true, "statusRequest": true, "preferences": true,
+                "thumbnail": true},
+            "revoked": {"*": false}
+        },
+        ROLE_ORDER = ["revoked", "viewer", "controller", "owner"],
+        clientRoles = {},
+        // connected clients ids, in order of connection
+        clientOrder = [],
+        // viewers which will become controllers as soon as there is room for them
+        waitingClients = [],
+        pairingEnabled = false,
+        PIN_LENGTH = 4,
+        MAX_PIN_ATTEMPTS = 3,
+        // new PINs shown after wrong attempts before the client is locked out for PIN_LOCKOUT_TIME
+        MAX_PIN_RENEWALS = 2,
+        PIN_LOCKOUT_TIME = 60000,
+        // renewed PINs and lockouts of devices (of clients without deviceId), kept across reconnections
+        pinLockouts = {},
+        PAIRED_DEVICES_KEY = "FastCast.pairedDevices",
+        // instances other than default one keep paired devices per channel
+        pairedDevicesKey = PAIRED_DEVICES_KEY,
+        pairedDevices = [],
+        // language preferences of devices, kept in the local storage
+        PREFERENCES_KEY = "FastCast.preferences",
+        preferencesKey = PREFERENCES_KEY,
+        devicePreferences = {},
+        // language preferences of clients without deviceId, kept for the connection only
+        clientPreferences = {},
+        // clients which have to enter PIN shown on TV before sending commands
+        unpairedClients = {},
+        SESSION_GRACE_TIME = 30000,
+        // session tokens of connected and recently disconnected clients
+        sessions = {},
+        clientSessions = {},
+        // status publishing
+        statusInterval = 500,
+        keyframeInterval = 10000,
+        statusTimer = null,
+        pendingStatus = null,
+        lastStatus = null,
+        lastStatusTime = 0,
+        lastKeyframeTime = 0,
+        statusSeq = 0,
         nativeVolumeHandled = true,
         eventCallbacks = {
             "keydown": onKeydown,
             "seek": onSeek,
             "volume": onVolume,
             "play": onPlay,
-            "reclaim": onReclaim
+            "reclaim": onReclaim,
+            "capabilities": onCapabilities,
+            "pair": onPair,
+            "statusRequest": onStatusRequest,
+            "pause": onTransportCommand("pause"),
+            "resume": onTransportCommand("resume"),
+            "stop": onTransportCommand("stop"),
+            "next": onTransportCommand("next"),
+            "previous": onTransportCommand("previous"),
+            "scrubStart": onScrubStart,
+            "scrub": onScrub,
+            "scrubEnd": onScrubEnd,
+            "load": onLoad,
+            "queueAdd": onQueueCommand("queueAdd"),
+            "queueInsertNext": onQueueCommand("queueInsertNext"),
+            "queueRemove": onQueueCommand("queueRemove"),
+            "queueReorder": onQueueCommand("queueReorder"),
+            "queueClear": onQueueCommand("queueClear"),
+            "queueMode": onQueueCommand("queueMode"),
+            "textTrack": onTextTrack,
+            "selectTrack": onSelectTrack,
+            "preferences": onPreferences,
+            "setQuality": onSetQuality,
+            "thumbnail": onThumbnail,
+            "setPlaybackRate": onSetPlaybackRate
+        },
+        PROTOCOL_VERSION = 2,
+        LEGACY_VERSION = 1,
+        // player states added in protocol version 2, legacy clients receive avplay states instead,
+        // buffering and seeking are reported as the playing or paused state they return to
+        LEGACY_STATES = {LOADING: "READY", ENDED: "IDLE", ERROR: "IDLE"},
+        SETTLING_STATES = ["BUFFERING", "SEEKING"],
+        // protocol version in which particular message has been introduced
+        messageVersions = {
+            "keydown": 1,
+            "seek": 1,
+            "volume": 1,
+            "play": 1,
+            "reclaim": 1,
+            "capabilities": 2,
+            "pair": 2,
+            "statusRequest": 2,
+            "pause": 2,
+            "resume": 2,
+            "stop": 2,
+            "next": 2,
+            "previous": 2,
+            "scrubStart": 2,
+            "scrub": 2,
+            "scrubEnd": 2,
+            "load": 2,
+            "queueAdd": 2,
+            "queueInsertNext": 2,
+            "queueRemove": 2,
+            "queueReorder": 2,
+            "queueClear": 2,
+            "queueMode": 2,
+            "textTrack": 2,
+            "selectTrack": 2,
+            "preferences": 2,
+            "setQuality": 2,
+            "thumbnail": 2,
+            "setPlaybackRate": 2
+        },
+        // declarative description of message payloads, checked before eventCallbacks run
+        messageSchemas = {
+            "keydown": {
+                keycode: {type: ["string", "integer"], required: true}
+            },
+            "seek": {
+                position: {type: "number", min: 0},
+                offset: {type: "number"}
+            },
+            "volume": {
+                value: {type: "integer", min: -100, max: 100, required: true}
+            },
+            "play": {
+                videoId: {type: ["integer", "string"], required: true},
+                position: {type: "number", min: 0}
+            },
+            "reclaim": {},
+            "capabilities": {
+                version: {type: "integer", min: 1, required: true},
+                messages: {type: "array"},
+                features: {type: "object"}
+            },
+            "pair": {
+                pin: {type: "string", maxLength: 8, required: true}
+            },
+            "statusRequest": {},
+            "pause": {},
+            "resume": {},
+            "stop": {},
+            "next": {},
+            "previous": {},
+            "scrubStart": {},
+            "scrub": {
+                position: {type: "number", min: 0, required: true}
+            },
+            "scrubEnd": {
+                position: {type: "number", min: 0},
+                cancel: {type: "boolean"}
+            },
+            "load": {
+                url: {type: "string", required: true, maxLength: 2048},
+                mimeType: {type: "string", maxLength: 255},
+                title: {type: "string", maxLength: 255},
+                artwork: {type: "string", maxLength: 2048},
+                position: {type: "number", min: 0},
+                customData: {type: "object"},
+                subtitles: {type: "array", maxLength: 20}
+            },
+            "queueAdd": {
+                items: {type: "array", required: true, maxLength: 100},
+                play: {type: "boolean"}
+            },
+            "queueInsertNext": {
+                items: {type: "array", required: true, maxLength: 100}
+            },
+            "queueRemove": {
+                itemIds: {type: "array", required: true}
+            },
+            "queueReorder": {
+                itemId: {type: "integer", required: true},
+                index: {type: "integer", min: 0, required: true}
+            },
+            "queueClear": {},
+            "queueMode": {
+                repeat: {type: "string", enum: ["off", "one", "all"]},
+                shuffle: {type: "boolean"}
+            },
+            "textTrack": {
+                trackId: {type: "string", maxLength: 64}
+            },
+            "selectTrack": {
+                type: {type: "string", enum: ["audio", "video"], required: true},
+                index: {type: "integer", min: 0, required: true}
+            },
+            "preferences": {
+                audioLanguage: {type: "string", maxLength: 16},
+                textLanguage: {type: "string", maxLength: 16}
+            },
+            "setQuality": {
+                bitrate: {type: "integer", min: 1}
+            },
+            "thumbnail": {
+                position: {type: "integer", min: 0, required: true}
+            },
+            "setPlaybackRate": {
+                rate: {type: "number", min: 0.5, max: 2, required: true}
+            }
+        },
+        // fields allowed in every message
+        commonSchema = {
+            requestId: {type: ["string", "number"]}
         },
+        customEvents = [],
+        playerFeatures = {},
+        clientInfo = {},
+        pendingRequests = {},
+        // messages acknowledged asynchronously with FastCast.ack/FastCast.nack
+        deferredEvents = ["play", "seek", "pause", "resume", "stop", "next", "previous", "scrubEnd", "load", "textTrack", "selectTrack",
+            "setQuality", "thumbnail", "setPlaybackRate"],
+        // client which is dragging the playback position, only one at a time
+        scrubbingClient = null,
+        // recent queue state, sent to clients which join later
+        lastQueue = null,
+        ackTimeout = 15000,
         errors = [
             {
                 message: "Not connected",
@@ -45,6 +287,39 @@ var FastCast = (function(){
             }, {
                 message: "No such stream",
                 code: 404
+            }, {
+                message: "Not allowed in current player state",
+                code: 409
+            }, {
+                message: "No such queue item",
+                code: 404
+            }, {
+                message: "No such track",
+                code: 404
+            }, {
+                message: "DRM type not supported",
+                code: 6001
+            }, {
+                message: "License request failed",
+                code: 6002
+            }, {
+                message: "No DRM license",
+                code: 6003
+            }, {
+                message: "DRM license expired",
+                code: 6004
+            }, {
+                message: "Playback not permitted by DRM license",
+                code: 6005
+            }, {
+                message: "No thumbnails",
+                code: 404
+            }, {
+                message: "Playback rate not supported by the stream",
+                code: 415
+            }, {
+                message: "Playback stopped or replaced before it started",
+                code: 410
             }, {
                 message: "General error",
                 code: 9999
@@ -190,6 +465,9 @@ var FastCast = (function(){
         
                 init: function (channel_name, isDark) {
                     CHANNEL_NAME = channel_name;
+                    if (!isDefault) {
+                        id = 'multiScreenLogs-' + channel_name.replace(/[^\w-]/g, '-');
+                    }
                     chooseTheme(isDark);
                     $div = document.createElement("div");
                     $div.id = id;
@@ -217,7 +495,11 @@ var FastCast = (function(){
 
     /**
      * Broadcasts an error message to other clients connected to the channel.
-     * Predefined error types are: FastCast.error.NOT_CONNECTED, FastCast.error.NO_SUCH_STREAM, FastCast.error.SEEK_FAILED.
+     * Predefined error types are: FastCast.error.NOT_CONNECTED, FastCast.error.NO_SUCH_STREAM, FastCast.error.SEEK_FAILED,
+     * FastCast.error.INVALID_STATE, FastCast.error.NO_SUCH_ITEM, FastCast.error.NO_SUCH_TRACK,
+     * FastCast.error.DRM_NOT_SUPPORTED, FastCast.error.DRM_LICENSE_FAILED, FastCast.error.DRM_NO_LICENSE,
+     * FastCast.error.DRM_EXPIRED, FastCast.error.DRM_NOT_PERMITTED, FastCast.error.NO_THUMBNAILS,
+     * FastCast.error.RATE_NOT_SUPPORTED, FastCast.error.LOAD_CANCELLED.
      * @func error
      * @memberof module:FastCast
      * @private
@@ -225,6 +507,18 @@ var FastCast = (function(){
      * @returns {undefined}
      */
     function error(type) {
+            send("error", errorPayload(type));
+    }
+
+    /**
+     * Builds error message payload.
+     * @func errorPayload
+     * @memberof module:FastCast
+     * @private
+     * @param {string|number|object} type - custom message string or predefined error type or error object
+     * @returns {Object}
+     */
+    function errorPayload(type) {
             var payload;
             if (typeof type === "string") {
                 payload = {message:type,code:9998};
@@ -233,15 +527,28 @@ var FastCast = (function(){
                     type = errors.length - 1;
                 }
                 payload = {message: errors[type].message, code: errors[type].code};
+            } else if (type instanceof Error) {
+                payload = {message: type.message, code: 9999};
             } else {
                 payload = type;
             }
-            send("error", payload);
+            return payload;
     }
     
     error.NOT_CONNECTED = 0;
     error.SEEK_FAILED = 1;
     error.NO_SUCH_STREAM = 2;
+    error.INVALID_STATE = 3;
+    error.NO_SUCH_ITEM = 4;
+    error.NO_SUCH_TRACK = 5;
+    error.DRM_NOT_SUPPORTED = 6;
+    error.DRM_LICENSE_FAILED = 7;
+    error.DRM_NO_LICENSE = 8;
+    error.DRM_EXPIRED = 9;
+    error.DRM_NOT_PERMITTED = 10;
+    error.NO_THUMBNAILS = 11;
+    error.RATE_NOT_SUPPORTED = 12;
+    error.LOAD_CANCELLED = 13;
 
     tizen.tvinputdevice.getSupportedKeys().forEach(function(el){
         tvKeys[el.name] = el.code;
@@ -278,334 +585,1909 @@ var FastCast = (function(){
     }
 
     /**
-     * Verifies if particular client is allowed to connect to the channel.
-     * It is impossible to establish connection if maximum clients number is reached.
-     * @func isClientAllowed
+     * Verifies if particular client is permitted to send the message, according to its role.
+     * @func isPermitted
      * @memberof module:FastCast
      * @private
      * @param {Object} client - client data
      * @param {number} client.id - client id
+     * @param {string} event - message name
      * @returns {boolean}
      */
-    function isClientAllowed(client) {
-        if (forbiddenClients.indexOf(client.id) < 0) {
-            return true;
+    function isPermitted(client, event) {
+        var permissions = rolePermissions[getRole(client.id)];
+
+        if (!permissions) {
+            return false;
         }
-        return false;
+        if (permissions.hasOwnProperty(event)) {
+            return permissions[event] === true;
+        }
+        return permissions["*"] === true;
     }
 
     /**
-     * Checks if there are any client devices connected. Doesn't give
-     * any information about number of connected clients though.
-     * @func isClientConnected
+     * Returns role of the client.
+     * @func getRole
      * @memberof module:FastCast
      * @private
-     * @returns {boolean}
+     * @param {string} clientId - client id
+     * @returns {string|null} owner, controller, viewer, revoked or null if client is unknown
      */
-    function isClientConnected() {
-        return channel && channel.clients && channel.clients.length > 1;
+    function getRole(clientId) {
+        return clientRoles[clientId] || null;
     }
 
     /**
-     * Channel connect handler.
-     * Broadcasts clientConnect event message to every client except TV app.
-     * @func onChannelConnect
+     * Returns id of the client owning the TV.
+     * @func getOwner
      * @memberof module:FastCast
      * @private
-     * @param {Object} [err] - error object
-     * @returns {undefined}
+     * @returns {string|null}
      */
-    function onChannelConnect (err) {
-        var clients, client;
-        if (err) {
-            console.error("Error initializing FastCast!");
-            return;
-        }
-        clients = channel.clients.slice();
-        while (clients.length > 0) {
-            client = clients.shift();
-            if (client.isHost) {
-                continue;
+    function getOwner() {
+        var i;
+        for (i = 0; i < clientOrder.length; i += 1) {
+            if (clientRoles[clientOrder[i]] === "owner") {
+                return clientOrder[i];
             }
-            channel.emit("clientConnect", client);
         }
+        return null;
     }
 
     /**
-     * Client disconnect from channel handler.
-     * @func onClientDisconnect
+     * Returns number of clients allowed to control the TV (owner and controllers).
+     * @func countControllingClients
      * @memberof module:FastCast
      * @private
-     * @param {Object} client - client data
-     * @returns {undefined}
+     * @returns {number}
      */
-    function onClientDisconnect (client) {
-        FCLog.log('Client disconnected: ' + client.id);
-        if (channel.clients.length <= maxClients) {
-            //console.debug('clearing forbiddenClients!', channel.clients.length, maxClients);
-            forbiddenClients = [];
+    function countControllingClients() {
+        return clientOrder.filter(function (clientId) {
+            return clientRoles[clientId] === "owner" || clientRoles[clientId] === "controller";
+        }).length;
+    }
+
+    /**
+     * Checks if another controlling client fits into the maximum clients limit.
+     * Limit includes TV application itself.
+     * @func hasRoomForController
+     * @memberof module:FastCast
+     * @private
+     * @returns {boolean}
+     */
+    function hasRoomForController() {
+        return allowingAllClients || countControllingClients() < maxClients - 1;
+    }
+
+    /**
+     * Sets role of the client and notifies it with role message.
+     * There is only one owner - the previous one becomes a controller.
+     * @func setRole
+     * @memberof module:FastCast
+     * @private
+     * @param {string} clientId - client id
+     * @param {string} role - owner, controller, viewer or revoked
+     * @returns {boolean} false if client or role is unknown
+     */
+    function setRole(clientId, role) {
+        var owner,
+            previous = getRole(clientId);
+
+        if (clientOrder.indexOf(clientId) < 0 || !rolePermissions[role]) {
+            return false;
         }
-        if (typeof clientCallbacks["disconnect"] === "function") {
-            clientCallbacks["disconnect"](client);
+        if (previous === role) {
+            return true;
+        }
+        if (role === "owner") {
+            owner = getOwner();
+            if (owner !== null) {
+                clientRoles[owner] = "controller";
+                notifyRole(owner, "owner");
+            }
+        }
+        clientRoles[clientId] = role;
+        if (waitingClients.indexOf(clientId) > -1 && role !== "viewer") {
+            waitingClients.splice(waitingClients.indexOf(clientId), 1);
         }
+        notifyRole(clientId, previous);
+        return true;
     }
 
     /**
-     * Client connect to channel handler.
-     * Raises an error if client number limit is exceeded.
-     * Otherwise executes client's connect handler.
-     * @func onClientConnect
+     * Sends role message to the client and executes application's role change handler.
+     * @func notifyRole
      * @memberof module:FastCast
      * @private
-     * @param {Object} client - client data
-     * @param {number} client.id - client id
+     * @param {string} clientId - client id
+     * @param {string|null} previous - previous role of the client
      * @returns {undefined}
      */
-    function onClientConnect (client) {
-        var i;
+    function notifyRole(clientId, previous) {
+        var role = getRole(clientId);
 
-        send("ready", client.id);
-        FCLog.log('New client connected: ' + client.id);
+        send("role", {role: role}, clientId);
+        FCLog.log('Client ' + clientId + ' role: ' + previous + ' -> ' + role);
+        if (typeof clientCallbacks["role"] === "function") {
+            clientCallbacks["role"](clientId, role, previous);
+        }
+    }
 
-        if (channel.clients.length > maxClients) {
-            // deny access
-            raiseError(403, client.id);
-            // mark this client as unwanted
-            forbiddenClients.push(client.id);
-        } else {
-            // if this client was denied access before, now it can
-            // be granted one, because the limit is not reached at the moment
-            i = forbiddenClients.indexOf(client.id);
-            if (i > -1) {
-                forbiddenClients.splice(i, 1);
-            }
+    /**
+     * Raises client's role by one level: viewer becomes a controller, controller becomes the owner.
+     * @func promote
+     * @memberof module:FastCast
+     * @private
+     * @param {string} clientId - client id
+     * @returns {boolean} false if client can't be promoted
+     */
+    function promote(clientId) {
+        var level = ROLE_ORDER.indexOf(getRole(clientId));
 
-            // firing application callback for client, if there is one
-            if (typeof clientCallbacks["connect"] === "function") {
-                clientCallbacks["connect"](client);
-            }
+        if (level < 0 || level === ROLE_ORDER.length - 1) {
+            return false;
         }
+        return setRole(clientId, ROLE_ORDER[level + 1]);
     }
 
     /**
-     * TV connect to channel handler.
-     * @func onConnect
+     * Lowers client's role by one level: owner becomes a controller, controller becomes a viewer.
+     * Revoked clients can only be promoted.
+     * @func demote
      * @memberof module:FastCast
      * @private
-     * @returns {undefined}
+     * @param {string} clientId - client id
+     * @returns {boolean} false if client can't be demoted
      */
-    function onConnect () {
-        //console.debug('TV connected', arguments);
+    function demote(clientId) {
+        var level = ROLE_ORDER.indexOf(getRole(clientId));
+
+        if (level < 2 || !setRole(clientId, ROLE_ORDER[level - 1])) {
+            return false;
+        }
+        fillRoles();
+        return true;
     }
 
     /**
-     * TV disconnect from channel  handler.
-     * @func onDisconnect
+     * Revokes all permissions of the client, until it reconnects or is promoted.
+     * @func revoke
      * @memberof module:FastCast
      * @private
-     * @returns {undefined}
+     * @param {string} clientId - client id
+     * @returns {boolean} false if client is unknown
      */
-    function onDisconnect () {
-        // we can't do much, we're already disconnected
-        //console.debug('TV disconnected', arguments);
+    function revoke(clientId) {
+        if (!setRole(clientId, "revoked")) {
+            return false;
+        }
+        fillRoles();
+        return true;
     }
 
     /**
-     * Channel keydown message handler.
-     * Dispatches keydown event.
-     * @func onKeydown
+     * Gives free controller slots to viewers waiting for them.
+     * @func fillRoles
      * @memberof module:FastCast
      * @private
-     * @param {Object} parsed - parsed JSON data
-     * @param {string|number} parsed.keycode - name or code of the key
      * @returns {undefined}
      */
-    function onKeydown(parsed) {
-        if (parsed.keycode) {
-            FCLog.log('keydown event received: ' + parsed.keycode);
-            if (tvKeys[parsed.keycode]) {
-                keycode = tvKeys[parsed.keycode];
-            } else if (typeof parsed.keycode === "number") {
-                keycode = parsed.keycode;
-            }
-            sendKeydownEvent(keycode);
+    function fillRoles() {
+        while (waitingClients.length > 0 && hasRoomForController()) {
+            setRole(waitingClients[0], "controller");
         }
     }
 
     /**
-     * Channel volume message handler.
-     * Dispatches ms2:volume event to be handled in application.
-     * @func onVolume
+     * Gives the ownership to the longest connected controller if there is no owner.
+     * @func handOverOwnership
      * @memberof module:FastCast
      * @private
-     * @param {Object} parsed - parsed JSON data
-     * @param {number} parsed.value - volume level
      * @returns {undefined}
      */
-    function onVolume(parsed) {
-        var volume,
-            isMute;
+    function handOverOwnership() {
+        var i;
 
-        if (!nativeVolumeHandled) {
+        if (getOwner() !== null) {
             return;
         }
-
-        volume =  parseInt(parsed.value, 10);
-
-        if (!isNaN(volume)) {
-            if (volume < 0) {
-                isMute = true;
-            } else {
-                isMute = false;
+        for (i = 0; i < clientOrder.length; i += 1) {
+            if (clientRoles[clientOrder[i]] === "controller") {
+                setRole(clientOrder[i], "owner");
+                return;
             }
-            volume = Math.abs(volume);
-            tizen.tvaudiocontrol.setVolume(volume);
-            tizen.tvaudiocontrol.setMute(isMute);
-            event = new CustomEvent("ms2:volume", {detail:{ volume: volume, isMute: isMute }});
-            document.dispatchEvent(event);
-            FCLog.log('VOLUME event received: volume: ' + volume + ', isMute: ' + isMute);
         }
     }
 
     /**
-     * Channel seek message handler.
-     * Dispatches ms2:seek event to be handled in application.
-     * @func onSeek
+     * Checks if there are any client devices connected. Doesn't give
+     * any information about number of connected clients though.
+     * @func isClientConnected
      * @memberof module:FastCast
      * @private
-     * @param {Object} parsed - parsed JSON data
-     * @param {number} parsed.position - playback starting position in miliseconds
-     * @returns {undefined}
+     * @returns {boolean}
      */
-    function onSeek(parsed) {
-        var event = null;
-        if (parsed.position) {
-            event = new CustomEvent("ms2:seek", {detail:{position:parsed.position}});
-            document.dispatchEvent(event);
-            FCLog.log('SEEK event received: position: ' + parsed.position);
-        }
+    function isClientConnected() {
+        return channel && channel.clients && channel.clients.length > 1;
     }
 
     /**
-     * Channel play message handler.
-     * Dispatches ms2:play event to be handled in application.
-     * @func onPlay
+     * Returns names of all messages understood by TV application,
+     * protocol-defined ones and custom ones registered with FastCast.on.
+     * @func getSupportedMessages
      * @memberof module:FastCast
      * @private
-     * @param {Object} parsed - parsed JSON data
-     * @param {number} parsed.videoId - video id
-     * @param {number} parsed.position - playback starting position in miliseconds
-     * @param {Object} parsed.data - other data to be passed from client
-     * @returns {undefined}
+     * @returns {Array}
      */
-    function onPlay(parsed) {
-        var event = null, detail = null;
-        if (parsed.videoId) {
-            videoId = parsed.videoId;
-            detail = {
-                videoId:  parsed.videoId,
-                position: parsed.position
-            };
-            if (parsed.data) {
-                detail.data = parsed.data;
-            }
-            event = new CustomEvent("ms2:play", {detail:detail});
-            document.dispatchEvent(event);
-            try {
-                FCLog.log('PLAY event received: ' + JSON.stringify(detail));
-            } catch (e) {
-                FCLog.log('PLAY event received.');
+    function getSupportedMessages() {
+        return Object.keys(eventCallbacks).concat(customEvents);
+    }
+
+    /**
+     * Returns player features advertised to clients during handshake.
+     * @func getFeatures
+     * @memberof module:FastCast
+     * @private
+     * @returns {Object}
+     */
+    function getFeatures() {
+        var result = {
+                volume: nativeVolumeHandled
+            },
+            key;
+
+        for (key in playerFeatures) {
+            if (playerFeatures.hasOwnProperty(key)) {
+                result[key] = playerFeatures[key];
             }
         }
+        return result;
     }
 
     /**
-     * Channel reclaim message handler.
-     * Dispatches ms2:reclaim event to be handled in application.
-     * @func onReclaim
+     * Returns protocol version negotiated with particular client.
+     * Clients which haven't sent their capabilities are treated as legacy ones.
+     * @func getClientVersion
      * @memberof module:FastCast
      * @private
-     * @returns {undefined}
+     * @param {string} clientId - client id
+     * @returns {number}
      */
-    function onReclaim(parsed) {
-        var event = new CustomEvent("ms2:reclaim");
-        document.dispatchEvent(event);
-        try {
-            FCLog.log('RECLAIM event received: ' + JSON.stringify(parsed));
-        } catch (e) {
-            FCLog.log('RECLAIM event received.');
+    function getClientVersion(clientId) {
+        if (clientInfo[clientId]) {
+            return clientInfo[clientId].version;
         }
+        return LEGACY_VERSION;
     }
 
     /**
-     * Emits error message to particular client.
-     * @func raiseError
+     * Verifies if message can be handled within protocol version negotiated with the client.
+     * Capabilities message is always accepted, as it is the one that negotiates the version.
+     * Custom messages are not versioned.
+     * @func isMessageSupported
      * @memberof module:FastCast
      * @private
-     * @param {number} code - error code
-     * @param {number} clientId - error message recipient id
-     * @returns {undefined}
+     * @param {string} event - message name
+     * @param {Object} client - client data
+     * @returns {boolean}
      */
-    function raiseError(code, clientId) {
-        // send error message to client
-        var messages = {
-            403: "Access denied",
-            500: "Internal error"
-        };
-        send("error", {message: messages[code], code: code}, clientId);
+    function isMessageSupported(event, client) {
+        if (event === "capabilities" || !messageVersions[event]) {
+            return true;
+        }
+        return messageVersions[event] <= getClientVersion(client.id);
     }
 
     /**
-     * Defines a function with event param in closure.
-     * @func dispatch
+     * Returns persistent id of the device, given by the client in deviceId attribute when connecting.
+     * @func getDeviceId
      * @memberof module:FastCast
      * @private
-     * @param {string} event - event name
-     * @returns {function} anonymous function - executes event handler if conditions are fulfilled.
+     * @param {Object} client - client data
+     * @returns {string|null}
      */
-    function dispatch(event) {
-        return function (obj, client) {
-            var parsed = null;
-            if (typeof eventCallbacks[event] !== "function") {
-                raiseError(500, client.id);
-                return false;
-            }
-            if (!isClientAllowed(client) && !allowingAllClients) {
-                raiseError(403, client.id);
-                return false;
-            }
-            if (typeof obj === "string") {
-                try {
-                    parsed = JSON.parse(obj);
-                } catch (e) {
-                    //console.error("JSON.parse exception", e);
-                }
-            } else {
-                parsed = obj;
-            }
-            eventCallbacks[event](parsed);
-        };
+    function getDeviceId(client) {
+        if (client.attributes && client.attributes.deviceId) {
+            return String(client.attributes.deviceId);
+        }
+        return null;
     }
 
     /**
-     * Connects device to the channel, so it can exchange messages with other devices.
-     * Registers protocol-defined messages (keydown, play, reclaim, seek, volume)
-     * so that channel message will dispatch a proper event (ms2:keydown, ms2:play, ms2:reclaim, ms2:seek, ms2:volume) to be handled in the application.
-     * Registers generic event (connect, disconnect, clientConnect, clientDisconnect) handlers.
-     * Registers visibilityChange event callback to emit a proper message (suspend, restore) when tv application goes to and from the background.
-     * @func connect
+     * Checks if client's device has been paired before.
+     * @func isPaired
      * @memberof module:FastCast
      * @private
-     * @param {Object} [prop] - any attributes associated with the client
-     * @param {number} [maximumClients] - maximum number of simultaneously connected clients
-     * @returns {undefined}
-     * @example
-     * FastCast.connect({ name: "TV" });
+     * @param {Object} client - client data
+     * @returns {boolean}
      */
-    function connect(prop, maximumClients) {
-        var options = {name:ownName};
+    function isPaired(client) {
+        var deviceId = getDeviceId(client);
+        return deviceId !== null && pairedDevices.indexOf(deviceId) > -1;
+    }
 
-        if (typeof prop === "object") {
+    /**
+     * Reads paired devices ids from the local storage.
+     * @func loadPairedDevices
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function loadPairedDevices() {
+        try {
+            pairedDevices = JSON.parse(localStorage.getItem(pairedDevicesKey)) || [];
+        } catch (e) {
+            pairedDevices = [];
+        }
+    }
+
+    /**
+     * Writes paired devices ids to the local storage.
+     * @func savePairedDevices
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function savePairedDevices() {
+        try {
+            localStorage.setItem(pairedDevicesKey, JSON.stringify(pairedDevices));
+        } catch (e) {
+            console.error("Unable to store paired devices:", e.message);
+        }
+    }
+
+    /**
+     * Reads language preferences of devices from the local storage.
+     * @func loadPreferences
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function loadPreferences() {
+        try {
+            devicePreferences = JSON.parse(localStorage.getItem(preferencesKey)) || {};
+        } catch (e) {
+            devicePreferences = {};
+        }
+    }
+
+    /**
+     * Writes language preferences of devices to the local storage.
+     * @func savePreferences
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function savePreferences() {
+        try {
+            localStorage.setItem(preferencesKey, JSON.stringify(devicePreferences));
+        } catch (e) {
+            console.error("Unable to store preferences:", e.message);
+        }
+    }
+
+    /**
+     * Returns connected client.
+     * @func findClient
+     * @memberof module:FastCast
+     * @private
+     * @param {string} clientId - client id
+     * @returns {Object|null}
+     */
+    function findClient(clientId) {
+        var found = null;
+
+        if (!channel) {
+            return null;
+        }
+        channel.clients.forEach(function (client) {
+            if (client.id === clientId) {
+                found = client;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Returns language preferences of the client's device.
+     * @func getPreferences
+     * @memberof module:FastCast
+     * @private
+     * @param {string} [clientId] - client id, owner by default
+     * @returns {Object} {audioLanguage, textLanguage}, empty if client hasn't sent preferences
+     */
+    function getPreferences(clientId) {
+        var client = findClient(clientId || getOwner()),
+            deviceId = client ? getDeviceId(client) : null,
+            preferences = null;
+
+        if (deviceId !== null) {
+            preferences = devicePreferences[deviceId];
+        } else if (client) {
+            preferences = clientPreferences[client.id];
+        }
+        return JSON.parse(JSON.stringify(preferences || {}));
+    }
+
+    /**
+     * Channel preferences message handler.
+     * Stores language preferences of the client's device, the application applies them when it prepares playback
+     * started by the client.
+     * @func onPreferences
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string} [parsed.audioLanguage] - preferred audio language, e.g. "en"
+     * @param {string} [parsed.textLanguage] - preferred captions language, "off" turns captions off
+     * @param {Object} client - client data
+     * @returns {Object} stored preferences
+     */
+    function onPreferences(parsed, client) {
+        var deviceId = getDeviceId(client),
+            preferences = getPreferences(client.id);
+
+        ["audioLanguage", "textLanguage"].forEach(function (key) {
+            if (typeof parsed[key] === "string") {
+                preferences[key] = parsed[key];
+            }
+        });
+        if (deviceId !== null) {
+            devicePreferences[deviceId] = preferences;
+            savePreferences();
+        } else {
+            clientPreferences[client.id] = preferences;
+        }
+        FCLog.log('Preferences of ' + client.id + ': ' + JSON.stringify(preferences));
+        return preferences;
+    }
+
+    /**
+     * Returns array of random 32-bit unsigned integers.
+     * @func randomValues
+     * @memberof module:FastCast
+     * @private
+     * @param {number} count - number of values
+     * @returns {Uint32Array}
+     */
+    function randomValues(count) {
+        var values = new Uint32Array(count),
+            i;
+
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(values);
+        } else {
+            for (i = 0; i < count; i += 1) {
+                values[i] = Math.floor(Math.random() * 0x100000000);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Generates random PIN of PIN_LENGTH digits.
+     * @func generatePin
+     * @memberof module:FastCast
+     * @private
+     * @returns {string}
+     */
+    function generatePin() {
+        var pin = '',
+            digits = randomValues(PIN_LENGTH),
+            i;
+
+        for (i = 0; i < PIN_LENGTH; i += 1) {
+            pin += digits[i] % 10;
+        }
+        return pin;
+    }
+
+    /**
+     * Generates random session token.
+     * @func generateToken
+     * @memberof module:FastCast
+     * @private
+     * @returns {string} 32 hexadecimal characters
+     */
+    function generateToken() {
+        var values = randomValues(4),
+            token = '',
+            i;
+
+        for (i = 0; i < values.length; i += 1) {
+            token += ('0000000' + values[i].toString(16)).slice(-8);
+        }
+        return token;
+    }
+
+    /**
+     * Issues new session token to the client, previous token of the client becomes invalid.
+     * @func startSession
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function startSession(client) {
+        var token = generateToken();
+
+        if (clientSessions[client.id]) {
+            delete sessions[clientSessions[client.id]];
+        }
+        sessions[token] = {
+            clientId: client.id,
+            timer: null
+        };
+        clientSessions[client.id] = token;
+        send("session", {token: token, graceTime: SESSION_GRACE_TIME}, client.id);
+    }
+
+    /**
+     * Keeps session of disconnected client for SESSION_GRACE_TIME, so its role or
+     * its place among waiting viewers is reserved until it comes back or the time passes.
+     * @func suspendSession
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {boolean} false if session was not kept
+     */
+    function suspendSession(client) {
+        var token = clientSessions[client.id];
+
+        delete clientSessions[client.id];
+        if (!token || !getRole(client.id)) {
+            delete sessions[token];
+            return false;
+        }
+        sessions[token].info = clientInfo[client.id];
+        sessions[token].unpaired = !!unpairedClients[client.id];
+        sessions[token].timer = setTimeout(function () {
+            delete sessions[token];
+            removeClient(client.id);
+            FCLog.log('Session of ' + client.id + ' expired');
+        }, SESSION_GRACE_TIME);
+        return true;
+    }
+
+    /**
+     * Restores role, negotiated protocol version and pairing of a client reconnecting with
+     * sessionToken attribute within SESSION_GRACE_TIME. Reconnected client takes the place
+     * of the disconnected one, so it is not counted as a new client.
+     * @func resumeSession
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {string|null} previous client id or null if there is no session to resume
+     */
+    function resumeSession(client) {
+        var token = client.attributes && client.attributes.sessionToken,
+            session = token ? sessions[token] : null,
+            previousId;
+
+        if (!session || session.timer === null) {
+            return null;
+        }
+        clearTimeout(session.timer);
+        delete sessions[token];
+        previousId = session.clientId;
+
+        clientOrder[clientOrder.indexOf(previousId)] = client.id;
+        if (waitingClients.indexOf(previousId) > -1) {
+            waitingClients[waitingClients.indexOf(previousId)] = client.id;
+        }
+        clientRoles[client.id] = clientRoles[previousId];
+        delete clientRoles[previousId];
+        if (session.info) {
+            clientInfo[client.id] = session.info;
+        }
+        delete clientInfo[previousId];
+        if (session.unpaired) {
+            requestPairing(client);
+        }
+        FCLog.log('Session of ' + previousId + ' resumed by ' + client.id);
+        return previousId;
+    }
+
+    /**
+     * Returns state of the TV application sent to resumed clients.
+     * @func getSnapshot
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {Object}
+     */
+    function getSnapshot(client) {
+        return {
+            role: getRole(client.id),
+            version: getClientVersion(client.id),
+            videoId: videoId,
+            status: getClientStatus(pendingStatus || lastStatus, client.id)
+        };
+    }
+
+    /**
+     * Blocks client's commands until it sends PIN displayed by the application.
+     * Sends pairingRequired message to the client and executes application's pairing request handler.
+     * @func requestPairing
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function requestPairing(client) {
+        var lockedFor = getPinLockout(client);
+
+        if (lockedFor > 0) {
+            // no PIN is accepted until the lockout ends, then a new one is shown
+            unpairedClients[client.id] = {
+                pin: null,
+                attempts: 0,
+                timer: setTimeout(function () {
+                    requestPairing(client);
+                }, lockedFor)
+            };
+            send("pairingRequired", {pinLength: PIN_LENGTH, attempts: 0, retryAfter: lockedFor}, client.id);
+            FCLog.log('Pairing of ' + client.id + ' locked for ' + lockedFor + ' ms', true);
+            return;
+        }
+        unpairedClients[client.id] = {
+            pin: generatePin(),
+            attempts: 0
+        };
+        send("pairingRequired", {pinLength: PIN_LENGTH, attempts: MAX_PIN_ATTEMPTS}, client.id);
+        FCLog.log('Pairing required for ' + client.id);
+        if (typeof clientCallbacks["pairingRequest"] === "function") {
+            clientCallbacks["pairingRequest"](client, unpairedClients[client.id].pin);
+        }
+    }
+
+    /**
+     * Returns key under which renewed PINs of the client are counted.
+     * Device id survives reconnection, so reconnecting doesn't give a client new attempts.
+     * @func getPinLockoutKey
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {string}
+     */
+    function getPinLockoutKey(client) {
+        var deviceId = getDeviceId(client);
+
+        return deviceId !== null ? "device:" + deviceId : "client:" + client.id;
+    }
+
+    /**
+     * Returns time left until the client may enter PIN again.
+     * @func getPinLockout
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {number} miliseconds, 0 if the client isn't locked out
+     */
+    function getPinLockout(client) {
+        var lockout = pinLockouts[getPinLockoutKey(client)];
+
+        return lockout ? Math.max(lockout.until - Date.now(), 0) : 0;
+    }
+
+    /**
+     * Finishes client's pairing and executes application's pairing end handler.
+     * @func endPairing
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @param {boolean} paired - false if client disconnected before pairing
+     * @returns {undefined}
+     */
+    function endPairing(client, paired) {
+        clearTimeout(unpairedClients[client.id].timer);
+        delete unpairedClients[client.id];
+        FCLog.log('Pairing ' + (paired ? 'succeeded' : 'abandoned') + ' for ' + client.id);
+        if (typeof clientCallbacks["pairingEnd"] === "function") {
+            clientCallbacks["pairingEnd"](client, paired);
+        }
+    }
+
+    /**
+     * Forgets paired device, it will have to enter PIN again on next connection.
+     * Forgets all devices if deviceId is not given.
+     * @func unpair
+     * @memberof module:FastCast
+     * @private
+     * @param {string} [deviceId] - device id
+     * @returns {undefined}
+     */
+    function unpair(deviceId) {
+        if (deviceId === undefined) {
+            pairedDevices = [];
+        } else if (pairedDevices.indexOf(String(deviceId)) > -1) {
+            pairedDevices.splice(pairedDevices.indexOf(String(deviceId)), 1);
+        }
+        savePairedDevices();
+    }
+
+    /**
+     * Sends hello message with TV capabilities to newly connected client.
+     * Client is expected to answer with capabilities message.
+     * @func sendHello
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function sendHello(client) {
+        send("hello", {
+            role: getRole(client.id),
+            version: PROTOCOL_VERSION,
+            minVersion: LEGACY_VERSION,
+            messages: getSupportedMessages(),
+            features: getFeatures()
+        }, client.id);
+    }
+
+    /**
+     * Channel connect handler.
+     * Broadcasts clientConnect event message to every client except TV app.
+     * @func onChannelConnect
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} [err] - error object
+     * @returns {undefined}
+     */
+    function onChannelConnect (err) {
+        var clients, client;
+        if (err) {
+            console.error("Error initializing FastCast!");
+            return;
+        }
+        clients = channel.clients.slice();
+        while (clients.length > 0) {
+            client = clients.shift();
+            if (client.isHost) {
+                continue;
+            }
+            channel.emit("clientConnect", client);
+        }
+    }
+
+    /**
+     * Client disconnect from channel handler.
+     * @func onClientDisconnect
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function onClientDisconnect (client) {
+        FCLog.log('Client disconnected: ' + client.id);
+        if (!suspendSession(client)) {
+            removeClient(client.id);
+        }
+        if (unpairedClients[client.id]) {
+            endPairing(client, false);
+        }
+        if (scrubbingClient === client.id) {
+            endScrub(undefined, true, client.id);
+        }
+        Object.keys(pendingRequests).forEach(function (key) {
+            if (pendingRequests[key].clientId === client.id) {
+                settleRequest(client.id, pendingRequests[key].requestId);
+            }
+        });
+        if (typeof clientCallbacks["disconnect"] === "function") {
+            clientCallbacks["disconnect"](client);
+        }
+    }
+
+    /**
+     * Forgets the client and gives its place to other ones.
+     * @func removeClient
+     * @memberof module:FastCast
+     * @private
+     * @param {string} clientId - client id
+     * @returns {undefined}
+     */
+    function removeClient(clientId) {
+        if (clientOrder.indexOf(clientId) > -1) {
+            clientOrder.splice(clientOrder.indexOf(clientId), 1);
+        }
+        if (waitingClients.indexOf(clientId) > -1) {
+            waitingClients.splice(waitingClients.indexOf(clientId), 1);
+        }
+        delete clientRoles[clientId];
+        delete clientInfo[clientId];
+        fillRoles();
+        handOverOwnership();
+    }
+
+    /**
+     * Client connect to channel handler.
+     * Client reconnecting with a valid session token gets its previous role back.
+     * Otherwise first client becomes the owner, next ones become controllers.
+     * If client number limit is exceeded, client becomes a viewer and access denied error is raised,
+     * the viewer is promoted to controller when there is room for it.
+     * Sends hello message with TV capabilities, session token and executes client's connect handler for controlling clients.
+     * @func onClientConnect
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} client - client data
+     * @param {number} client.id - client id
+     * @returns {undefined}
+     */
+    function onClientConnect (client) {
+        var previousId;
+
+        send("ready", client.id);
+        FCLog.log('New client connected: ' + client.id);
+
+        previousId = resumeSession(client);
+        if (previousId === null && clientOrder.indexOf(client.id) < 0) {
+            clientOrder.push(client.id);
+            if (getOwner() === null) {
+                setRole(client.id, "owner");
+            } else if (hasRoomForController()) {
+                setRole(client.id, "controller");
+            } else {
+                setRole(client.id, "viewer");
+                waitingClients.push(client.id);
+            }
+        }
+
+        sendHello(client);
+        startSession(client);
+        if (lastStatus !== null) {
+            sendKeyframe(client.id);
+        }
+        if (lastQueue !== null) {
+            send("queue", lastQueue, client.id);
+        }
+
+        if (previousId !== null) {
+            send("resumed", getSnapshot(client), client.id);
+            if (typeof clientCallbacks["resume"] === "function") {
+                clientCallbacks["resume"](client, previousId);
+            }
+        } else if (pairingEnabled && !unpairedClients[client.id] && !isPaired(client)) {
+            requestPairing(client);
+        }
+
+        if (waitingClients.indexOf(client.id) > -1) {
+            // deny access, client can only watch the status
+            raiseError(403, client.id);
+        } else if (typeof clientCallbacks["connect"] === "function") {
+            // firing application callback for client, if there is one
+            clientCallbacks["connect"](client);
+        }
+    }
+
+    /**
+     * TV connect to channel handler.
+     * @func onConnect
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function onConnect () {
+        //console.debug('TV connected', arguments);
+    }
+
+    /**
+     * TV disconnect from channel  handler.
+     * @func onDisconnect
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function onDisconnect () {
+        // we can't do much, we're already disconnected
+        //console.debug('TV disconnected', arguments);
+    }
+
+    /**
+     * Dispatches application event (ms2:volume, ms2:seek, ms2:play, ms2:reclaim) on the event bus,
+     * or on document if event bus was not provided.
+     * @func dispatchEvent
+     * @memberof module:FastCast
+     * @private
+     * @param {Event} event - event to be dispatched
+     * @returns {undefined}
+     */
+    function dispatchEvent(event) {
+        (eventBus || document).dispatchEvent(event);
+    }
+
+    /**
+     * Event bus player:statechange handler.
+     * Keeps state of the application's player, reported in status when the application doesn't pass
+     * its own status object. Scrub session is cancelled when the stream stops or ends.
+     * @func onPlayerStateChange
+     * @memberof module:FastCast
+     * @private
+     * @param {CustomEvent} e - event with {state, previous} detail
+     * @returns {undefined}
+     */
+    function onPlayerStateChange(e) {
+        playerState = e.detail.state.toUpperCase();
+        if (playerState === "PLAYING" || playerState === "PAUSED") {
+            playerPlayback = playerState;
+        }
+        if (scrubbingClient !== null && !isPlayerActive()) {
+            endScrub(undefined, true, scrubbingClient);
+        }
+    }
+
+    /**
+     * Checks whether application's player has a stream which can be controlled.
+     * Player is assumed active if the application doesn't report player:statechange events.
+     * @func isPlayerActive
+     * @memberof module:FastCast
+     * @private
+     * @returns {boolean}
+     */
+    function isPlayerActive() {
+        return playerState === null || ACTIVE_PLAYER_STATES.indexOf(playerState) >= 0;
+    }
+
+    /**
+     * Channel keydown message handler.
+     * Dispatches keydown event.
+     * @func onKeydown
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string|number} parsed.keycode - name or code of the key
+     * @returns {boolean|undefined} false if message is invalid
+     */
+    function onKeydown(parsed) {
+        var keycode;
+        if (parsed.keycode) {
+            FCLog.log('keydown event received: ' + parsed.keycode);
+            if (tvKeys[parsed.keycode]) {
+                keycode = tvKeys[parsed.keycode];
+            } else if (typeof parsed.keycode === "number") {
+                keycode = parsed.keycode;
+            } else {
+                return false;
+            }
+            sendKeydownEvent(keycode);
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Channel volume message handler.
+     * Dispatches ms2:volume event to be handled in application.
+     * @func onVolume
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.value - volume level
+     * @returns {Object|boolean} applied volume or false if message is invalid
+     */
+    function onVolume(parsed) {
+        var volume,
+            isMute,
+            event;
+
+        if (!nativeVolumeHandled) {
+            return false;
+        }
+
+        volume =  parseInt(parsed.value, 10);
+
+        if (!isNaN(volume)) {
+            if (volume < 0) {
+                isMute = true;
+            } else {
+                isMute = false;
+            }
+            volume = Math.abs(volume);
+            tizen.tvaudiocontrol.setVolume(volume);
+            tizen.tvaudiocontrol.setMute(isMute);
+            event = new CustomEvent("ms2:volume", {detail:{ volume: volume, isMute: isMute }});
+            dispatchEvent(event);
+            FCLog.log('VOLUME event received: volume: ' + volume + ', isMute: ' + isMute);
+            return {volume: volume, isMute: isMute};
+        }
+        return false;
+    }
+
+    /**
+     * Channel seek message handler.
+     * Dispatches ms2:seek event to be handled in application.
+     * @func onSeek
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} [parsed.position] - absolute position in miliseconds
+     * @param {number} [parsed.offset] - position relative to the current one in miliseconds, used when position is not given
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {boolean|undefined} false if message is invalid
+     */
+    function onSeek(parsed, client, requestId) {
+        var event = null, detail = {requestId: requestId, clientId: client.id};
+        if (typeof parsed.position === "number") {
+            detail.position = parsed.position;
+        } else if (typeof parsed.offset === "number") {
+            detail.offset = parsed.offset;
+        } else {
+            return false;
+        }
+        event = new CustomEvent("ms2:seek", {detail: detail});
+        dispatchEvent(event);
+        FCLog.log('SEEK event received: ' + (detail.position !== undefined ? 'position: ' + detail.position : 'offset: ' + detail.offset));
+    }
+
+    /**
+     * Channel scrubStart message handler.
+     * Starts scrub session of the client and dispatches ms2:scrubStart event to be handled in application.
+     * While the session lasts, application shows preview position without seeking.
+     * Only one client can scrub at a time, and only while the player is active.
+     * @func onScrubStart
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id
+     * @returns {undefined}
+     */
+    function onScrubStart(parsed, client, requestId) {
+        if (!isPlayerActive()) {
+            raiseError(409, client.id, requestId, {reason: "nothing is playing"});
+            return;
+        }
+        if (scrubbingClient !== null && scrubbingClient !== client.id) {
+            raiseError(409, client.id, requestId, {reason: "another client is scrubbing"});
+            return;
+        }
+        scrubbingClient = client.id;
+        dispatchEvent(new CustomEvent("ms2:scrubStart", {detail: {requestId: requestId, clientId: client.id}}));
+        // application rejected the session, e.g. nothing is playing
+        if (requestId !== undefined && requestId !== null && !pendingRequests[requestKey(client.id, requestId)]) {
+            scrubbingClient = null;
+            return;
+        }
+        FCLog.log('SCRUB started by ' + client.id);
+    }
+
+    /**
+     * Channel scrub message handler.
+     * Dispatches ms2:scrub event with preview position to be handled in application.
+     * @func onScrub
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.position - preview position in miliseconds
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id
+     * @returns {undefined}
+     */
+    function onScrub(parsed, client, requestId) {
+        if (scrubbingClient !== client.id) {
+            raiseError(409, client.id, requestId, {reason: "no scrub session"});
+            return;
+        }
+        dispatchEvent(new CustomEvent("ms2:scrub", {detail: {position: parsed.position, requestId: requestId, clientId: client.id}}));
+    }
+
+    /**
+     * Channel scrubEnd message handler.
+     * Ends scrub session and dispatches ms2:scrubEnd event - application seeks to the last preview
+     * position (or the given one), unless the scrub is cancelled.
+     * @func onScrubEnd
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} [parsed.position] - final position in miliseconds
+     * @param {boolean} [parsed.cancel] - whether playback should stay at its position
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onScrubEnd(parsed, client, requestId) {
+        if (scrubbingClient !== client.id) {
+            raiseError(409, client.id, requestId, {reason: "no scrub session"});
+            return;
+        }
+        endScrub(parsed.position, !!parsed.cancel, client.id, requestId);
+    }
+
+    /**
+     * Ends scrub session.
+     * @func endScrub
+     * @memberof module:FastCast
+     * @private
+     * @param {number} [position] - final position in miliseconds
+     * @param {boolean} cancel - whether the scrub is cancelled
+     * @param {number} clientId - id of the client ending the scrub
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function endScrub(position, cancel, clientId, requestId) {
+        FCLog.log('SCRUB ' + (cancel ? 'cancelled' : 'ended') + ' by ' + scrubbingClient);
+        scrubbingClient = null;
+        dispatchEvent(new CustomEvent("ms2:scrubEnd", {detail: {position: position, cancel: cancel, requestId: requestId, clientId: clientId}}));
+    }
+
+    /**
+     * Channel play message handler.
+     * Dispatches ms2:play event to be handled in application.
+     * @func onPlay
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.videoId - video id
+     * @param {number} parsed.position - playback starting position in miliseconds
+     * @param {Object} parsed.data - other data to be passed from client
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {boolean|undefined} false if message is invalid
+     */
+    function onPlay(parsed, client, requestId) {
+        var event = null, detail = null;
+        if (parsed.videoId !== undefined && parsed.videoId !== null) {
+            videoId = parsed.videoId;
+            detail = {
+                videoId:  parsed.videoId,
+                position: parsed.position,
+                requestId: requestId,
+                clientId: client.id
+            };
+            if (parsed.data) {
+                detail.data = parsed.data;
+            }
+            event = new CustomEvent("ms2:play", {detail:detail});
+            dispatchEvent(event);
+            try {
+                FCLog.log('PLAY event received: ' + JSON.stringify(detail));
+            } catch (e) {
+                FCLog.log('PLAY event received.');
+            }
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Channel load message handler.
+     * Dispatches ms2:load event with media description to be handled in application.
+     * Unlike play, media doesn't need to be in the application's catalog.
+     * @func onLoad
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string} parsed.url - media url
+     * @param {string} [parsed.mimeType] - media MIME type
+     * @param {string} [parsed.title] - title shown on TV
+     * @param {string} [parsed.artwork] - image url shown on TV
+     * @param {number} [parsed.position] - playback starting position in miliseconds
+     * @param {Object} [parsed.customData] - any data of the sender, reported back in status
+     * @param {Array} [parsed.subtitles] - external WebVTT or SRT files: {url, language, label}
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {boolean|undefined} false if message is invalid
+     */
+    function onLoad(parsed, client, requestId) {
+        var media = {url: parsed.url};
+
+        if (!parsed.url) {
+            return false;
+        }
+        if (parsed.subtitles && !parsed.subtitles.every(isSubtitleTrack)) {
+            raiseError(400, client.id, requestId, {field: "subtitles", reason: "subtitles must be objects with url"});
+            return;
+        }
+        ["mimeType", "title", "artwork", "customData", "subtitles"].forEach(function (key) {
+            if (parsed[key] !== undefined && parsed[key] !== null) {
+                media[key] = parsed[key];
+            }
+        });
+        // loaded media is not a catalog video
+        videoId = -1;
+        dispatchEvent(new CustomEvent("ms2:load", {detail: {media: media, position: parsed.position, requestId: requestId, clientId: client.id}}));
+        FCLog.log('LOAD event received: ' + parsed.url);
+    }
+
+    /**
+     * Returns channel handler of queue command (queueAdd, queueInsertNext, queueRemove, queueReorder, queueClear, queueMode).
+     * Handler dispatches ms2 event of the same name with message fields to be handled in application,
+     * which publishes the changed queue with FastCast.queue.
+     * Queued items are media descriptions like the load message ones, or catalog videos: {videoId}.
+     * @func onQueueCommand
+     * @memberof module:FastCast
+     * @private
+     * @param {string} command - command name
+     * @returns {function}
+     */
+    function onQueueCommand(command) {
+        return function (parsed, client, requestId) {
+            var detail = {requestId: requestId, clientId: client.id},
+                key;
+
+            if (parsed.items && !parsed.items.every(isQueueItem)) {
+                raiseError(400, client.id, requestId, {field: "items", reason: "items must be objects with url or videoId"});
+                return;
+            }
+            for (key in parsed) {
+                if (parsed.hasOwnProperty(key) && key !== "requestId") {
+                    detail[key] = parsed[key];
+                }
+            }
+            dispatchEvent(new CustomEvent("ms2:" + command, {detail: detail}));
+            FCLog.log(command.toUpperCase() + ' event received');
+        };
+    }
+
+    /**
+     * Checks whether queued item describes media.
+     * @func isQueueItem
+     * @memberof module:FastCast
+     * @private
+     * @param {*} item - queued item
+     * @returns {boolean}
+     */
+    function isQueueItem(item) {
+        if (typeOf(item) !== "object") {
+            return false;
+        }
+        return typeof item.url === "string" || ["integer", "string"].indexOf(typeOf(item.videoId)) > -1;
+    }
+
+    /**
+     * Checks whether external subtitle track description has url.
+     * @func isSubtitleTrack
+     * @memberof module:FastCast
+     * @private
+     * @param {*} track - subtitle track description
+     * @returns {boolean}
+     */
+    function isSubtitleTrack(track) {
+        return typeOf(track) === "object" && typeof track.url === "string";
+    }
+
+    /**
+     * Channel textTrack message handler.
+     * Dispatches ms2:textTrack event to be handled in application, which shows captions of the track.
+     * @func onTextTrack
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string} [parsed.trackId] - id of track reported in status textTracks, captions are turned off without it
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onTextTrack(parsed, client, requestId) {
+        var trackId = typeof parsed.trackId === "string" ? parsed.trackId : null;
+
+        dispatchEvent(new CustomEvent("ms2:textTrack", {detail: {trackId: trackId, requestId: requestId, clientId: client.id}}));
+        FCLog.log('TEXTTRACK event received: ' + trackId);
+    }
+
+    /**
+     * Channel selectTrack message handler.
+     * Dispatches ms2:selectTrack event to be handled in application, which switches audio or video track.
+     * @func onSelectTrack
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string} parsed.type - audio or video
+     * @param {number} parsed.index - track index reported in status audioTracks or videoTracks
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onSelectTrack(parsed, client, requestId) {
+        dispatchEvent(new CustomEvent("ms2:selectTrack", {detail: {type: parsed.type, index: parsed.index, requestId: requestId, clientId: client.id}}));
+        FCLog.log('SELECTTRACK event received: ' + parsed.type + ' ' + parsed.index);
+    }
+
+    /**
+     * Channel setQuality message handler.
+     * Dispatches ms2:setQuality event to be handled in application, which locks bitrate of adaptive stream.
+     * @func onSetQuality
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} [parsed.bitrate] - bitrate of rendition reported in status renditions, auto quality if missing
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onSetQuality(parsed, client, requestId) {
+        var bitrate = parsed.bitrate === undefined ? null : parsed.bitrate;
+
+        dispatchEvent(new CustomEvent("ms2:setQuality", {detail: {bitrate: bitrate, requestId: requestId, clientId: client.id}}));
+        FCLog.log('SETQUALITY event received: ' + (bitrate === null ? 'auto' : bitrate));
+    }
+
+    /**
+     * Channel thumbnail message handler.
+     * Dispatches ms2:thumbnail event to be handled in application, which acknowledges the request with
+     * trick-play thumbnail of the position.
+     * @func onThumbnail
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.position - position in miliseconds
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onThumbnail(parsed, client, requestId) {
+        dispatchEvent(new CustomEvent("ms2:thumbnail", {detail: {position: parsed.position, requestId: requestId, clientId: client.id}}));
+        FCLog.log('THUMBNAIL event received: ' + parsed.position);
+    }
+
+    /**
+     * Channel setPlaybackRate message handler.
+     * Dispatches ms2:setPlaybackRate event to be handled in application, which changes playback rate
+     * of the current stream.
+     * @func onSetPlaybackRate
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.rate - playback rate from 0.5 to 2, 1 is normal speed
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id to be acknowledged by the application
+     * @returns {undefined}
+     */
+    function onSetPlaybackRate(parsed, client, requestId) {
+        dispatchEvent(new CustomEvent("ms2:setPlaybackRate", {detail: {rate: parsed.rate, requestId: requestId, clientId: client.id}}));
+        FCLog.log('SETPLAYBACKRATE event received: ' + parsed.rate);
+    }
+
+    /**
+     * Publishes queue state to all clients connected to the channel, clients which join later receive it as well.
+     * @func sendQueue
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} queueObj - queue state
+     * @returns {undefined}
+     */
+    function sendQueue(queueObj) {
+        lastQueue = JSON.parse(JSON.stringify(queueObj));
+        send("queue", lastQueue);
+    }
+
+    /**
+     * Publishes "Up next" card shown near the end of the video to all clients connected to the channel.
+     * @func sendUpNext
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} upNextObj - up next state
+     * @returns {undefined}
+     */
+    function sendUpNext(upNextObj) {
+        send("upNext", JSON.parse(JSON.stringify(upNextObj)));
+    }
+
+    /**
+     * Notifies all clients connected to the channel that the video has been played to the end.
+     * @func sendStreamCompleted
+     * @memberof module:FastCast
+     * @private
+     * @param {number|string} vid - id of the completed video, -1 for media loaded by url
+     * @param {number|string|null} next - id of the video played next, null if playback has ended
+     * @returns {undefined}
+     */
+    function sendStreamCompleted(vid, next) {
+        send("streamCompleted", {videoId: vid, next: next === undefined ? null : next});
+    }
+
+    /**
+     * Returns channel handler of transport command (pause, resume, stop, next, previous).
+     * Handler dispatches ms2:pause, ms2:resume, ms2:stop, ms2:next or ms2:previous event to be handled in application,
+     * which acknowledges the request once the player has executed the command.
+     * @func onTransportCommand
+     * @memberof module:FastCast
+     * @private
+     * @param {string} command - command name
+     * @returns {function}
+     */
+    function onTransportCommand(command) {
+        return function (parsed, client, requestId) {
+            dispatchEvent(new CustomEvent("ms2:" + command, {detail: {requestId: requestId, clientId: client.id}}));
+            FCLog.log(command.toUpperCase() + ' event received');
+        };
+    }
+
+    /**
+     * Channel reclaim message handler.
+     * Dispatches ms2:reclaim event to be handled in application.
+     * @func onReclaim
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function onReclaim(parsed) {
+        var event = new CustomEvent("ms2:reclaim");
+        dispatchEvent(event);
+        try {
+            FCLog.log('RECLAIM event received: ' + JSON.stringify(parsed));
+        } catch (e) {
+            FCLog.log('RECLAIM event received.');
+        }
+    }
+
+    /**
+     * Channel capabilities message handler.
+     * Negotiates protocol version with the client - the lower of both versions is used,
+     * so newer clients are downgraded to the version TV application understands.
+     * Answers with negotiated message and executes application's capabilities handler.
+     * @func onCapabilities
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {number} parsed.version - protocol version supported by the client
+     * @param {Array} [parsed.messages] - messages understood by the client
+     * @param {Object} [parsed.features] - client features
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function onCapabilities(parsed, client) {
+        var version = parsed ? parseInt(parsed.version, 10) : NaN;
+
+        if (isNaN(version) || version < LEGACY_VERSION) {
+            version = LEGACY_VERSION;
+        }
+        clientInfo[client.id] = {
+            version: Math.min(version, PROTOCOL_VERSION),
+            messages: Array.isArray(parsed && parsed.messages) ? parsed.messages : [],
+            features: (parsed && typeof parsed.features === "object" && parsed.features) || {}
+        };
+        send("negotiated", {version: clientInfo[client.id].version}, client.id);
+        FCLog.log('CAPABILITIES received from ' + client.id + ', negotiated version: ' + clientInfo[client.id].version);
+
+        if (typeof clientCallbacks["capabilities"] === "function") {
+            clientCallbacks["capabilities"](client, clientInfo[client.id]);
+        }
+    }
+
+    /**
+     * Channel pair message handler.
+     * Pairs the client if PIN shown on TV screen is correct. New PIN is generated
+     * after MAX_PIN_ATTEMPTS wrong attempts, up to MAX_PIN_RENEWALS times. Then the PIN is hidden
+     * and the client is locked out for PIN_LOCKOUT_TIME.
+     * @func onPair
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {string} parsed.pin - PIN entered by the user
+     * @param {Object} client - client data
+     * @param {string|number} [requestId] - request id
+     * @returns {Object|boolean} pairing result or false if PIN is wrong
+     */
+    function onPair(parsed, client, requestId) {
+        var pairing = unpairedClients[client.id],
+            lockoutKey = getPinLockoutKey(client),
+            lockout,
+            attemptsLeft;
+
+        if (!pairing) {
+            return {paired: true};
+        }
+        if (pairing.pin === null) {
+            raiseError(429, client.id, requestId, {reason: "too many wrong PINs", retryAfter: getPinLockout(client)});
+            return false;
+        }
+        if (parsed.pin !== pairing.pin) {
+            pairing.attempts += 1;
+            attemptsLeft = MAX_PIN_ATTEMPTS - pairing.attempts;
+            FCLog.log('Wrong PIN from ' + client.id, true);
+            raiseError(401, client.id, requestId, {reason: "invalid PIN", attemptsLeft: attemptsLeft});
+            if (attemptsLeft <= 0) {
+                lockout = pinLockouts[lockoutKey] || {renewals: 0, until: 0};
+                lockout.renewals += 1;
+                if (lockout.renewals > MAX_PIN_RENEWALS) {
+                    lockout.renewals = 0;
+                    lockout.until = Date.now() + PIN_LOCKOUT_TIME;
+                    // the application hides the PIN until the lockout ends
+                    if (typeof clientCallbacks["pairingEnd"] === "function") {
+                        clientCallbacks["pairingEnd"](client, false);
+                    }
+                }
+                pinLockouts[lockoutKey] = lockout;
+                requestPairing(client);
+            }
+            return false;
+        }
+        delete pinLockouts[lockoutKey];
+        if (getDeviceId(client) !== null && pairedDevices.indexOf(getDeviceId(client)) < 0) {
+            pairedDevices.push(getDeviceId(client));
+            savePairedDevices();
+        }
+        endPairing(client, true);
+        send("paired", {deviceId: getDeviceId(client)}, client.id);
+        return {paired: true};
+    }
+
+    /**
+     * Channel statusRequest message handler.
+     * Sends full status to the client, e.g. when it has missed some statusDelta messages.
+     * @func onStatusRequest
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} parsed - parsed JSON data
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function onStatusRequest(parsed, client) {
+        flushStatus();
+        if (lastStatus !== null) {
+            sendKeyframe(client.id);
+        }
+        if (lastQueue !== null) {
+            send("queue", lastQueue, client.id);
+        }
+    }
+
+    /**
+     * Emits error message to particular client.
+     * @func raiseError
+     * @memberof module:FastCast
+     * @private
+     * @param {number} code - error code
+     * @param {number} clientId - error message recipient id
+     * @param {string|number} [requestId] - id of the request which caused the error, nack is sent instead of error if given
+     * @param {Object} [details] - additional error properties, e.g. invalid field name
+     * @returns {undefined}
+     */
+    function raiseError(code, clientId, requestId, details) {
+        // send error message to client
+        var messages = {
+            400: "Bad request",
+            401: "Unauthorized",
+            403: "Access denied",
+            409: "Conflict",
+            429: "Too many requests",
+            500: "Internal error",
+            501: "Not supported by negotiated protocol version",
+            504: "Request timed out"
+        },
+            payload = {message: messages[code], code: code},
+            key;
+
+        for (key in details) {
+            if (details.hasOwnProperty(key)) {
+                payload[key] = details[key];
+            }
+        }
+        if (requestId !== undefined && requestId !== null) {
+            settleRequest(clientId, requestId);
+            send("nack", {requestId: requestId, error: payload}, clientId);
+            return;
+        }
+        send("error", payload, clientId);
+    }
+
+    /**
+     * Returns key of a pending request. Request ids are chosen by clients, so they are unique per client only.
+     * @func requestKey
+     * @memberof module:FastCast
+     * @private
+     * @param {number} clientId - id of the client which sent the request
+     * @param {string|number} requestId - request id given by the client
+     * @returns {string}
+     */
+    function requestKey(clientId, requestId) {
+        return clientId + "/" + requestId;
+    }
+
+    /**
+     * Registers request awaiting acknowledgement. Request is rejected with 504 error
+     * if it is not acknowledged within ackTimeout.
+     * @func trackRequest
+     * @memberof module:FastCast
+     * @private
+     * @param {string|number} requestId - request id given by the client
+     * @param {string} event - message name
+     * @param {Object} client - client data
+     * @returns {undefined}
+     */
+    function trackRequest(requestId, event, client) {
+        settleRequest(client.id, requestId);
+        pendingRequests[requestKey(client.id, requestId)] = {
+            event: event,
+            clientId: client.id,
+            requestId: requestId,
+            timer: setTimeout(function () {
+                raiseError(504, client.id, requestId);
+            }, ackTimeout)
+        };
+    }
+
+    /**
+     * Removes request from the pending ones.
+     * @func settleRequest
+     * @memberof module:FastCast
+     * @private
+     * @param {number} clientId - id of the client which sent the request
+     * @param {string|number} requestId - request id
+     * @returns {Object|null} settled request or null if there was no such request pending
+     */
+    function settleRequest(clientId, requestId) {
+        var key = requestKey(clientId, requestId),
+            request = pendingRequests[key] || null;
+        if (request) {
+            clearTimeout(request.timer);
+            delete pendingRequests[key];
+        }
+        return request;
+    }
+
+    /**
+     * Acknowledges successful handling of a request. Ack message is sent only to the client which sent the request.
+     * @func ack
+     * @memberof module:FastCast
+     * @private
+     * @param {number} clientId - id of the client which sent the request
+     * @param {string|number} requestId - request id
+     * @param {*} [result] - result of the command
+     * @returns {boolean} false if there is no such request pending
+     */
+    function ack(clientId, requestId, result) {
+        var request = settleRequest(clientId, requestId);
+        if (!request) {
+            return false;
+        }
+        send("ack", {requestId: requestId, event: request.event, result: result === undefined ? null : result}, request.clientId);
+        return true;
+    }
+
+    /**
+     * Rejects a request. Nack message is sent only to the client which sent the request.
+     * @func nack
+     * @memberof module:FastCast
+     * @private
+     * @param {number} clientId - id of the client which sent the request
+     * @param {string|number} requestId - request id
+     * @param {string|number|object} type - custom message string or predefined error type or error object
+     * @returns {boolean} false if there is no such request pending
+     */
+    function nack(clientId, requestId, type) {
+        var request = settleRequest(clientId, requestId);
+        if (!request) {
+            return false;
+        }
+        send("nack", {requestId: requestId, event: request.event, error: errorPayload(type)}, request.clientId);
+        return true;
+    }
+
+    /**
+     * Returns type name of a value used in message schemas.
+     * @func typeOf
+     * @memberof module:FastCast
+     * @private
+     * @param {*} value - checked value
+     * @returns {string} one of: array, null, integer, number, string, boolean, object
+     */
+    function typeOf(value) {
+        if (value === null) {
+            return "null";
+        }
+        if (Array.isArray(value)) {
+            return "array";
+        }
+        if (typeof value === "number" && isFinite(value) && Math.floor(value) === value) {
+            return "integer";
+        }
+        return typeof value;
+    }
+
+    /**
+     * Checks single field against its schema rule.
+     * Supported rule properties: type (name or array of names), required, min, max, maxLength, enum.
+     * @func checkField
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} rule - field schema
+     * @param {*} value - field value
+     * @returns {string|null} reason of rejection or null if value is valid
+     */
+    function checkField(rule, value) {
+        var types, type;
+
+        if (value === undefined || value === null) {
+            return rule.required ? "is required" : null;
+        }
+        if (rule.type) {
+            types = [].concat(rule.type);
+            type = typeOf(value);
+            // every integer is a number as well
+            if (types.indexOf(type) < 0 && !(type === "integer" && types.indexOf("number") > -1)) {
+                return "must be of type " + types.join(" or ");
+            }
+        }
+        if (typeof value === "number") {
+            if (!isFinite(value)) {
+                return "must be a finite number";
+            }
+            if (typeof rule.min === "number" && value < rule.min) {
+                return "must be at least " + rule.min;
+            }
+            if (typeof rule.max === "number" && value > rule.max) {
+                return "must be at most " + rule.max;
+            }
+        }
+        if (typeof rule.maxLength === "number" && value.length > rule.maxLength) {
+            return "must not be longer than " + rule.maxLength;
+        }
+        if (Array.isArray(rule.enum) && rule.enum.indexOf(value) < 0) {
+            return "must be one of " + rule.enum.join(", ");
+        }
+        return null;
+    }
+
+    /**
+     * Validates parsed message against the schema registered for the event.
+     * Messages without registered schema are not validated.
+     * @func validateMessage
+     * @memberof module:FastCast
+     * @private
+     * @param {string} event - message name
+     * @param {Object|null} parsed - parsed message
+     * @returns {Object|null} error details ({field, reason}) or null if message is valid
+     */
+    function validateMessage(event, parsed) {
+        var schema = messageSchemas[event],
+            schemas,
+            field,
+            reason,
+            i;
+
+        if (!schema) {
+            return null;
+        }
+        if (parsed === null) {
+            parsed = {};
+        }
+        if (typeOf(parsed) !== "object") {
+            return {reason: "message must be a JSON object"};
+        }
+        schemas = [commonSchema, schema];
+        for (i = 0; i < schemas.length; i += 1) {
+            for (field in schemas[i]) {
+                if (schemas[i].hasOwnProperty(field)) {
+                    reason = checkField(schemas[i][field], parsed[field]);
+                    if (reason !== null) {
+                        return {field: field, reason: field + " " + reason};
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parses channel message. Empty messages are parsed to null.
+     * @func parseMessage
+     * @memberof module:FastCast
+     * @private
+     * @param {*} obj - message received from the channel
+     * @returns {*} parsed message
+     * @throws {SyntaxError} if message is a string with malformed JSON
+     */
+    function parseMessage(obj) {
+        if (obj === undefined || obj === null || obj === "") {
+            return null;
+        }
+        if (typeof obj === "string") {
+            return JSON.parse(obj);
+        }
+        return obj;
+    }
+
+    /**
+     * Parses and validates channel message, raises 400 error to the client if message is invalid.
+     * @func acceptMessage
+     * @memberof module:FastCast
+     * @private
+     * @param {string} event - message name
+     * @param {*} obj - message received from the channel
+     * @param {Object} client - message sender
+     * @returns {Object} result - {valid, parsed, requestId}
+     */
+    function acceptMessage(event, obj, client) {
+        var parsed,
+            requestId,
+            invalid;
+
+        try {
+            parsed = parseMessage(obj);
+        } catch (e) {
+            raiseError(400, client.id, undefined, {reason: "malformed JSON"});
+            return {valid: false};
+        }
+        if (parsed && typeof parsed === "object" && (typeof parsed.requestId === "string" || typeof parsed.requestId === "number")) {
+            requestId = parsed.requestId;
+        }
+        invalid = validateMessage(event, parsed);
+        if (invalid) {
+            raiseError(400, client.id, requestId, invalid);
+            return {valid: false};
+        }
+        return {valid: true, parsed: parsed || {}, requestId: requestId};
+    }
+
+    /**
+     * Defines a function with event param in closure.
+     * @func dispatch
+     * @memberof module:FastCast
+     * @private
+     * @param {string} event - event name
+     * @returns {function} anonymous function - executes event handler if conditions are fulfilled.
+     */
+    function dispatch(event) {
+        return function (obj, client) {
+            var message = acceptMessage(event, obj, client),
+                parsed = message.parsed,
+                requestId = message.requestId,
+                result;
+            if (!message.valid) {
+                return false;
+            }
+            if (typeof eventCallbacks[event] !== "function") {
+                raiseError(500, client.id, requestId);
+                return false;
+            }
+            if (!isPermitted(client, event)) {
+                raiseError(403, client.id, requestId);
+                return false;
+            }
+            if (unpairedClients[client.id] && event !== "pair" && event !== "capabilities") {
+                raiseError(401, client.id, requestId, {reason: "pairing required"});
+                return false;
+            }
+            if (!isMessageSupported(event, client)) {
+                raiseError(501, client.id, requestId);
+                return false;
+            }
+            if (requestId !== undefined) {
+                trackRequest(requestId, event, client);
+            }
+            result = eventCallbacks[event](parsed, client, requestId);
+            if (requestId === undefined || !pendingRequests[requestKey(client.id, requestId)]) {
+                return result;
+            }
+            // deferred messages are acknowledged by the application once the player is done
+            if (result === false) {
+                raiseError(400, client.id, requestId);
+            } else if (deferredEvents.indexOf(event) < 0) {
+                ack(client.id, requestId, result);
+            }
+            return result;
+        };
+    }
+
+    /**
+     * Connects device to the channel, so it can exchange messages with other devices.
+     * Registers protocol-defined messages (keydown, play, reclaim, seek, volume, capabilities, pair, statusRequest,
+     * pause, resume, stop, next, previous, scrubStart, scrub, scrubEnd, load,
+     * queueAdd, queueInsertNext, queueRemove, queueReorder, queueClear, queueMode, textTrack,
+     * selectTrack, preferences, setQuality, thumbnail, setPlaybackRate) so that channel message will dispatch a proper event
+     * (ms2:keydown, ms2:play, ms2:reclaim, ms2:seek, ms2:volume, ms2:pause, ms2:resume, ms2:stop, ms2:next, ms2:previous,
+     * ms2:scrubStart, ms2:scrub, ms2:scrubEnd, ms2:load, ms2:queueAdd, ms2:queueInsertNext,
+     * ms2:queueRemove, ms2:queueReorder, ms2:queueClear, ms2:queueMode, ms2:textTrack, ms2:selectTrack,
+     * ms2:setQuality, ms2:thumbnail, ms2:setPlaybackRate) to be handled in the application.
+     * Registers generic event (connect, disconnect, clientConnect, clientDisconnect) handlers.
+     * Registers visibilityChange event callback to emit a proper message (suspend, restore) when tv application goes to and from the background.
+     * @func connect
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} [prop] - any attributes associated with the client
+     * @param {boolean} [prop.pairing] - require new clients to enter PIN shown on TV screen
+     * @param {number} [maximumClients] - maximum number of simultaneously controlling clients, next ones become viewers
+     * @returns {undefined}
+     * @example
+     * FastCast.connect({ name: "TV" });
+     */
+    function connect(prop, maximumClients) {
+        var options = {name:ownName};
+
+        if (typeof prop === "object") {
             options = prop;
             if (!options.name) {
                 options.name = ownName;
@@ -626,12 +2508,41 @@ var FastCast = (function(){
             onDebug();
         }
 
+        if (options.pairing) {
+            pairingEnabled = true;
+            loadPairedDevices();
+        }
+
         // protocol-defined events
         channel.on("keydown", dispatch("keydown"));
         channel.on("seek", dispatch("seek"));
         channel.on("volume", dispatch("volume"));
         channel.on("play", dispatch("play"));
         channel.on("reclaim", dispatch("reclaim"));
+        channel.on("capabilities", dispatch("capabilities"));
+        channel.on("pair", dispatch("pair"));
+        channel.on("statusRequest", dispatch("statusRequest"));
+        channel.on("pause", dispatch("pause"));
+        channel.on("resume", dispatch("resume"));
+        channel.on("stop", dispatch("stop"));
+        channel.on("next", dispatch("next"));
+        channel.on("previous", dispatch("previous"));
+        channel.on("scrubStart", dispatch("scrubStart"));
+        channel.on("scrub", dispatch("scrub"));
+        channel.on("scrubEnd", dispatch("scrubEnd"));
+        channel.on("load", dispatch("load"));
+        channel.on("queueAdd", dispatch("queueAdd"));
+        channel.on("queueInsertNext", dispatch("queueInsertNext"));
+        channel.on("queueRemove", dispatch("queueRemove"));
+        channel.on("queueReorder", dispatch("queueReorder"));
+        channel.on("queueClear", dispatch("queueClear"));
+        channel.on("queueMode", dispatch("queueMode"));
+        channel.on("textTrack", dispatch("textTrack"));
+        channel.on("selectTrack", dispatch("selectTrack"));
+        channel.on("preferences", dispatch("preferences"));
+        channel.on("setQuality", dispatch("setQuality"));
+        channel.on("thumbnail", dispatch("thumbnail"));
+        channel.on("setPlaybackRate", dispatch("setPlaybackRate"));
 
         // generic events
         channel.on("clientConnect", onClientConnect);
@@ -697,9 +2608,12 @@ var FastCast = (function(){
      * @returns {undefined}
      */
     function init(chanName, eb, callback, themeDark) {
-        if (typeof msf === "undefined") {
-            console.error("FastCast framework not loaded!");
-            return;
+        if (!transport) {
+            if (typeof FastCastTransport === "undefined") {
+                console.error("FastCast framework not loaded!");
+                return;
+            }
+            transport = FastCastTransport.msf();
         }
         if (channel && channel.isConnected) {
             return;
@@ -718,12 +2632,18 @@ var FastCast = (function(){
             eb = null;
         }
         eventBus = eb;
-        msf.local(function(err, service){
+        (eventBus || document).addEventListener("player:statechange", onPlayerStateChange);
+        if (!isDefault) {
+            pairedDevicesKey = PAIRED_DEVICES_KEY + "." + chanName;
+            preferencesKey = PREFERENCES_KEY + "." + chanName;
+        }
+        loadPreferences();
+        transport.open(chanName, function(err, chan){
             if (err) {
                 console.error("FastCast initialization failed:", err);
                 return;
             }
-            channel = service.channel(chanName);
+            channel = chan;
             FCLog.init(chanName, themeDark);
             if (typeof callback === "function") {
                 callback();
@@ -731,6 +2651,27 @@ var FastCast = (function(){
         });
     }
 
+    /**
+     * Sets transport used to open the channel. Has to be called before init.
+     * By default Samsung MultiScreen transport is used.
+     * @method setTransport
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} newTransport - transport created with FastCastTransport (msf, memory, webSocket)
+     * @returns {undefined}
+     */
+    function setTransport(newTransport) {
+        if (!newTransport || typeof newTransport.open !== "function") {
+            console.error("Transport MUST provide open method!");
+            return;
+        }
+        if (channel) {
+            console.error("Transport can't be changed after initialization!");
+            return;
+        }
+        transport = newTransport;
+    }
+
     /**
      * Disconnects device from recent channel.
      * @method deinit
@@ -799,11 +2740,13 @@ var FastCast = (function(){
     }
 
     /**
-     * Broadcasts recent status to other clients connected to the channel.
+     * Publishes recent status to other clients connected to the channel.
      * Status object can be provided as parameter or it will be generated automatically with the usage of
      * tizen.tvaudiocontrol (provides volume data)
      * and webapis.avplay (provides video player recent state)
      * This method does not work with HTML5Video.
+     * Updates are coalesced and published at most once per statusInterval, unless state changes,
+     * which is published immediately. See flushStatus for the message format.
      * @method sendStatus
      * @memberof module:FastCast
      * @private
@@ -816,7 +2759,8 @@ var FastCast = (function(){
      * @returns {undefined}
      */
     function sendStatus(statusObj) {
-        var volume;
+        var volume,
+            elapsed;
         if (!statusObj) {
             if (!nativeVolumeHandled) {
                 volume = -1;
@@ -828,14 +2772,198 @@ var FastCast = (function(){
             }
 
             statusObj = {
-                state: webapis.avplay.getState(),
+                state: playerState || webapis.avplay.getState(),
                 position: webapis.avplay.getCurrentTime(),
                 totalTime: webapis.avplay.getDuration(),
                 volume: volume,
                 videoId: videoId
             };
         }
-        send("status", JSON.stringify(statusObj));
+        // status object is usually shared with the application and changes in the meantime
+        pendingStatus = JSON.parse(JSON.stringify(statusObj));
+        elapsed = Date.now() - lastStatusTime;
+
+        if (lastStatus === null || pendingStatus.state !== lastStatus.state || elapsed >= statusInterval) {
+            flushStatus();
+        } else if (statusTimer === null) {
+            statusTimer = setTimeout(flushStatus, statusInterval - elapsed);
+        }
+    }
+
+    /**
+     * Returns fields of the status which differ from the previous one.
+     * Removed fields are reported with null value.
+     * @func diffStatus
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} previous - previously published status
+     * @param {Object} current - current status
+     * @returns {Object|null} changed fields or null if nothing has changed
+     */
+    function diffStatus(previous, current) {
+        var changes = {},
+            changed = false,
+            key;
+
+        for (key in current) {
+            if (current.hasOwnProperty(key) && JSON.stringify(current[key]) !== JSON.stringify(previous[key])) {
+                changes[key] = current[key];
+                changed = true;
+            }
+        }
+        for (key in previous) {
+            if (previous.hasOwnProperty(key) && !current.hasOwnProperty(key)) {
+                changes[key] = null;
+                changed = true;
+            }
+        }
+        return changed ? changes : null;
+    }
+
+    /**
+     * Returns ids of connected clients split by the status format they understand.
+     * @func getStatusRecipients
+     * @memberof module:FastCast
+     * @private
+     * @returns {Object} {legacy: [], delta: []}
+     */
+    function getStatusRecipients() {
+        var recipients = {legacy: [], delta: []};
+
+        channel.clients.forEach(function (client) {
+            if (client.isHost) {
+                return;
+            }
+            if (getClientVersion(client.id) < PROTOCOL_VERSION) {
+                recipients.legacy.push(client.id);
+            } else {
+                recipients.delta.push(client.id);
+            }
+        });
+        return recipients;
+    }
+
+    /**
+     * Returns status with state of the player as understood by legacy clients - avplay states only
+     * (NONE, IDLE, READY, PLAYING, PAUSED).
+     * @func toLegacyStatus
+     * @memberof module:FastCast
+     * @private
+     * @param {Object|null} status - status object
+     * @returns {Object|null} copy of the status if its state has been replaced
+     */
+    function toLegacyStatus(status) {
+        var legacy;
+
+        if (!status || !(LEGACY_STATES.hasOwnProperty(status.state) || SETTLING_STATES.indexOf(status.state) >= 0)) {
+            return status;
+        }
+        legacy = JSON.parse(JSON.stringify(status));
+        legacy.state = LEGACY_STATES[status.state] || playerPlayback;
+        return legacy;
+    }
+
+    /**
+     * Returns status in the form understood by the client.
+     * @func getClientStatus
+     * @memberof module:FastCast
+     * @private
+     * @param {Object|null} status - status object
+     * @param {string} clientId - recipient id
+     * @returns {Object|null}
+     */
+    function getClientStatus(status, clientId) {
+        return getClientVersion(clientId) < PROTOCOL_VERSION ? toLegacyStatus(status) : status;
+    }
+
+    /**
+     * Sends full status (keyframe) to the client or to all clients.
+     * @func sendKeyframe
+     * @memberof module:FastCast
+     * @private
+     * @param {string} [clientId] - recipient, status is broadcasted if not given
+     * @returns {undefined}
+     */
+    function sendKeyframe(clientId) {
+        var keyframe = JSON.parse(JSON.stringify(lastStatus)),
+            recipients;
+
+        keyframe.seq = statusSeq;
+        if (clientId) {
+            send("status", JSON.stringify(getClientStatus(keyframe, clientId)), clientId);
+            return;
+        }
+        recipients = getStatusRecipients();
+        if (recipients.delta.length > 0) {
+            send("status", JSON.stringify(keyframe), recipients.delta);
+        }
+        if (recipients.legacy.length > 0) {
+            send("status", JSON.stringify(toLegacyStatus(keyframe)), recipients.legacy);
+        }
+        lastKeyframeTime = Date.now();
+    }
+
+    /**
+     * Publishes pending status.
+     * Full status is broadcasted as status message (JSON string with seq field) every keyframeInterval.
+     * In between, clients which negotiated current protocol version receive statusDelta message:
+     * {seq, changes} with changed fields only, and legacy clients receive full status messages.
+     * Legacy clients get avplay states in place of the states added in protocol version 2, see toLegacyStatus.
+     * @func flushStatus
+     * @memberof module:FastCast
+     * @private
+     * @returns {undefined}
+     */
+    function flushStatus() {
+        var now = Date.now(),
+            previous = lastStatus,
+            changes,
+            recipients;
+
+        clearTimeout(statusTimer);
+        statusTimer = null;
+        if (pendingStatus === null || !channel) {
+            return;
+        }
+        changes = previous ? diffStatus(previous, pendingStatus) : pendingStatus;
+        lastStatus = pendingStatus;
+        pendingStatus = null;
+        lastStatusTime = now;
+
+        if (previous === null || now - lastKeyframeTime >= keyframeInterval) {
+            statusSeq += 1;
+            sendKeyframe();
+            return;
+        }
+        if (changes === null) {
+            return;
+        }
+        statusSeq += 1;
+        recipients = getStatusRecipients();
+        if (recipients.delta.length > 0) {
+            send("statusDelta", {seq: statusSeq, changes: changes}, recipients.delta);
+        }
+        if (recipients.legacy.length > 0) {
+            send("status", JSON.stringify(toLegacyStatus(lastStatus)), recipients.legacy);
+        }
+    }
+
+    /**
+     * Sets status publishing rate.
+     * @func setStatusRate
+     * @memberof module:FastCast
+     * @private
+     * @param {number} interval - minimal time between status messages in miliseconds
+     * @param {number} [keyframe] - time between full status messages in miliseconds
+     * @returns {undefined}
+     */
+    function setStatusRate(interval, keyframe) {
+        if (typeof interval === "number" && interval >= 0) {
+            statusInterval = interval;
+        }
+        if (typeof keyframe === "number" && keyframe >= 0) {
+            keyframeInterval = keyframe;
+        }
     }
 
     /**
@@ -847,9 +2975,10 @@ var FastCast = (function(){
      * @private
      * @param {string} eventName - event name
      * @param {function} callback - event handler
+     * @param {Object} [schema] - message schema, invalid messages are rejected before the handler runs
      * @returns {undefined}
      */
-    function on(eventName, callback) {
+    function on(eventName, callback, schema) {
         var libRestrictedEvents = Object.keys(eventCallbacks),
             restrictedEvents = libRestrictedEvents.concat(["connect", "disconnect", "clientConnect", "clientDisconnect"]);
         if (restrictedEvents.indexOf(eventName) > -1) {
@@ -861,7 +2990,59 @@ var FastCast = (function(){
                 console.log("[FastCast][" + eventName + "] User did not provide callback for event.");
             };
         }
-        channel.on(eventName, callback);
+        if (customEvents.indexOf(eventName) < 0) {
+            customEvents.push(eventName);
+        }
+        if (schema) {
+            setSchema(eventName, schema);
+        }
+        channel.on(eventName, function (msg, from) {
+            if (!from.isHost && !isPermitted(from, eventName)) {
+                raiseError(403, from.id);
+                return false;
+            }
+            if (unpairedClients[from.id]) {
+                raiseError(401, from.id, undefined, {reason: "pairing required"});
+                return false;
+            }
+            // messages without schema are passed through untouched, they don't even have to be JSON
+            if (messageSchemas[eventName] && !acceptMessage(eventName, msg, from).valid) {
+                return false;
+            }
+            return callback.apply(this, arguments);
+        });
+    }
+
+    /**
+     * Registers schema of the message. Messages not matching the schema are rejected
+     * with 400 error which contains invalid field name and the reason.
+     * @func setSchema
+     * @memberof module:FastCast
+     * @private
+     * @param {string} eventName - message name
+     * @param {Object} schema - map of field names to rules: {type, required, min, max, maxLength, enum}
+     * @returns {undefined}
+     */
+    function setSchema(eventName, schema) {
+        messageSchemas[eventName] = schema;
+    }
+
+    /**
+     * Sets player features advertised to clients in hello message.
+     * Given features are merged with already set ones.
+     * @func setFeatures
+     * @memberof module:FastCast
+     * @private
+     * @param {Object} features - feature flags and values, e.g. {uhd: true}
+     * @returns {undefined}
+     */
+    function setFeatures(features) {
+        var key;
+        for (key in features) {
+            if (features.hasOwnProperty(key)) {
+                playerFeatures[key] = features[key];
+            }
+        }
     }
 
     /**
@@ -903,6 +3084,21 @@ var FastCast = (function(){
          */
         init: init,
 
+        /**
+         * Sets transport used to open the channel. Has to be called before init.
+         * By default Samsung MultiScreen transport is used.
+         * @method setTransport
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} transport - transport created with FastCastTransport (msf, memory, webSocket)
+         * @returns {undefined}
+         * @example
+         * //receiver in desktop browser, connected to local stand-in server
+         * FastCast.setTransport(FastCastTransport.webSocket("ws://localhost:8001"));
+         * FastCast.init("com.samsung.MultiScreenPlayer", document);
+         */
+        setTransport: setTransport,
+
         /**
          * Disconnects device from recent channel.
          * @method deinit
@@ -952,17 +3148,102 @@ var FastCast = (function(){
          */
         onClientDisconnect: setCallback('disconnect'),
 
+        /**
+         * Registers handler executed when client sends its capabilities and protocol version is negotiated.
+         * @method onClientCapabilities
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} client - client data
+         * @param {Object} info - negotiation result
+         * @param {number} info.version - negotiated protocol version
+         * @param {Array} info.messages - messages understood by the client
+         * @param {Object} info.features - client features
+         * @returns {undefined}
+         * @example
+         * FastCast.onClientCapabilities(function (client, info) {
+         *     tvApp.log(client.attributes.name + " speaks FastCast v" + info.version);
+         * });
+         */
+        onClientCapabilities: setCallback('capabilities'),
+
+        /**
+         * Registers handler executed when role of a client changes.
+         * @method onClientRoleChange
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @param {string} role - new role: owner, controller, viewer or revoked
+         * @param {string|null} previous - previous role, null for newly connected client
+         * @returns {undefined}
+         * @example
+         * FastCast.onClientRoleChange(function (clientId, role) {
+         *     tvApp.log(clientId + " is now " + role);
+         * });
+         */
+        onClientRoleChange: setCallback('role'),
+
+        /**
+         * Registers handler executed when a client has to be paired. Works only if pairing is enabled
+         * with pairing option passed to FastCast.connect. Handler is expected to show the PIN on the screen.
+         * Client's commands are blocked until it sends pair message with the PIN.
+         * Devices are recognized by deviceId attribute given when connecting - paired ones skip the prompt.
+         * @method onPairingRequest
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} client - client data
+         * @param {string} pin - PIN to be shown
+         * @returns {undefined}
+         * @example
+         * FastCast.onPairingRequest(function (client, pin) {
+         *     tvApp.pairingPrompt.show(client, pin);
+         * });
+         */
+        onPairingRequest: setCallback('pairingRequest'),
+
+        /**
+         * Registers handler executed when pairing ends - client entered correct PIN or disconnected.
+         * It is also executed when client is locked out after too many wrong PINs, the PIN should be hidden then.
+         * Pairing is requested again with a new PIN once the lockout ends.
+         * @method onPairingEnd
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} client - client data
+         * @param {boolean} paired - false if client disconnected or was locked out before pairing
+         * @returns {undefined}
+         */
+        onPairingEnd: setCallback('pairingEnd'),
+
+        /**
+         * Registers handler executed when a client comes back within the grace time after disconnection.
+         * Such client connects with sessionToken attribute received in session message, gets back its role,
+         * negotiated protocol version and pairing and receives resumed message with state snapshot.
+         * @method onClientResume
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} client - client data
+         * @param {string} previousId - id of the client before disconnection
+         * @returns {undefined}
+         */
+        onClientResume: setCallback('resume'),
+
         /**
          * Connects device to the channel, so it can exchange messages with other devices.
-         * Registers protocol-defined messages (keydown, play, reclaim, seek, volume)
-         * so that channel message will dispatch a proper event (ms2:keydown, ms2:play, ms2:reclaim, ms2:seek, ms2:volume) to be handled in the application.
+         * Registers protocol-defined messages (keydown, play, reclaim, seek, volume, capabilities, pair, statusRequest,
+         * pause, resume, stop, next, previous, scrubStart, scrub, scrubEnd, load,
+         * queueAdd, queueInsertNext, queueRemove, queueReorder, queueClear, queueMode, textTrack,
+         * selectTrack, preferences, setQuality, thumbnail, setPlaybackRate) so that channel message will dispatch a proper event
+         * (ms2:keydown, ms2:play, ms2:reclaim, ms2:seek, ms2:volume, ms2:pause, ms2:resume, ms2:stop, ms2:next, ms2:previous,
+         * ms2:scrubStart, ms2:scrub, ms2:scrubEnd, ms2:load, ms2:queueAdd, ms2:queueInsertNext,
+         * ms2:queueRemove, ms2:queueReorder, ms2:queueClear, ms2:queueMode, ms2:textTrack, ms2:selectTrack,
+         * ms2:setQuality, ms2:thumbnail, ms2:setPlaybackRate) to be handled in the application.
          * Registers generic event (connect, disconnect, clientConnect, clientDisconnect) handlers.
          * Registers visibilityChange event callback to emit a proper message (suspend, restore) when tv application goes to and from the background.
          * @func connect
          * @memberof module:FastCast
          * @access public
          * @param {Object} [prop] - any attributes associated with the client
-         * @param {number} [maximumClients] - maximum number of simultaneously connected clients
+         * @param {boolean} [prop.pairing] - require new clients to enter PIN shown on TV screen
+         * @param {number} [maximumClients] - maximum number of simultaneously controlling clients, next ones become viewers
          * @returns {undefined}
          * @example
          * FastCast.connect({ name: "TV" });
@@ -1009,11 +3290,14 @@ var FastCast = (function(){
         play: play,
 
         /**
-         * Broadcasts recent status to other clients connected to the channel.
+         * Publishes recent status to other clients connected to the channel.
          * Status object can be provided as parameter or it will be generated automatically with the usage of
          * tizen.tvaudiocontrol (provides volume data)
          * and webapis.avplay (provides video player recent state)
          * This method does not work with HTML5Video.
+         * It is safe to call it on every player tick - updates are coalesced according to FastCast.setStatusRate,
+         * state changes are published immediately and clients get only the fields that changed,
+         * with periodic full status for the ones which joined late.
          * @method status
          * @memberof module:FastCast
          * @access public
@@ -1034,9 +3318,93 @@ var FastCast = (function(){
          */
         status: sendStatus,
 
+        /**
+         * Publishes play queue to all connected clients, so that they show the same "up next" list.
+         * Clients which connect later or send statusRequest receive the last published queue.
+         * @func queue
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} queueObj - queue state
+         * @param {Array} queueObj.items - queued items in play order: {itemId, media}
+         * @param {number|null} queueObj.currentItemId - id of the item being played
+         * @param {string} queueObj.repeat - repeat mode: off, one or all
+         * @param {boolean} queueObj.shuffle - shuffle mode
+         * @returns {undefined}
+         * @example
+         * var queue = PlayQueue(function (state) {
+         *     FastCast.queue(state);
+         * });
+         */
+        queue: sendQueue,
+
+        /**
+         * Publishes "Up next" card to all connected clients, so that they mirror its countdown.
+         * @func upNext
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} upNextObj - up next state
+         * @param {number|string} upNextObj.videoId - id of the video which is about to end
+         * @param {Object} upNextObj.media - media description of the next video
+         * @param {number|null} upNextObj.countdown - seconds until the next video starts, null when the card is hidden
+         * @param {boolean} upNextObj.cancelled - whether the user has cancelled autoplay
+         * @returns {undefined}
+         * @example
+         * FastCast.upNext({videoId: 1, media: {url: "http://example.com/2.mp4", title: "Next"}, countdown: 10,
+         *     cancelled: false});
+         */
+        upNext: sendUpNext,
+
+        /**
+         * Notifies all connected clients that the video has been played to the end.
+         * @func streamCompleted
+         * @memberof module:FastCast
+         * @access public
+         * @param {number|string} videoId - id of the completed video, -1 for media loaded by url
+         * @param {number|string|null} [next] - id of the video played next, null if playback has ended
+         * @returns {undefined}
+         * @example
+         * document.addEventListener("streamCompleted", function () {
+         *     FastCast.streamCompleted(recentVideoId, null);
+         * });
+         */
+        streamCompleted: sendStreamCompleted,
+
+        /**
+         * Returns language preferences sent by the client's device with preferences message.
+         * Preferences of devices with deviceId attribute are kept in the local storage.
+         * @func getPreferences
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} [clientId] - client id, e.g. clientId of ms2:play event detail; owner by default
+         * @returns {Object} {audioLanguage, textLanguage}, fields are missing if client hasn't set them
+         * @example
+         * webapis.avplay.prepareAsync(function () {
+         *     var preferences = FastCast.getPreferences(startedBy);
+         * });
+         */
+        getPreferences: getPreferences,
+
+        /**
+         * Sets status publishing rate.
+         * @func setStatusRate
+         * @memberof module:FastCast
+         * @access public
+         * @param {number} interval - minimal time between status messages in miliseconds, 500 by default
+         * @param {number} [keyframe] - time between full status messages in miliseconds, 10000 by default
+         * @returns {undefined}
+         * @example
+         * //at most 4 updates per second, full status every 5 seconds
+         * FastCast.setStatusRate(250, 5000);
+         */
+        setStatusRate: setStatusRate,
+
         /**
          * Broadcasts an error message to other clients connected to the channel.
-         * Predefined error types are: FastCast.error.NOT_CONNECTED, FastCast.error.NO_SUCH_STREAM, FastCast.error.SEEK_FAILED.
+         * Predefined error types are: FastCast.error.NOT_CONNECTED, FastCast.error.NO_SUCH_STREAM, FastCast.error.SEEK_FAILED,
+         * FastCast.error.INVALID_STATE, FastCast.error.NO_SUCH_ITEM, FastCast.error.NO_SUCH_TRACK,
+         * FastCast.error.DRM_NOT_SUPPORTED, FastCast.error.DRM_LICENSE_FAILED, FastCast.error.DRM_NO_LICENSE,
+         * FastCast.error.DRM_EXPIRED, FastCast.error.DRM_NOT_PERMITTED, FastCast.error.NO_THUMBNAILS,
+         * FastCast.error.RATE_NOT_SUPPORTED, FastCast.error.LOAD_CANCELLED.
          * Function accepts also simple strings or error objects.
          * @func error
          * @memberof module:FastCast
@@ -1051,6 +3419,42 @@ var FastCast = (function(){
          */
         error: error,
 
+        /**
+         * Acknowledges successful handling of a request sent with requestId.
+         * Ack message is sent only to the client which sent the request.
+         * Request ids of play and seek messages are passed in ms2:play and ms2:seek event details
+         * and have to be acknowledged by the application, other messages are acknowledged automatically.
+         * Request ids are unique per client, so the request is identified by both ids from the event detail.
+         * @func ack
+         * @memberof module:FastCast
+         * @access public
+         * @param {number} clientId - id of the client which sent the request
+         * @param {string|number} requestId - request id
+         * @param {*} [result] - result of the command
+         * @returns {boolean} false if there is no such request pending
+         * @example
+         * document.addEventListener("ms2:seek", function (e) {
+         *     player.seekTo(e.detail.position);
+         *     FastCast.ack(e.detail.clientId, e.detail.requestId, {position: e.detail.position});
+         * });
+         */
+        ack: ack,
+
+        /**
+         * Rejects a request sent with requestId.
+         * Nack message with structured error is sent only to the client which sent the request.
+         * @func nack
+         * @memberof module:FastCast
+         * @access public
+         * @param {number} clientId - id of the client which sent the request
+         * @param {string|number} requestId - request id
+         * @param {string|number|object} type - custom message string or predefined error type or error object
+         * @returns {boolean} false if there is no such request pending
+         * @example
+         * FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_STREAM);
+         */
+        nack: nack,
+
         /**
          * Registers custom channel message handler (you can send custom messages with send method).
          * Following event names which are defined in FastCast library are restricted:
@@ -1060,14 +3464,37 @@ var FastCast = (function(){
          * @access public
          * @param {string} eventName - event name
          * @param {function} callback - event handler
+         * @param {Object} [schema] - message schema, invalid messages are rejected with 400 error before the handler runs
          * @returns {undefined}
          * @example
          * FastCast.on('myChannelMsg', function (msg, from) {
          *     console.log(from.attributes.name + " has just sent me myChannelMsg: " + msg);
          * });
+         *
+         * @example
+         * //Handler runs only for messages like {"rating": 4}
+         * FastCast.on('rate', function (msg, from) {
+         *     saveRating(JSON.parse(msg).rating);
+         * }, {rating: {type: "integer", min: 1, max: 5, required: true}});
          */
         on: on,
 
+        /**
+         * Registers schema of the message. Messages not matching the schema are rejected with 400 error
+         * sent to the offending client, containing invalid field name and the reason.
+         * Field rules may define: type ("string", "number", "integer", "boolean", "object", "array" or an array of these),
+         * required, min, max, maxLength and enum.
+         * @func setSchema
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} eventName - message name
+         * @param {Object} schema - map of field names to rules
+         * @returns {undefined}
+         * @example
+         * FastCast.setSchema('chat', {text: {type: "string", maxLength: 200, required: true}});
+         */
+        setSchema: setSchema,
+
         /**
          * Function sets private variable videoId.
          * @func setVideoId
@@ -1087,6 +3514,105 @@ var FastCast = (function(){
          */
         getVideoId: getVideoId,
 
+        /**
+         * Sets player features advertised to clients in hello message.
+         * Given features are merged with already set ones.
+         * @func setFeatures
+         * @memberof module:FastCast
+         * @access public
+         * @param {Object} features - feature flags and values
+         * @returns {undefined}
+         * @example
+         * FastCast.setFeatures({ uhd: webapis.productinfo.isUdPanelSupported() });
+         */
+        setFeatures: setFeatures,
+
+        /**
+         * Returns protocol version negotiated with particular client.
+         * Clients which haven't sent their capabilities are treated as legacy (version 1) ones.
+         * @func getClientVersion
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @returns {number}
+         */
+        getClientVersion: getClientVersion,
+
+        /**
+         * Returns role of the client. First connected client is the owner, next ones are controllers
+         * and clients exceeding maximum clients number are viewers which can only receive status.
+         * Owner is the only one allowed to send reclaim and volume messages.
+         * @func getRole
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @returns {string|null} owner, controller, viewer, revoked or null if client is unknown
+         */
+        getRole: getRole,
+
+        /**
+         * Sets role of the client. There is only one owner - the previous one becomes a controller.
+         * Client is notified with role message.
+         * @func setRole
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @param {string} role - owner, controller, viewer or revoked
+         * @returns {boolean} false if client or role is unknown
+         */
+        setRole: setRole,
+
+        /**
+         * Raises client's role by one level: revoked client becomes a viewer, viewer becomes a controller
+         * and controller becomes the owner.
+         * @func promote
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @returns {boolean} false if client can't be promoted
+         * @example
+         * FastCast.promote(client.id);
+         */
+        promote: promote,
+
+        /**
+         * Lowers client's role by one level: owner becomes a controller and controller becomes a viewer.
+         * @func demote
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @returns {boolean} false if client can't be demoted
+         */
+        demote: demote,
+
+        /**
+         * Revokes all permissions of the client, until it reconnects or is promoted.
+         * @func revoke
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} clientId - client id
+         * @returns {boolean} false if client is unknown
+         */
+        revoke: revoke,
+
+        /**
+         * Forgets paired device, it will have to enter PIN again on next connection.
+         * Forgets all devices if deviceId is not given.
+         * @func unpair
+         * @memberof module:FastCast
+         * @access public
+         * @param {string} [deviceId] - device id
+         * @returns {undefined}
+         */
+        unpair: unpair,
+
+        /**
+         * Protocol version implemented by this library.
+         * @member {number} PROTOCOL_VERSION
+         * @memberof module:FastCast
+         */
+        PROTOCOL_VERSION: PROTOCOL_VERSION,
+
         /**
          * Checks if there are any client devices connected. Doesn't give
          * any information about number of connected clients though.
@@ -1097,7 +3623,7 @@ var FastCast = (function(){
          */
         isClientConnected: isClientConnected
     }
-}());
+}));
 
 if (typeof module !== "undefined" && module.exports) {
     module.exports.FastCast = FastCast;
@@ -0,0 +1,500 @@
+/**
+ * @file FastCast transports
+ * @copyright Copyright (c) 2015 Samsung Electronics, Visual Display Division. All Rights Reserved.
+ * @description Transports providing FastCast with a channel. Transport is an object with
+ * <code>open(chanName, callback)</code> method, callback receives an error or null and the channel.
+ * Channel exposes the part of MultiScreen Channel used by FastCast:
+ * on, off, emit, publish, connect, disconnect, setSecurityMode, clients and isConnected.
+ *
+ * @example
+ * //default, Samsung MultiScreen service of the TV
+ * FastCast.setTransport(FastCastTransport.msf());
+ * //development in desktop browser against local stand-in server
+ * FastCast.setTransport(FastCastTransport.webSocket("ws://localhost:8001"));
+ * //tests, senders are simulated in the same page
+ * var transport = FastCastTransport.memory();
+ * FastCast.setTransport(transport);
+ * var sender = transport.connectClient("com.samsung.MultiScreenPlayer", {name: "phone"});
+ * sender.publish("keydown", JSON.stringify({keycode: "MediaPlay"}));
+ */
+
+/**
+ * @module FastCastTransport
+ */
+var FastCastTransport = (function () {
+
+    /**
+     * Creates channel client description.
+     * @func createClient
+     * @memberof module:FastCastTransport
+     * @private
+     * @param {string} id - client id
+     * @param {Object} [attributes] - attributes passed by the client when connecting
+     * @param {boolean} [isHost] - whether client is the TV application
+     * @returns {Object}
+     */
+    function createClient(id, attributes, isHost) {
+        return {
+            id: id,
+            attributes: attributes || {},
+            isHost: !!isHost,
+            connectTime: Date.now()
+        };
+    }
+
+    /**
+     * Creates event emitter with on, off and emit methods.
+     * Handlers receive all emit arguments except the event name.
+     * @func createEmitter
+     * @memberof module:FastCastTransport
+     * @private
+     * @returns {Object}
+     */
+    function createEmitter() {
+        var handlers = {};
+
+        return {
+            on: function (event, handler) {
+                if (!handlers[event]) {
+                    handlers[event] = [];
+                }
+                handlers[event].push(handler);
+            },
+            off: function (event, handler) {
+                if (!handlers[event]) {
+                    return;
+                }
+                if (!handler) {
+                    delete handlers[event];
+                    return;
+                }
+                handlers[event] = handlers[event].filter(function (registered) {
+                    return registered !== handler;
+                });
+            },
+            emit: function (event) {
+                var args = Array.prototype.slice.call(arguments, 1);
+
+                (handlers[event] || []).slice().forEach(function (handler) {
+                    handler.apply(null, args);
+                });
+            }
+        };
+    }
+
+    /**
+     * Creates channel object with emitter methods and empty clients list.
+     * @func createChannel
+     * @memberof module:FastCastTransport
+     * @private
+     * @returns {Object}
+     */
+    function createChannel() {
+        var channel = createEmitter();
+
+        channel.clients = [];
+        channel.isConnected = false;
+        // TLS is handled by MultiScreen service only
+        channel.setSecurityMode = function () {};
+        return channel;
+    }
+
+    /**
+     * Returns ids of clients targeted by publish call, in the same manner as MultiScreen does:
+     * "broadcast" (default) - everyone except the sender, "all" - everyone, "host" - TV application,
+     * client id or array of client ids.
+     * @func resolveTargets
+     * @memberof module:FastCastTransport
+     * @private
+     * @param {Array} clients - connected clients
+     * @param {string} fromId - id of sending client
+     * @param {string|Array} [target] - message target
+     * @returns {Array} ids of recipients
+     */
+    function resolveTargets(clients, fromId, target) {
+        var ids = clients.map(function (client) {
+            return client.id;
+        });
+
+        if (target === undefined || target === null || target === "broadcast") {
+            return ids.filter(function (id) {
+                return id !== fromId;
+            });
+        }
+        if (target === "all") {
+            return ids;
+        }
+        if (target === "host") {
+            return clients.filter(function (client) {
+                return client.isHost;
+            }).map(function (client) {
+                return client.id;
+            });
+        }
+        if (!Array.isArray(target)) {
+            target = [target];
+        }
+        return ids.filter(function (id) {
+            return target.indexOf(id) !== -1;
+        });
+    }
+
+    /**
+     * Samsung MultiScreen transport. Requires msf library to be loaded.
+     * @func msfTransport
+     * @memberof module:FastCastTransport
+     * @private
+     * @returns {Object} transport
+     */
+    function msfTransport() {
+        return {
+            open: function (chanName, callback) {
+                if (typeof msf === "undefined") {
+                    callback(new Error("MultiScreen framework not loaded"));
+                    return;
+                }
+                msf.local(function (err, service) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    callback(null, service.channel(chanName));
+                });
+            }
+        };
+    }
+
+    /**
+     * In-memory transport. TV application and senders live in the same page,
+     * senders are created with createClient or connectClient method. Messages are delivered synchronously.
+     * @func memoryTransport
+     * @memberof module:FastCastTransport
+     * @private
+     * @returns {Object} transport
+     */
+    function memoryTransport() {
+        var channels = {},
+            lastId = 0;
+
+        function getChannel(chanName) {
+            var channel = channels[chanName],
+                host = null,
+                senders = {};
+
+            if (channel) {
+                return channel;
+            }
+            channel = createChannel();
+            channels[chanName] = channel;
+
+            function deliver(from, event, data, target, payload) {
+                var recipients = resolveTargets(channel.clients, from.id, target);
+
+                recipients.forEach(function (id) {
+                    if (host && id === host.id) {
+                        channel.emit(event, data, from, payload);
+                    } else if (senders[id]) {
+                        senders[id].emit(event, data, from, payload);
+                    }
+                });
+            }
+
+            function notify(event, client) {
+                if (channel.isConnected) {
+                    channel.emit(event, client);
+                }
+                Object.keys(senders).forEach(function (id) {
+                    if (id !== client.id) {
+                        senders[id].emit(event, client);
+                    }
+                });
+            }
+
+            channel.connect = function (attributes, callback) {
+                if (channel.isConnected) {
+                    if (typeof callback === "function") {
+                        callback(null);
+                    }
+                    return;
+                }
+                lastId += 1;
+                host = createClient("host-" + lastId, attributes, true);
+                channel.clients.unshift(host);
+                channel.isConnected = true;
+                channel.emit("connect", host);
+                if (typeof callback === "function") {
+                    callback(null);
+                }
+            };
+
+            channel.disconnect = function (callback) {
+                if (!channel.isConnected) {
+                    return;
+                }
+                channel.isConnected = false;
+                channel.clients.splice(channel.clients.indexOf(host), 1);
+                notify("clientDisconnect", host);
+                channel.emit("disconnect", host);
+                host = null;
+                if (typeof callback === "function") {
+                    callback(null);
+                }
+            };
+
+            channel.publish = function (event, data, target, payload) {
+                if (!channel.isConnected) {
+                    return;
+                }
+                deliver(host, event, data, target, payload);
+            };
+
+            channel.createSender = function (attributes) {
+                var sender = createEmitter();
+
+                lastId += 1;
+                sender.client = createClient("client-" + lastId, attributes);
+                sender.id = sender.client.id;
+                sender.isConnected = false;
+                sender.connect = function () {
+                    if (sender.isConnected) {
+                        return;
+                    }
+                    sender.isConnected = true;
+                    sender.client.connectTime = Date.now();
+                    senders[sender.id] = sender;
+                    channel.clients.push(sender.client);
+                    notify("clientConnect", sender.client);
+                };
+                sender.publish = function (event, data, target, payload) {
+                    if (!sender.isConnected) {
+                        return;
+                    }
+                    deliver(sender.client, event, data, target === undefined ? "host" : target, payload);
+                };
+                sender.disconnect = function () {
+                    if (!sender.isConnected) {
+                        return;
+                    }
+                    sender.isConnected = false;
+                    channel.clients.splice(channel.clients.indexOf(sender.client), 1);
+                    delete senders[sender.id];
+                    notify("clientDisconnect", sender.client);
+                };
+                return sender;
+            };
+
+            return channel;
+        }
+
+        return {
+            open: function (chanName, callback) {
+                callback(null, getChannel(chanName));
+            },
+
+            /**
+             * Creates simulated sender, not connected yet.
+             * Sender has on, off, connect, publish (to TV application by default) and disconnect methods.
+             * @param {string} chanName - name of the channel
+             * @param {Object} [attributes] - sender attributes, e.g. name, deviceId, sessionToken
+             * @returns {Object} sender
+             */
+            createClient: function (chanName, attributes) {
+                return getChannel(chanName).createSender(attributes);
+            },
+
+            /**
+             * Creates simulated sender and connects it to the channel.
+             * @param {string} chanName - name of the channel
+             * @param {Object} [attributes] - sender attributes, e.g. name, deviceId, sessionToken
+             * @returns {Object} sender
+             */
+            connectClient: function (chanName, attributes) {
+                var sender = getChannel(chanName).createSender(attributes);
+
+                sender.connect();
+                return sender;
+            }
+        };
+    }
+
+    /**
+     * Local WebSocket transport, for development against a stand-in server.
+     * Channel connects to url/chanName with client attributes in the query string.
+     * Messages use MultiScreen wire format:
+     * sent - {method: "ms.channel.emit", params: {event, data, to}},
+     * received - {event: "ms.channel.connect", data: {id, clients}},
+     * {event: "ms.channel.clientConnect"|"ms.channel.clientDisconnect", data: client}
+     * and {event, data, from} for channel messages.
+     * Binary payloads are not supported.
+     * @func webSocketTransport
+     * @memberof module:FastCastTransport
+     * @private
+     * @param {string} url - server url, e.g. ws://localhost:8001
+     * @returns {Object} transport
+     */
+    function webSocketTransport(url) {
+        return {
+            open: function (chanName, callback) {
+                var channel = createChannel(),
+                    socket = null,
+                    me = null,
+                    onConnected = null;
+
+                if (typeof WebSocket === "undefined") {
+                    callback(new Error("WebSocket is not supported"));
+                    return;
+                }
+
+                function getClient(id) {
+                    var i;
+
+                    for (i = 0; i < channel.clients.length; i += 1) {
+                        if (channel.clients[i].id === id) {
+                            return channel.clients[i];
+                        }
+                    }
+                    return null;
+                }
+
+                function onMessage(e) {
+                    var msg, client;
+
+                    try {
+                        msg = JSON.parse(e.data);
+                    } catch (err) {
+                        console.error("FastCast transport: malformed message", e.data);
+                        return;
+                    }
+                    switch (msg.event) {
+                    case "ms.channel.connect":
+                        channel.clients = msg.data.clients || [];
+                        me = getClient(msg.data.id) || createClient(msg.data.id, {}, true);
+                        me.isHost = true;
+                        if (channel.clients.indexOf(me) === -1) {
+                            channel.clients.unshift(me);
+                        }
+                        channel.isConnected = true;
+                        channel.emit("connect", me);
+                        if (onConnected) {
+                            onConnected(null);
+                            onConnected = null;
+                        }
+                        break;
+                    case "ms.channel.clientConnect":
+                        channel.clients.push(msg.data);
+                        channel.emit("clientConnect", msg.data);
+                        break;
+                    case "ms.channel.clientDisconnect":
+                        client = getClient(msg.data.id) || msg.data;
+                        channel.clients = channel.clients.filter(function (connected) {
+                            return connected.id !== client.id;
+                        });
+                        channel.emit("clientDisconnect", client);
+                        break;
+                    default:
+                        channel.emit(msg.event, msg.data, getClient(msg.from) || {id: msg.from, attributes: {}});
+                    }
+                }
+
+                function onClose() {
+                    if (onConnected) {
+                        onConnected(new Error("FastCast transport: connection to " + url + " failed"));
+                        onConnected = null;
+                    }
+                    if (channel.isConnected) {
+                        channel.isConnected = false;
+                        channel.clients = [];
+                        channel.emit("disconnect", me);
+                    }
+                    socket = null;
+                }
+
+                channel.connect = function (attributes, callback) {
+                    var query = Object.keys(attributes || {}).map(function (key) {
+                        var value = attributes[key];
+
+                        if (typeof value === "object") {
+                            value = JSON.stringify(value);
+                        }
+                        return encodeURIComponent(key) + "=" + encodeURIComponent(value);
+                    }).join("&");
+
+                    if (socket) {
+                        return;
+                    }
+                    onConnected = typeof callback === "function" ? callback : null;
+                    socket = new WebSocket(url.replace(/\/$/, "") + "/" + encodeURIComponent(chanName) +
+                        (query ? "?" + query : ""));
+                    socket.onmessage = onMessage;
+                    socket.onclose = onClose;
+                };
+
+                channel.disconnect = function (callback) {
+                    if (socket) {
+                        socket.close();
+                    }
+                    if (typeof callback === "function") {
+                        callback(null);
+                    }
+                };
+
+                channel.publish = function (event, data, target, payload) {
+                    if (!socket || !channel.isConnected) {
+                        return;
+                    }
+                    if (payload) {
+                        console.warn("FastCast transport: binary payload of " + event + " dropped");
+                    }
+                    socket.send(JSON.stringify({
+                        method: "ms.channel.emit",
+                        params: {event: event, data: data, to: target === undefined ? "broadcast" : target}
+                    }));
+                };
+
+                callback(null, channel);
+            }
+        };
+    }
+
+    return {
+        /**
+         * Creates Samsung MultiScreen transport, used by FastCast by default.
+         * @func msf
+         * @memberof module:FastCastTransport
+         * @access public
+         * @returns {Object} transport
+         * @example
+         * FastCast.setTransport(FastCastTransport.msf());
+         */
+        msf: msfTransport,
+
+        /**
+         * Creates in-memory transport. Senders are simulated with transport.connectClient(chanName, attributes).
+         * @func memory
+         * @memberof module:FastCastTransport
+         * @access public
+         * @returns {Object} transport
+         * @example
+         * var transport = FastCastTransport.memory();
+         * FastCast.setTransport(transport);
+         * FastCast.init("com.samsung.MultiScreenPlayer", document, function () {
+         *     FastCast.connect();
+         *     var phone = transport.connectClient("com.samsung.MultiScreenPlayer", {name: "phone"});
+         *     phone.on("hello", function (data) { console.log(data.version); });
+         * });
+         */
+        memory: memoryTransport,
+
+        /**
+         * Creates WebSocket transport connecting to a local stand-in server.
+         * @func webSocket
+         * @memberof module:FastCastTransport
+         * @access public
+         * @param {string} url - server url
+         * @returns {Object} transport
+         * @example
+         * FastCast.setTransport(FastCastTransport.webSocket("ws://localhost:8001"));
+         */
+        webSocket: webSocketTransport
+    };
+})();
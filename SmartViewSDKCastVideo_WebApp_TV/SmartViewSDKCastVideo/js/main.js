@@ -14,8 +14,20 @@ var tvApp = {
     currentVolume: tizen.tvaudiocontrol.getVolume(),
     isMute: tizen.tvaudiocontrol.isMute(),
     internetConnectionTest: null,
+    /**
+     * Options passed to FastCast.connect, set pairing to true to make new senders enter PIN shown on the TV.
+     */
+    fastCastOptions: {
+        test: "test",
+        pairing: false
+    },
+    /**
+     * Id of the sender which started playback, its language preferences are applied.
+     * Preferences of the owner are used for playback started on the TV.
+     */
+    startedBy: undefined,
     stateObj: {
-        state: "NONE",
+        state: "IDLE",
         position: -1,
         totalTime: -1,
         videoId: -1,
@@ -61,8 +73,119 @@ var tvApp = {
         };
     }()),
 
+    /**
+     * Shows PINs of senders being paired. Unlike messages, a PIN stays on the screen until its pairing ends.
+     */
+    pairingPrompt: (function () {
+        var promptEl = document.getElementById('pairing-prompt');
+        var pins = {};
+
+        var render = function () {
+            var ids = Object.keys(pins);
+
+            promptEl.textContent = ids.map(function (id) {
+                return pins[id];
+            }).join('\n');
+            promptEl.style.display = ids.length ? 'block' : 'none';
+        };
+
+        /**
+         * Shows PIN of the sender, replacing its previous one.
+         * @param {Object} client - FastCast client data
+         * @param {String} pin - PIN to be entered on the sender
+         */
+        var show = function (client, pin) {
+            pins[client.id] = (client.attributes.name || 'new device') + ' wants to connect, enter PIN ' + pin;
+            render();
+        };
+
+        /**
+         * Hides PIN of the sender.
+         * @param {Object} client - FastCast client data
+         */
+        var hide = function (client) {
+            delete pins[client.id];
+            render();
+        };
+
+        return {
+            show: show,
+            hide: hide
+        };
+    }()),
+
+    /**
+     * Asks whether video with saved progress is resumed or played from the start.
+     */
+    resumePrompt: (function () {
+        var promptEl = document.getElementById('resume-prompt');
+        var pending = null;
+
+        var isVisible = function () {
+            return pending !== null;
+        };
+
+        /**
+         * Shows the prompt, its choice plays the video.
+         * @param {HTML Li Element} videoEl - video list item
+         * @param {Object} saved - saved progress, {videoId, position, totalTime}
+         * @param {Object} [data] - play message data passed to tvApp.playVideo
+         */
+        var show = function (videoEl, saved, data) {
+            pending = {videoEl: videoEl, position: saved.position, data: data};
+            promptEl.querySelector('.resume-title').textContent = videoEl.dataset.videotitle;
+            promptEl.querySelector('.resume-position').textContent = tvApp.player.formatMsToString(saved.position);
+            promptEl.style.display = 'block';
+            bishopNavigation.focus(promptEl.querySelector('.resume'), 'keyboard');
+            tvApp.registerKeyHandler('resume-prompt');
+            tvApp.stateObj.resumePrompt = {videoId: saved.videoId, position: saved.position, totalTime: saved.totalTime};
+            FastCast.status(tvApp.stateObj);
+        };
+
+        /**
+         * Hides the prompt and focuses its video in the video list again.
+         */
+        var cancel = function () {
+            var videoEl;
+
+            if (pending === null) {
+                return;
+            }
+            videoEl = pending.videoEl;
+            pending = null;
+            promptEl.style.display = 'none';
+            bishopNavigation.focus(videoEl, 'keyboard');
+            tvApp.registerKeyHandler('video-list');
+            tvApp.stateObj.resumePrompt = null;
+            FastCast.status(tvApp.stateObj);
+        };
+
+        /**
+         * Plays the video of the prompt.
+         * @param {Boolean} resume - true resumes from saved position, false starts over
+         */
+        var choose = function (resume) {
+            var chosen = pending;
+
+            if (chosen === null) {
+                return;
+            }
+            cancel();
+            tvApp.playVideo(chosen.videoEl, resume ? chosen.position : 0, undefined, chosen.data);
+        };
+
+        return {
+            show: show,
+            cancel: cancel,
+            choose: choose,
+            isVisible: isVisible
+        };
+    }()),
+
     init: function () {
         this.eventBus = document;
+        this.playerState = new PlayerState(this.eventBus);
+        this.trackPlayerState();
         if(webapis && webapis.network && webapis.network.getIp) {
             document.querySelector('.ip').textContent = webapis.network.getIp();
             document.querySelector('.iptext').style.display = 'inline';
@@ -99,31 +222,11 @@ var tvApp = {
                 list: tvApp.videoList,
                 data: JSON.parse(data).movies,
                 callback: function () {
-                    var movies = document.querySelectorAll('.navigable');
-                    var i, iMax = movies.length, movie;
-
-                    for (i = 0; i < iMax; i += 1) {
-                        movie = movies[i];
-                        movie.removeEventListener('focus', onFocus);
-                        movie.addEventListener('focus', onFocus);
-                    }
-
-
-                    function documentOffsetTop(el) {
-                        return el.offsetTop + ( el.offsetParent ? documentOffsetTop(el.offsetParent) : 0 );
-                    }
-
-                    function onFocus(e) {
-                        console.log(e);
-                        var el = document.querySelector('.navigable.focused');
-                        var top = documentOffsetTop(el) - ( window.innerHeight / 3 );
-                        app.videoList.parentNode.scrollTop = top;
-                        app.stateObj.videoId = el.dataset.videoid;
-                        app.stateObj.videoURL = el.dataset.video;
-                    }
+                    app.listenToFocus('#video-list .navigable');
                 }
             };
             new VideoList(videosConfig);
+            app.continueWatching.render();
             bishopNavigation.focus(document.getElementById('video-list').firstElementChild, 'keyboard');
         });
 
@@ -151,6 +254,29 @@ var tvApp = {
         this.volumeControl = new VolumeControl(this.volumeOSD);
         this.volumeControl.init(this.stateObj);
 
+        this.subtitles = new Subtitles(document.getElementById('subtitles'));
+
+        this.drm = new Drm();
+
+        this.upNext = new UpNext(document.getElementById('up-next'));
+
+        this.thumbnails = new Thumbnails(document.querySelector('.trick-play'));
+
+        this.continueWatching = new ContinueWatching({
+            row: document.getElementById('continue-watching'),
+            list: document.getElementById('continue-list'),
+            getVideo: function (videoId) {
+                return app.getCatalogVideo(videoId);
+            },
+            callback: function () {
+                app.listenToFocus('#continue-list .navigable');
+            }
+        });
+
+        this.queue = new PlayQueue(function (queueState) {
+            FastCast.queue(queueState);
+        });
+
         this.timeouter = Timeouter(document.querySelectorAll('body > nav, .video-controls'));
         this.viewManager.setView('video-list');
     },
@@ -166,14 +292,17 @@ var tvApp = {
             };
         };
         var setView = function (mode) {
-            var selectedVideo = document.querySelector('.navigable.focused');
-            
+            var selectedVideo;
+
+            //video of the prompt gets focus back
+            tvApp.resumePrompt.cancel();
+            selectedVideo = tvApp.getFocusedVideo();
             recentView.mode = mode;
 
             switch (mode) {
                 case 'video-player':
                     tvApp.registerKeyHandler('video-player');
-                    tvApp.logoContainer.textContent = selectedVideo.dataset.videotitle;
+                    tvApp.showMedia(tvApp.stateObj.media || tvApp.getCatalogMedia(selectedVideo));
 
                     tvApp.videoList.parentNode.style.display = 'none';
                     tvApp.videoPlayer.style.display = 'block';
@@ -181,12 +310,19 @@ var tvApp = {
                     break;
                 default:
                     //video-list mode
-                    if (webapis.avplay.getState() !== 'IDLE' && webapis.avplay.getState() !== 'NONE') {
+                    if (!tvApp.playerState.is('idle')) {
                         tvApp.player.stop();
                         tvApp.action = 'stop';
                     }
                     tvApp.registerKeyHandler('video-list');
                     tvApp.timeouter.clear();
+                    delete tvApp.stateObj.queueItemId;
+                    if (selectedVideo) {
+                        //status describes focused video again, not the media loaded by url
+                        tvApp.stateObj.videoId = selectedVideo.dataset.videoid;
+                        tvApp.stateObj.videoURL = selectedVideo.dataset.video;
+                        tvApp.stateObj.media = tvApp.getCatalogMedia(selectedVideo);
+                    }
                     tvApp.logoContainer.textContent = 'SmartViewSDK Cast Video';
                     tvApp.videoPlayer.style.display = 'none';
                     tvApp.videoList.parentNode.style.display = 'block';
@@ -267,8 +403,8 @@ var tvApp = {
             case 13:    // Enter
             case 415:   // MediaPlay
             case 10252: // MediaPlayPause
-                tvApp.viewManager.setView('video-player');
-                tvApp.action = tvApp.player.playPause(document.querySelector('.navigable.focused').dataset.video);
+                tvApp.startedBy = undefined;
+                tvApp.openVideo(tvApp.getFocusedVideo());
                 break;
             case 10009: // Return
                 tizen.application.getCurrentApplication().hide();
@@ -280,6 +416,19 @@ var tvApp = {
         }
     },
 
+    promptKeyHandler: function (e) {
+        switch(e.keyCode) {
+            case 13:    // Enter
+                tvApp.resumePrompt.choose(document.querySelector('#resume-prompt .resume.focused') !== null);
+                break;
+            case 10009: // Return
+                tvApp.resumePrompt.cancel();
+                break;
+            default:
+                tvApp.defaultKeyHandler(e);
+        }
+    },
+
     playerKeyHandler: function (e) {
         switch(e.keyCode) {
             case 13:    // Enter
@@ -287,15 +436,15 @@ var tvApp = {
                 break;
             case 10252: // MediaPlayPause
                 tvApp.timeouter.set();
-                tvApp.action = tvApp.player.playPause(document.querySelector('.navigable.focused').dataset.video);
+                tvApp.action = tvApp.player.playPause(tvApp.stateObj.videoURL);
                 break;
             case 415:   // MediaPlay
                 tvApp.timeouter.set();
-                tvApp.action = tvApp.player.playPause(document.querySelector('.navigable.focused').dataset.video);
+                tvApp.action = tvApp.player.playPause(tvApp.stateObj.videoURL);
                 break;
             case 19:    // MediaPause
                 tvApp.timeouter.set();
-                tvApp.action = tvApp.player.playPause(document.querySelector('.navigable.focused').dataset.video);
+                tvApp.action = tvApp.player.playPause(tvApp.stateObj.videoURL);
                 break;
             case 413:   // MediaStop
                 tvApp.viewManager.setView('video-list');
@@ -309,7 +458,10 @@ var tvApp = {
                 tvApp.player.rew();
                 break;
             case 10009: // Return
-                tvApp.viewManager.setView('video-list');
+                //Return cancels autoplay of the next video first
+                if (!tvApp.upNext.cancel()) {
+                    tvApp.viewManager.setView('video-list');
+                }
                 break;
             default:
                 tvApp.defaultKeyHandler(e);
@@ -323,6 +475,7 @@ var tvApp = {
     registerKeyHandler: function (viewType) {
         this.eventBus.removeEventListener('keydown', this.listKeyHandler);
         this.eventBus.removeEventListener('keydown', this.playerKeyHandler);
+        this.eventBus.removeEventListener('keydown', this.promptKeyHandler);
         this.eventBus.removeEventListener('keydown', this.defaultKeyHandler);
 
         switch(viewType) {
@@ -332,17 +485,48 @@ var tvApp = {
             case 'video-player':
                 this.eventBus.addEventListener('keydown', this.playerKeyHandler);
                 break;
+            case 'resume-prompt':
+                this.eventBus.addEventListener('keydown', this.promptKeyHandler);
+                break;
             default:
                 this.eventBus.addEventListener('keydown', this.defaultKeyHandler);
                 break;
         }
     },
 
+    /**
+     * Subscribes player controls, volume tracking and FastCast status to player state changes.
+     */
+    trackPlayerState: function () {
+        this.eventBus.addEventListener('player:statechange', function (e) {
+            var state = e.detail.state;
+            var playPause = document.querySelector('.play-pause');
+            var loader = document.querySelector('.loader');
+
+            //icon keeps showing the action which has been chosen while buffering or seeking
+            if (state === 'playing') {
+                playPause.classList.remove('fa-play');
+                playPause.classList.add('fa-pause');
+            } else if (state !== 'buffering' && state !== 'seeking') {
+                playPause.classList.remove('fa-pause');
+                playPause.classList.add('fa-play');
+            }
+            if (state === 'loading' || state === 'buffering' || state === 'seeking') {
+                loader.classList.add('active');
+            } else {
+                loader.classList.remove('active');
+            }
+            tvApp.stateObj.state = tvApp.playerState.toStatus();
+            tvApp.volumeControl.trackVolume(tvApp.stateObj);
+            FastCast.status(tvApp.stateObj);
+        });
+    },
+
     registerMouseEvents: function () {
         document.querySelector('.video-controls .play').addEventListener('click', tvApp.player.playPause);
         document.querySelector('.video-controls .stop').addEventListener('click', tvApp.player.stop);
-        document.querySelector('.video-controls .ff').addEventListener('click', tvApp.player.ff);
-        document.querySelector('.video-controls .rew').addEventListener('click', tvApp.player.rew);
+        document.querySelector('.video-controls .ff').addEventListener('click', tvApp.player.ff.bind(tvApp.player));
+        document.querySelector('.video-controls .rew').addEventListener('click', tvApp.player.rew.bind(tvApp.player));
 
 
         this.eventBus.addEventListener("currentdata", function (e) {
@@ -353,6 +537,28 @@ var tvApp = {
 
         this.eventBus.addEventListener("streamCompleted", function () {
             //FastCast.send('tvAction', {action: 'streamCompleted', current: null, total: null});
+            var completedVideoId = tvApp.stateObj.videoId;
+            var nextVideo = tvApp.upNext.complete();
+            var nextItem, saved;
+
+            //watched video isn't offered to continue
+            tvApp.continueWatching.remove(completedVideoId);
+            if (tvApp.stateObj.queueItemId !== undefined) {
+                nextItem = tvApp.queue.next(true);
+                if (nextItem) {
+                    tvApp.playQueueItem(nextItem);
+                    FastCast.streamCompleted(completedVideoId, tvApp.stateObj.videoId);
+                    return;
+                }
+            } else if (nextVideo) {
+                saved = tvApp.continueWatching.get(nextVideo.dataset.videoid);
+                tvApp.playVideo(nextVideo, saved ? saved.position : 0);
+                FastCast.streamCompleted(completedVideoId, tvApp.stateObj.videoId);
+                return;
+            }
+            FastCast.streamCompleted(completedVideoId, null);
+            //nothing to play, user isn't left on the black player view
+            tvApp.viewManager.setView('video-list');
         }, false);
     },
 
@@ -364,29 +570,594 @@ var tvApp = {
             THAT.volumeControl.setVolume(e.detail.volume);
         });
         this.eventBus.addEventListener("ms2:seek", function (e){
-            console.debug("Received command to seek. Value: position: " + e.detail.position);
-            tvApp.player.seek(e.detail.position);
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            if (e.detail.position !== undefined) {
+                console.debug("Received command to seek. Value: position: " + e.detail.position);
+                tvApp.player.seek(e.detail.position, e.detail);
+            } else {
+                console.debug("Received command to seek. Value: offset: " + e.detail.offset);
+                tvApp.player.seekBy(e.detail.offset, e.detail);
+            }
+        });
+        this.eventBus.addEventListener("ms2:scrubStart", function (e) {
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            tvApp.player.startScrub();
+            //keep controls with the preview visible while scrubbing
+            tvApp.timeouter.clear();
+        });
+        this.eventBus.addEventListener("ms2:scrub", function (e) {
+            tvApp.player.scrub(e.detail.position);
+        });
+        this.eventBus.addEventListener("ms2:scrubEnd", function (e) {
+            if (!tvApp.player.isScrubbing()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            tvApp.player.endScrub(!e.detail.cancel, e.detail.position, e.detail);
+            tvApp.timeouter.set();
         });
         this.eventBus.addEventListener("ms2:play", function (e){
             console.debug("Received command to play. Values: movie ID: " + e.detail.videoId + ", starting position: " + e.detail.position);
-            var selectedVideoId = document.querySelector('.navigable.focused').dataset.videoid;
-            bishopNavigation.focus(document.querySelector('li[data-videoid="' + e.detail.videoId + '"]'), 'keyboard');
+            var requestedVideo = tvApp.getCatalogVideo(e.detail.videoId);
 
-            if (webapis.avplay.getState() !== 'IDLE' && webapis.avplay.getState() !== 'NONE') {
-                tvApp.player.stop();
+            tvApp.startedBy = e.detail.clientId;
+            if (e.detail.position === undefined) {
+                tvApp.openVideo(requestedVideo, e.detail, e.detail.data);
+                return;
             }
-            tvApp.player.play(document.querySelector('.navigable.focused').dataset.video, e.detail.position);
-            tvApp.viewManager.setView('video-player');
+            tvApp.playVideo(requestedVideo, e.detail.position, e.detail, e.detail.data);
         }.bind(this));
+        this.eventBus.addEventListener("ms2:load", function (e) {
+            console.debug("Received command to load. Values: url: " + e.detail.media.url + ", starting position: " + e.detail.position);
+            tvApp.startedBy = e.detail.clientId;
+            tvApp.loadMedia(e.detail.media, e.detail.position, e.detail);
+        });
+        this.eventBus.addEventListener("ms2:pause", function (e) {
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            //trick play ends paused as well
+            if (tvApp.playerState.getPlayback() === 'playing' || tvApp.player.getSpeed() !== 1) {
+                tvApp.action = tvApp.player.pause();
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, {state: tvApp.playerState.toStatus(true), position: webapis.avplay.getCurrentTime()});
+        });
+        this.eventBus.addEventListener("ms2:resume", function (e) {
+            var playback = tvApp.playerState.getPlayback();
+
+            //resume returns from trick play to normal speed
+            if ((playback === 'paused' || tvApp.player.getSpeed() !== 1) && tvApp.player.resume()) {
+                tvApp.action = 'play';
+            } else if (playback !== 'playing') {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, {state: tvApp.playerState.toStatus(true), position: webapis.avplay.getCurrentTime()});
+        });
+        this.eventBus.addEventListener("ms2:stop", function (e) {
+            tvApp.viewManager.setView('video-list');
+            FastCast.ack(e.detail.clientId, e.detail.requestId, {state: tvApp.playerState.toStatus()});
+        });
+        this.eventBus.addEventListener("ms2:next", function (e) {
+            if (tvApp.stateObj.queueItemId !== undefined) {
+                tvApp.playQueueItem(tvApp.queue.next(), e.detail);
+                return;
+            }
+            tvApp.playAdjacent(1, e.detail);
+        });
+        this.eventBus.addEventListener("ms2:previous", function (e) {
+            if (tvApp.stateObj.queueItemId !== undefined) {
+                tvApp.playQueueItem(tvApp.queue.previous(), e.detail);
+                return;
+            }
+            tvApp.playAdjacent(-1, e.detail);
+        });
+        this.eventBus.addEventListener("ms2:queueAdd", function (e) {
+            var mediaList = tvApp.getQueueMedia(e.detail.items);
+            var added;
+
+            if (mediaList === null) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_STREAM);
+                return;
+            }
+            added = tvApp.queue.add(mediaList);
+            if (e.detail.play && added.length) {
+                tvApp.playQueueItem(added[0]);
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:queueInsertNext", function (e) {
+            var mediaList = tvApp.getQueueMedia(e.detail.items);
+
+            if (mediaList === null) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_STREAM);
+                return;
+            }
+            tvApp.queue.insertNext(mediaList);
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:queueRemove", function (e) {
+            if (!tvApp.queue.remove(e.detail.itemIds)) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_ITEM);
+                return;
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:queueReorder", function (e) {
+            if (!tvApp.queue.move(e.detail.itemId, e.detail.index)) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_ITEM);
+                return;
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:queueClear", function (e) {
+            tvApp.queue.clear();
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:queueMode", function (e) {
+            tvApp.queue.setMode(e.detail.repeat, e.detail.shuffle);
+            FastCast.ack(e.detail.clientId, e.detail.requestId, tvApp.queue.getState());
+        });
+        this.eventBus.addEventListener("ms2:textTrack", function (e) {
+            var exists = tvApp.subtitles.select(e.detail.trackId, function (shown) {
+                tvApp.subtitles.trackSubtitles(tvApp.stateObj);
+                FastCast.status(tvApp.stateObj);
+                if (shown) {
+                    FastCast.ack(e.detail.clientId, e.detail.requestId, {textTrack: tvApp.stateObj.textTrack});
+                } else {
+                    FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_TRACK);
+                }
+            });
+
+            if (!exists) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_TRACK);
+            }
+        });
+        this.eventBus.addEventListener("ms2:selectTrack", function (e) {
+            var type = e.detail.type;
+            var exists = tvApp.player.getTracks().some(function (track) {
+                return track.type === type && track.index === e.detail.index;
+            });
+            var ack = {};
+
+            if (!exists || !tvApp.player.setTrack(type.toUpperCase(), e.detail.index)) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_SUCH_TRACK);
+                return;
+            }
+            tvApp.player.trackStreams(tvApp.stateObj);
+            FastCast.status(tvApp.stateObj);
+            ack[type + 'Track'] = tvApp.stateObj[type + 'Track'];
+            FastCast.ack(e.detail.clientId, e.detail.requestId, ack);
+        });
+        this.eventBus.addEventListener("ms2:setQuality", function (e) {
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            tvApp.player.setQuality(e.detail.bitrate, e.detail);
+        });
+        this.eventBus.addEventListener("ms2:setPlaybackRate", function (e) {
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            if (!tvApp.player.setPlaybackRate(e.detail.rate)) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.RATE_NOT_SUPPORTED);
+                return;
+            }
+            FastCast.ack(e.detail.clientId, e.detail.requestId, {playbackRate: e.detail.rate});
+        });
+        this.eventBus.addEventListener("ms2:thumbnail", function (e) {
+            if (!tvApp.playerState.isActive()) {
+                FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            tvApp.thumbnails.get(e.detail.position, function (thumbnail) {
+                var result = {position: e.detail.position};
+
+                if (!thumbnail) {
+                    FastCast.nack(e.detail.clientId, e.detail.requestId, FastCast.error.NO_THUMBNAILS);
+                    return;
+                }
+                Object.keys(thumbnail).forEach(function (key) {
+                    result[key] = thumbnail[key];
+                });
+                FastCast.ack(e.detail.clientId, e.detail.requestId, result);
+            });
+        });
         this.eventBus.addEventListener("ms2:reclaim", function (e) {
             var currentVideoId = tvApp.stateObj.videoId;
             var currentVideoPlaybackTime = tvApp.player.getCurrentMsTime();
+            var data = {};
 
+            //pinned quality comes back with the play message when playback is cast again
+            if (typeof tvApp.stateObj.quality === 'number') {
+                data.quality = tvApp.stateObj.quality;
+            }
+            if (currentVideoId === -1 && tvApp.stateObj.media) {
+                //media loaded by url has no catalog id, sender gets its description instead
+                data.media = tvApp.stateObj.media;
+            }
+            if (Object.keys(data).length) {
+                FastCast.play(currentVideoId, currentVideoPlaybackTime, data);
+                return;
+            }
             FastCast.play(currentVideoId, currentVideoPlaybackTime);
             //tvApp.viewManager.setView('video-list');
         });
     },
 
+    /**
+     * Focuses video list item and plays its video in the player view.
+     * @param {HTML Li Element} videoEl - video list item
+     * @param {Number} [position] - playback starting position in miliseconds
+     * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged when playback starts
+     * @param {Object} [data] - play message data, data.subtitles are added to subtitles of the catalog video,
+     *     data.drm overrides DRM of the catalog video
+     */
+    playVideo: function (videoEl, position, request, data) {
+        request = request || {};
+        if (!videoEl) {
+            FastCast.nack(request.clientId, request.requestId, FastCast.error.NO_SUCH_STREAM);
+            return;
+        }
+        this.resumePrompt.cancel();
+        bishopNavigation.focus(videoEl, 'keyboard');
+
+        if (!this.playerState.is('idle')) {
+            this.player.stop();
+        }
+        delete this.stateObj.queueItemId;
+        this.stateObj.videoId = videoEl.dataset.videoid;
+        this.stateObj.videoURL = videoEl.dataset.video;
+        this.stateObj.media = this.getCatalogMedia(videoEl);
+        this.upNext.setNext(this.stateObj.videoId, this.getAdjacentVideo(videoEl, 1));
+        if (data && Array.isArray(data.subtitles)) {
+            this.stateObj.media.subtitles = (this.stateObj.media.subtitles || []).concat(data.subtitles.filter(function (track) {
+                return track && typeof track.url === 'string';
+            }));
+        }
+        this.player.play(videoEl.dataset.video, position, request, this.getPlaybackOptions(videoEl, data));
+        this.viewManager.setView('video-player');
+    },
+
+    /**
+     * Plays video list item, video with saved progress is offered to be resumed or started over.
+     * Request is acknowledged with {resumePrompt} right away when the prompt is shown, the video starts after
+     * the choice is made with the remote or the sender sends play with position.
+     * @param {HTML Li Element} videoEl - video list item
+     * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged
+     * @param {Object} [data] - play message data, see tvApp.playVideo
+     */
+    openVideo: function (videoEl, request, data) {
+        var saved = videoEl ? this.continueWatching.get(videoEl.dataset.videoid) : null;
+
+        if (saved) {
+            //stopping the playback saves its position, it may be the position of the same video
+            this.viewManager.setView('video-list');
+            saved = this.continueWatching.get(videoEl.dataset.videoid);
+        }
+        if (!saved) {
+            this.playVideo(videoEl, 0, request, data);
+            return;
+        }
+        this.resumePrompt.show(videoEl, saved, data);
+        request = request || {};
+        FastCast.ack(request.clientId, request.requestId, {resumePrompt: this.stateObj.resumePrompt});
+    },
+
+    /**
+     * Plays media described by the sender, which doesn't have to be in the video list.
+     * @param {Object} media - media description
+     * @param {String} media.url - content url
+     * @param {String} [media.mimeType] - content MIME type
+     * @param {String} [media.title] - title shown in the player view
+     * @param {String} [media.artwork] - image url shown in the player view
+     * @param {Object} [media.customData] - sender data reported back in status
+     * @param {Number} [position] - playback starting position in miliseconds
+     * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged when playback starts
+     */
+    loadMedia: function (media, position, request) {
+        var videos = Array.prototype.slice.call(document.querySelectorAll('#video-list .navigable'));
+        var catalogVideo = videos.filter(function (videoEl) {
+            return videoEl.dataset.video === media.url;
+        })[0];
+
+        this.resumePrompt.cancel();
+        if (!this.playerState.is('idle')) {
+            this.player.stop();
+        }
+        delete this.stateObj.queueItemId;
+        this.stateObj.videoId = catalogVideo ? catalogVideo.dataset.videoid : -1;
+        this.stateObj.videoURL = media.url;
+        this.stateObj.media = media;
+        //queue advances by itself, media loaded by url has no next video
+        this.upNext.setNext(this.stateObj.videoId, null);
+        this.player.play(media.url, position, request, catalogVideo ? this.getPlaybackOptions(catalogVideo) : null);
+        this.viewManager.setView('video-player');
+    },
+
+    /**
+     * Plays queue item and marks it as the current one, so that queue advances when it completes.
+     * @param {Object|null} item - queue item
+     * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged when playback starts
+     */
+    playQueueItem: function (item, request) {
+        request = request || {};
+        if (!item) {
+            FastCast.nack(request.clientId, request.requestId, FastCast.error.NO_SUCH_ITEM);
+            return;
+        }
+        this.loadMedia(item.media, 0, request);
+        this.stateObj.queueItemId = item.itemId;
+        this.queue.setCurrent(item.itemId);
+    },
+
+    /**
+     * Returns media descriptions of queued items, catalog videos are looked up by videoId.
+     * @param {Array} items - media descriptions like the load message ones or {videoId}
+     * @returns {Array|null} null if some catalog video doesn't exist
+     */
+    getQueueMedia: function (items) {
+        var mediaList = [];
+        var i, item, media, videoEl;
+
+        for (i = 0; i < items.length; i += 1) {
+            item = items[i];
+            if (typeof item.url === 'string') {
+                media = {url: item.url};
+                ['mimeType', 'title', 'artwork', 'customData', 'subtitles'].forEach(function (key) {
+                    if (item[key] !== undefined) {
+                        media[key] = item[key];
+                    }
+                });
+                mediaList.push(media);
+            } else {
+                videoEl = this.getCatalogVideo(item.videoId);
+                if (!videoEl) {
+                    return null;
+                }
+                mediaList.push(this.getCatalogMedia(videoEl));
+            }
+        }
+        return mediaList;
+    },
+
+    /**
+     * Returns video list item.
+     * @param {String|Number} videoId - catalog video id
+     * @returns {HTML Li Element|null}
+     */
+    getCatalogVideo: function (videoId) {
+        //compared as data, sender supplied ids never end up in a selector
+        var videos = Array.prototype.slice.call(document.querySelectorAll('#video-list li'));
+
+        return videos.filter(function (videoEl) {
+            return videoEl.dataset.videoid === String(videoId);
+        })[0] || null;
+    },
+
+    /**
+     * Returns video list item of the focused video list or continue watching item.
+     * @returns {HTML Li Element|null} null if other element, e.g. prompt option, is focused
+     */
+    getFocusedVideo: function () {
+        var focused = document.querySelector('.navigable.focused');
+
+        return focused && focused.dataset.videoid !== undefined ? this.getCatalogVideo(focused.dataset.videoid) : null;
+    },
+
+    /**
+     * Scrolls items matching the selector into view when they get focus, status describes their video.
+     * @param {String} selector - video list or continue watching items
+     */
+    listenToFocus: function (selector) {
+        var app = this;
+        var movies = document.querySelectorAll(selector);
+        var i, iMax = movies.length, movie;
+
+        for (i = 0; i < iMax; i += 1) {
+            movie = movies[i];
+            movie.removeEventListener('focus', onFocus);
+            movie.addEventListener('focus', onFocus);
+        }
+
+
+        function documentOffsetTop(el) {
+            return el.offsetTop + ( el.offsetParent ? documentOffsetTop(el.offsetParent) : 0 );
+        }
+
+        function onFocus(e) {
+            console.log(e);
+            var el = document.querySelector('.navigable.focused');
+            var videoEl = app.getFocusedVideo();
+            var top = documentOffsetTop(el) - ( window.innerHeight / 3 );
+            app.videoList.parentNode.scrollTop = top;
+            if (videoEl) {
+                app.stateObj.videoId = videoEl.dataset.videoid;
+                app.stateObj.videoURL = videoEl.dataset.video;
+                app.stateObj.media = app.getCatalogMedia(videoEl);
+            }
+        }
+    },
+
+    /**
+     * Saves playback position of the catalog video being played, so that it can be continued later.
+     * Called when playback stops or is suspended because the application is hidden.
+     */
+    savePosition: function () {
+        if (!this.playerState.isActive() || this.stateObj.videoId === -1 || this.stateObj.videoId === undefined) {
+            return;
+        }
+        this.continueWatching.save(String(this.stateObj.videoId), webapis.avplay.getCurrentTime(), webapis.avplay.getDuration());
+    },
+
+    /**
+     * Returns media description of video list item.
+     * @param {HTML Li Element} videoEl - video list item
+     * @returns {Object} media description like the one of load message
+     */
+    getCatalogMedia: function (videoEl) {
+        var artwork = videoEl.querySelector('img');
+        var media = {
+            url: videoEl.dataset.video,
+            title: videoEl.dataset.videotitle,
+            artwork: artwork ? artwork.getAttribute('src') : ''
+        };
+
+        if (videoEl.dataset.subtitles) {
+            media.subtitles = JSON.parse(decodeURIComponent(videoEl.dataset.subtitles));
+        }
+        return media;
+    },
+
+    /**
+     * Returns playback configuration of video list item, it is kept apart from the media description so that
+     * license details aren't published in status or queue.
+     * @param {HTML Li Element} videoEl - video list item
+     * @param {Object} [data] - play message data, data.drm overrides DRM of the catalog video, data.quality pins
+     *     bitrate
+     * @returns {Object} {drm, streaming, quality, thumbnails}, see VideoPlayer.play
+     */
+    getPlaybackOptions: function (videoEl, data) {
+        return {
+            drm: this.getCatalogDrm(videoEl, data && data.drm),
+            streaming: videoEl.dataset.streaming ? JSON.parse(decodeURIComponent(videoEl.dataset.streaming)) : null,
+            quality: data && typeof data.quality === 'number' ? data.quality : undefined,
+            thumbnails: videoEl.dataset.thumbnails ? JSON.parse(decodeURIComponent(videoEl.dataset.thumbnails)) : null
+        };
+    },
+
+    /**
+     * Returns DRM of video list item.
+     * @param {HTML Li Element} videoEl - video list item
+     * @param {Object} [override] - DRM fields sent by the sender, headers are added to the catalog ones
+     * @returns {Object|null} {type, licenseServer, headers, customData}, null for clear video
+     */
+    getCatalogDrm: function (videoEl, override) {
+        var drm = videoEl.dataset.drm ? JSON.parse(decodeURIComponent(videoEl.dataset.drm)) : null;
+
+        if (!override || typeof override !== 'object') {
+            return drm;
+        }
+        drm = drm || {};
+        ['type', 'licenseServer', 'customData'].forEach(function (key) {
+            if (override[key] !== undefined) {
+                drm[key] = override[key];
+            }
+        });
+        if (override.headers && typeof override.headers === 'object') {
+            drm.headers = drm.headers || {};
+            Object.keys(override.headers).forEach(function (name) {
+                drm.headers[name] = String(override.headers[name]);
+            });
+        }
+        return drm;
+    },
+
+    /**
+     * Shows title and artwork of the media in the player view.
+     * @param {Object} media - media description
+     */
+    showMedia: function (media) {
+        var artworkEl = document.querySelector('.media-artwork');
+
+        this.logoContainer.textContent = media.title || media.url;
+        document.querySelector('.media-title').textContent = media.title || '';
+        if (media.artwork) {
+            artworkEl.setAttribute('src', media.artwork);
+            artworkEl.style.display = 'inline-block';
+        } else {
+            artworkEl.removeAttribute('src');
+            artworkEl.style.display = 'none';
+        }
+    },
+
+    /**
+     * Selects audio and caption tracks in languages preferred by the user who started playback.
+     * Called when the stream is prepared, tracks stay unchanged if there is no preference or matching track.
+     */
+    applyTrackPreferences: function () {
+        var preferences = FastCast.getPreferences(this.startedBy);
+        var audio, text;
+
+        if (preferences.audioLanguage) {
+            audio = this.findLanguage(this.player.getTracks().filter(function (track) {
+                return track.type === 'audio';
+            }), preferences.audioLanguage);
+            if (audio && !audio.selected) {
+                this.player.setTrack('AUDIO', audio.index);
+            }
+        }
+        if (preferences.textLanguage === 'off') {
+            this.subtitles.select(null);
+        } else if (preferences.textLanguage) {
+            this.subtitles.trackSubtitles(this.stateObj);
+            text = this.findLanguage(this.stateObj.textTracks, preferences.textLanguage);
+            if (text) {
+                this.subtitles.select(text.id, function () {
+                    tvApp.subtitles.trackSubtitles(tvApp.stateObj);
+                    FastCast.status(tvApp.stateObj);
+                });
+            }
+        }
+    },
+
+    /**
+     * Returns first track in the language, regional variants match ("en" matches "en-US"), ISO 639-2 codes match
+     * ISO 639-1 ones by prefix ("eng" matches "en").
+     * @param {Array} tracks - tracks with language field
+     * @param {String} language - language code
+     * @returns {Object|undefined}
+     */
+    findLanguage: function (tracks, language) {
+        function normalize(code) {
+            return String(code || '').toLowerCase().split(/[-_]/)[0];
+        }
+        var wanted = normalize(language);
+
+        return tracks.filter(function (track) {
+            var code = normalize(track.language);
+
+            return code && (code === wanted || code.slice(0, 2) === wanted.slice(0, 2) && Math.min(code.length, wanted.length) === 2);
+        })[0];
+    },
+
+    /**
+     * Plays video next to the current one in the video list.
+     * @param {Number} offset - 1 for next video, -1 for previous one
+     * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged when playback starts
+     */
+    playAdjacent: function (offset, request) {
+        request = request || {};
+        if (this.stateObj.videoId === -1) {
+            //media loaded by url has no place in the video list
+            FastCast.nack(request.clientId, request.requestId, FastCast.error.NO_SUCH_ITEM);
+            return;
+        }
+        this.playVideo(this.getAdjacentVideo(this.getCatalogVideo(this.stateObj.videoId), offset), 0, request);
+    },
+
+    /**
+     * Returns video list item next to the given one.
+     * @param {HTML Li Element|null} videoEl - video list item
+     * @param {Number} offset - 1 for next video, -1 for previous one
+     * @returns {HTML Li Element|null} null at the ends of the video list
+     */
+    getAdjacentVideo: function (videoEl, offset) {
+        var videos = Array.prototype.slice.call(document.querySelectorAll('#video-list .navigable'));
+        var index = videos.indexOf(videoEl);
+
+        return index < 0 ? null : videos[index + offset] || null;
+    },
+
     /**
      * Enabling uhd manually in order to play uhd streams
      */
@@ -416,28 +1187,55 @@ window.onload = function () {
         return;
     }
     tvApp.init();
+    // development: ?fastcastServer=ws://host:port connects to local stand-in server instead of MultiScreen service
+    var fastcastServer = /[?&]fastcastServer=([^&]+)/.exec(window.location.search);
+    if (fastcastServer) {
+        FastCast.setTransport(FastCastTransport.webSocket(decodeURIComponent(fastcastServer[1])));
+    }
     FastCast.init("com.samsung.MultiScreenPlayer", tvApp.eventBus, function(){
+        FastCast.setFeatures({
+            player: "avplay",
+            seek: true,
+            uhd: webapis.productinfo.isUdPanelSupported()
+        });
+
         FastCast.onClientConnect(function (client) {
             tvApp.log("clientConnect : " + client.attributes.name);
             //tvApp.deviceName.text(client.attributes.name);
             //tvApp.deviceStatus.removeClass('fa-cog fa-spin').addClass('fa-check-square');
         });
     
+        FastCast.onClientRoleChange(function (clientId, role) {
+            tvApp.log("clientRole : " + clientId + " is " + role);
+        });
+
+        FastCast.onPairingRequest(function (client, pin) {
+            tvApp.pairingPrompt.show(client, pin);
+        });
+
+        FastCast.onPairingEnd(function (client, paired) {
+            tvApp.log("pairing " + (paired ? "succeeded" : "abandoned") + " : " + client.attributes.name);
+            tvApp.pairingPrompt.hide(client);
+        });
+
+        FastCast.onClientResume(function (client, previousId) {
+            tvApp.log("clientResume : " + client.attributes.name + " (was " + previousId + ")");
+        });
+
         FastCast.onClientDisconnect(function (client) {
-            tvApp.restoreConnection = true;
             tvApp.log("clientDisconnect : " + client.attributes.name);
             //tvApp.deviceName.text(' - ');
             //tvApp.deviceAction.text(' - ');
             //tvApp.deviceStatus.removeClass('fa-check-square').addClass('fa-cog fa-spin');
             //tvApp.viewManager.setView('video-list');
         });
-        FastCast.connect({test:"test"});
+        FastCast.connect(tvApp.fastCastOptions);
     });
 
     // handle visibilitychange event
     document.addEventListener("visibilitychange", function(){
         if (document.hidden) {
-            if (tvApp.player.getState() !== "NONE") {
+            if (!tvApp.playerState.is('idle')) {
                 tvApp.player.suspend();
 
                 //handle connection error
@@ -461,7 +1259,7 @@ window.onload = function () {
             tvApp.registerKeyHandler();
             tvApp.messageManager.show({ name: 'connection error', text: 'this app needs internet connection to be enabled' });
 
-            if (webapis.avplay.getState() === 'PLAYING') {
+            if (tvApp.playerState.getPlayback() === 'playing') {
                 tvApp.action = tvApp.player.pause(tvApp.stateObj.videoURL);
             }
         }
@@ -0,0 +1,296 @@
+/**
+ * @file Play Queue
+ *
+ * @description Ordered list of media played one after another, managed by the TV and senders.
+ * Items are kept in play order, so the items following the current one are the "up next" list.
+ * Supports repeat (off, one, all) and shuffle modes.
+ *
+ * @example
+ * var queue = PlayQueue(function (state) {
+ *     FastCast.queue(state);
+ * });
+ * queue.add([{url: "http://example.com/a.mp4", title: "A"}]);
+ * var item = queue.next(true);
+ */
+
+function PlayQueue(onChange) {
+    'use strict';
+
+    var REPEAT_MODES = ['off', 'one', 'all'];
+
+    /**
+     * Queue items in play order: {itemId, media}
+     * @type {Array}
+     */
+    var items = [];
+
+    /**
+     * Item ids in order of adding, play order is restored from it when shuffle is turned off
+     * @type {Array}
+     */
+    var unshuffledIds = [];
+
+    /**
+     * Index of the current item, -1 before first item is played.
+     * When the current item is removed, cursor points to the item which followed it.
+     * @type {Number}
+     */
+    var cursor = -1;
+    var currentRemoved = false;
+
+    var repeat = 'off';
+    var shuffle = false;
+    var lastItemId = 0;
+
+    function getState() {
+        return {
+            items: items.map(function (item) {
+                return {itemId: item.itemId, media: item.media};
+            }),
+            currentItemId: cursor < 0 || currentRemoved ? null : items[cursor].itemId,
+            repeat: repeat,
+            shuffle: shuffle
+        };
+    }
+
+    function notify() {
+        if (typeof onChange === 'function') {
+            onChange(getState());
+        }
+    }
+
+    function indexOf(itemId) {
+        var i;
+
+        for (i = 0; i < items.length; i += 1) {
+            if (items[i].itemId === itemId) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Returns index of the first item which wasn't played yet.
+     * @returns {Number}
+     */
+    function upNextIndex() {
+        return currentRemoved ? cursor : cursor + 1;
+    }
+
+    function createItems(mediaList) {
+        return mediaList.map(function (media) {
+            lastItemId += 1;
+            return {itemId: lastItemId, media: media};
+        });
+    }
+
+    function randomIndex(from, to) {
+        return from + Math.floor(Math.random() * (to - from + 1));
+    }
+
+    /**
+     * Shuffles items which weren't played yet.
+     */
+    function shuffleUpNext() {
+        var i, j, item;
+
+        for (i = items.length - 1; i > upNextIndex(); i -= 1) {
+            j = randomIndex(upNextIndex(), i);
+            item = items[i];
+            items[i] = items[j];
+            items[j] = item;
+        }
+    }
+
+    /**
+     * Restores order of adding, keeps the current item.
+     */
+    function unshuffle() {
+        var currentId = cursor > -1 && cursor < items.length ? items[cursor].itemId : null;
+        var byId = {};
+
+        items.forEach(function (item) {
+            byId[item.itemId] = item;
+        });
+        items = unshuffledIds.map(function (itemId) {
+            return byId[itemId];
+        });
+        if (currentId !== null) {
+            cursor = indexOf(currentId);
+        }
+    }
+
+    return {
+        /**
+         * Appends media to the queue, in shuffle mode they are placed randomly among upcoming items.
+         * @param {Array} mediaList - media descriptions
+         * @returns {Array} added items
+         */
+        add: function (mediaList) {
+            var added = createItems(mediaList);
+
+            added.forEach(function (item) {
+                unshuffledIds.push(item.itemId);
+                if (shuffle) {
+                    items.splice(randomIndex(upNextIndex(), items.length), 0, item);
+                } else {
+                    items.push(item);
+                }
+            });
+            notify();
+            return added;
+        },
+        /**
+         * Inserts media right after the current item.
+         * @param {Array} mediaList - media descriptions
+         * @returns {Array} added items
+         */
+        insertNext: function (mediaList) {
+            var added = createItems(mediaList);
+            var currentId = cursor < 0 || currentRemoved ? null : items[cursor].itemId;
+            var unshuffledIndex = currentId === null ? unshuffledIds.length : unshuffledIds.indexOf(currentId) + 1;
+            var ids = added.map(function (item) {
+                return item.itemId;
+            });
+
+            Array.prototype.splice.apply(items, [upNextIndex(), 0].concat(added));
+            Array.prototype.splice.apply(unshuffledIds, [unshuffledIndex, 0].concat(ids));
+            notify();
+            return added;
+        },
+        /**
+         * Removes items, current item keeps playing and next one is the item which followed it.
+         * @param {Array} itemIds - ids of items to remove
+         * @returns {Number} number of removed items
+         */
+        remove: function (itemIds) {
+            var removed = 0;
+
+            itemIds.forEach(function (itemId) {
+                var index = indexOf(itemId);
+
+                if (index < 0) {
+                    return;
+                }
+                items.splice(index, 1);
+                unshuffledIds.splice(unshuffledIds.indexOf(itemId), 1);
+                removed += 1;
+                if (index < cursor) {
+                    cursor -= 1;
+                } else if (index === cursor) {
+                    currentRemoved = true;
+                }
+            });
+            if (removed) {
+                notify();
+            }
+            return removed;
+        },
+        /**
+         * Moves item to other position of play order.
+         * @param {Number} itemId - id of item to move
+         * @param {Number} index - new position, limited to the queue length
+         * @returns {Boolean} false if there is no such item
+         */
+        move: function (itemId, index) {
+            var from = indexOf(itemId);
+            var currentId = cursor < 0 || currentRemoved ? null : items[cursor].itemId;
+            var item;
+
+            if (from < 0) {
+                return false;
+            }
+            item = items.splice(from, 1)[0];
+            index = Math.max(0, Math.min(index, items.length));
+            items.splice(index, 0, item);
+            if (!shuffle) {
+                unshuffledIds = items.map(function (queued) {
+                    return queued.itemId;
+                });
+            }
+            if (currentId !== null) {
+                cursor = indexOf(currentId);
+            }
+            notify();
+            return true;
+        },
+        /**
+         * Removes all items.
+         */
+        clear: function () {
+            items = [];
+            unshuffledIds = [];
+            cursor = -1;
+            currentRemoved = false;
+            notify();
+        },
+        /**
+         * Sets repeat and shuffle modes.
+         * @param {String} [repeatMode] - off, one or all
+         * @param {Boolean} [shuffleMode] - whether upcoming items are played in random order
+         */
+        setMode: function (repeatMode, shuffleMode) {
+            if (REPEAT_MODES.indexOf(repeatMode) > -1) {
+                repeat = repeatMode;
+            }
+            if (typeof shuffleMode === 'boolean' && shuffleMode !== shuffle) {
+                shuffle = shuffleMode;
+                if (shuffle) {
+                    shuffleUpNext();
+                } else {
+                    unshuffle();
+                }
+            }
+            notify();
+        },
+        /**
+         * Returns item to be played after the current one.
+         * @param {Boolean} [auto] - whether current item has completed, repeat one mode replays it then
+         * @returns {Object|null} item or null at the end of the queue
+         */
+        next: function (auto) {
+            var index = upNextIndex();
+
+            if (auto && repeat === 'one' && cursor > -1 && !currentRemoved) {
+                return items[cursor];
+            }
+            if (index >= items.length) {
+                index = repeat === 'all' ? 0 : -1;
+            }
+            return items[index] || null;
+        },
+        /**
+         * Returns item played before the current one.
+         * @returns {Object|null} item or null at the beginning of the queue
+         */
+        previous: function () {
+            var index = cursor - 1;
+
+            if (index < 0 && repeat === 'all') {
+                index = items.length - 1;
+            }
+            return items[index] || null;
+        },
+        /**
+         * Marks item as the current one.
+         * @param {Number} itemId - item id
+         * @returns {Boolean} false if there is no such item
+         */
+        setCurrent: function (itemId) {
+            var index = indexOf(itemId);
+
+            if (index < 0) {
+                return false;
+            }
+            cursor = index;
+            currentRemoved = false;
+            notify();
+            return true;
+        },
+        get: function (itemId) {
+            return items[indexOf(itemId)] || null;
+        },
+        getState: getState
+    };
+}
@@ -0,0 +1,127 @@
+/**
+ * @file Player State
+ *
+ * @description State machine of the player, the only place which decides what state playback is in.
+ * States are idle, loading, buffering, playing, paused, seeking, ended and error. VideoPlayer requests
+ * transitions, those not listed in TRANSITIONS are refused, e.g. a second play while the stream is loading.
+ * Active stream goes back to loading when it is reopened, e.g. to switch quality.
+ * Every change is emitted on the event bus as "player:statechange" and as a typed event of the new state,
+ * e.g. "player:playing", both with {state, previous} detail.
+ *
+ * @example
+ * var playerState = PlayerState(document);
+ * document.addEventListener('player:statechange', function (e) {
+ *     console.log(e.detail.previous + ' -> ' + e.detail.state);
+ * });
+ * playerState.set('loading');
+ * playerState.is('loading', 'buffering'); //true
+ * playerState.set('paused'); //false, stream hasn't started yet
+ */
+
+function PlayerState(eventBus) {
+    'use strict';
+
+    /**
+     * States reachable from each state
+     * @type {Object}
+     */
+    var TRANSITIONS = {
+        idle: ['loading'],
+        loading: ['playing', 'error', 'idle'],
+        buffering: ['loading', 'playing', 'paused', 'seeking', 'ended', 'error', 'idle'],
+        playing: ['loading', 'buffering', 'paused', 'seeking', 'ended', 'error', 'idle'],
+        paused: ['loading', 'buffering', 'playing', 'seeking', 'error', 'idle'],
+        seeking: ['loading', 'buffering', 'playing', 'paused', 'ended', 'error', 'idle'],
+        ended: ['loading', 'idle'],
+        error: ['loading', 'idle']
+    };
+
+    var state = 'idle';
+
+    /**
+     * Playing or paused, the state buffering and seeking return to
+     * @type {String}
+     */
+    var playback = 'playing';
+
+    function emit(type, previous) {
+        eventBus.dispatchEvent(new CustomEvent(type, {detail: {state: state, previous: previous}}));
+    }
+
+    return {
+        STATES: Object.keys(TRANSITIONS),
+        /**
+         * Returns current state.
+         * @returns {String}
+         */
+        get: function () {
+            return state;
+        },
+        /**
+         * Checks whether player is in one of the states.
+         * @param {...String} states
+         * @returns {Boolean}
+         */
+        is: function () {
+            return Array.prototype.indexOf.call(arguments, state) !== -1;
+        },
+        /**
+         * Checks whether a stream has been started and can be controlled, i.e. it is playing, paused,
+         * buffering or seeking.
+         * @returns {Boolean}
+         */
+        isActive: function () {
+            return this.is('playing', 'paused', 'buffering', 'seeking');
+        },
+        /**
+         * Returns playing or paused, the state the stream is in or will be in once buffering or seeking completes.
+         * @returns {String|null} null if no stream has been started
+         */
+        getPlayback: function () {
+            return this.isActive() ? playback : null;
+        },
+        /**
+         * Moves to the state, changes to the current state are ignored.
+         * @param {String} next - one of STATES
+         * @returns {Boolean} false if the transition isn't allowed
+         */
+        set: function (next) {
+            var previous = state;
+
+            if (next === state) {
+                return true;
+            }
+            if (!TRANSITIONS.hasOwnProperty(next) || TRANSITIONS[state].indexOf(next) === -1) {
+                console.warn('player state transition refused: ' + state + ' -> ' + next);
+                return false;
+            }
+            state = next;
+            if (next === 'playing' || next === 'paused') {
+                playback = next;
+            } else if (next === 'loading') {
+                playback = 'playing';
+            }
+            emit('player:' + next, previous);
+            emit('player:statechange', previous);
+            return true;
+        },
+        /**
+         * Returns from buffering or seeking to the playback state.
+         * @returns {Boolean} false if player isn't buffering or seeking
+         */
+        settle: function () {
+            if (!this.is('buffering', 'seeking')) {
+                return false;
+            }
+            return this.set(playback);
+        },
+        /**
+         * Returns state reported to senders, in upper case like avplay states.
+         * @param {Boolean} [settled] - report playing or paused instead of buffering and seeking
+         * @returns {String}
+         */
+        toStatus: function (settled) {
+            return (settled && this.isActive() ? playback : state).toUpperCase();
+        }
+    };
+}
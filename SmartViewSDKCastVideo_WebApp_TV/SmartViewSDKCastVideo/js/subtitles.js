@@ -0,0 +1,255 @@
+/**
+ * @file Subtitles
+ *
+ * @description Renders captions in an overlay on top of the player.
+ * External WebVTT and SRT files are downloaded, parsed and synced with playback time,
+ * embedded TEXT tracks are rendered from avplay's onsubtitlechange events.
+ * Tracks are described as {id, source: "external" or "embedded", language, label}.
+ *
+ * @example
+ * var subtitles = Subtitles(document.getElementById('subtitles'));
+ * subtitles.setExternalTracks([{url: "subtitles/movie.en.vtt", language: "en", label: "English"}]);
+ * subtitles.select("external-0");
+ * //on every playback time update
+ * subtitles.update(currentTime);
+ */
+
+function Subtitles(overlay) {
+    'use strict';
+
+    var tracks = [];
+    var selected = null;
+
+    /**
+     * Parsed cues of external tracks by track id: [{start, end, text}]
+     * @type {Object}
+     */
+    var cues = {};
+    var hideTimeout = null;
+
+    /**
+     * Converts "hh:mm:ss.ttt", "mm:ss.ttt" (WebVTT) or "hh:mm:ss,ttt" (SRT) timestamp to miliseconds.
+     * @param {String} timestamp
+     * @returns {Number} NaN if timestamp is invalid
+     */
+    function parseTimestamp(timestamp) {
+        var match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(timestamp.trim());
+
+        if (!match) {
+            return NaN;
+        }
+        return ((parseInt(match[1] || '0', 10) * 60 + parseInt(match[2], 10)) * 60 + parseInt(match[3], 10)) * 1000
+            + parseInt(match[4], 10);
+    }
+
+    /**
+     * Parses WebVTT or SRT file, cue settings and styling tags are dropped.
+     * @param {String} text - file content
+     * @returns {Array} cues sorted by start time
+     */
+    function parse(text) {
+        var blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        var parsed = [];
+
+        blocks.forEach(function (block) {
+            var lines = block.replace(/^\n+|\n+$/g, '').split('\n');
+            var timingIndex = -1;
+            var i, times;
+
+            for (i = 0; i < lines.length && i < 2; i += 1) {
+                if (lines[i].indexOf('-->') > -1) {
+                    timingIndex = i;
+                    break;
+                }
+            }
+            if (timingIndex < 0) {
+                //WEBVTT header, NOTE, STYLE and REGION blocks
+                return;
+            }
+            times = lines[timingIndex].split('-->');
+            parsed.push({
+                start: parseTimestamp(times[0]),
+                //cue settings follow end time
+                end: parseTimestamp(times[1].trim().split(/\s+/)[0]),
+                text: lines.slice(timingIndex + 1).join('\n').replace(/<[^>]*>/g, '')
+            });
+        });
+
+        return parsed.filter(function (cue) {
+            return !isNaN(cue.start) && !isNaN(cue.end);
+        }).sort(function (a, b) {
+            return a.start - b.start;
+        });
+    }
+
+    function show(text) {
+        overlay.textContent = text;
+        overlay.style.display = text ? 'block' : 'none';
+    }
+
+    function getTrack(trackId) {
+        var i;
+
+        for (i = 0; i < tracks.length; i += 1) {
+            if (tracks[i].id === trackId) {
+                return tracks[i];
+            }
+        }
+        return null;
+    }
+
+    function describe(track) {
+        return {id: track.id, source: track.source, language: track.language, label: track.label};
+    }
+
+    /**
+     * Downloads and parses external track.
+     * @param {Object} track
+     * @param {Function} callback - called with true when cues are ready
+     */
+    function load(track, callback) {
+        if (cues[track.id]) {
+            callback(true);
+            return;
+        }
+        jQuery.get(track.url, function (text) {
+            cues[track.id] = parse(String(text));
+            callback(true);
+        }, 'text').fail(function () {
+            console.error('unable to load subtitles: ' + track.url);
+            callback(false);
+        });
+    }
+
+    return {
+        parse: parse,
+        /**
+         * Sets external tracks of the media, previous tracks and selection are dropped.
+         * @param {Array} [descriptions] - {url, language, label}
+         */
+        setExternalTracks: function (descriptions) {
+            tracks = (descriptions || []).map(function (description, index) {
+                return {
+                    id: 'external-' + index,
+                    source: 'external',
+                    url: description.url,
+                    language: description.language || '',
+                    label: description.label || description.language || 'Subtitles ' + (index + 1)
+                };
+            });
+            cues = {};
+            selected = null;
+            show('');
+        },
+        /**
+         * Adds embedded TEXT tracks reported by webapis.avplay.getTotalTrackInfo.
+         * @param {Array} trackInfo - avplay track info
+         */
+        setEmbeddedTracks: function (trackInfo) {
+            tracks = tracks.filter(function (track) {
+                return track.source !== 'embedded';
+            });
+            trackInfo.forEach(function (info) {
+                var extra = {};
+
+                if (info.type !== 'TEXT') {
+                    return;
+                }
+                try {
+                    extra = JSON.parse(info.extra_info);
+                } catch (e) {
+                    extra = {};
+                }
+                tracks.push({
+                    id: 'embedded-' + info.index,
+                    source: 'embedded',
+                    index: info.index,
+                    language: extra.track_lang || extra.language || '',
+                    label: extra.track_lang || extra.language || 'Track ' + info.index
+                });
+            });
+        },
+        /**
+         * Selects caption track.
+         * @param {String|null} trackId - track id, null turns captions off
+         * @param {Function} [callback] - called with false if track can't be shown
+         * @returns {Boolean} false if there is no such track
+         */
+        select: function (trackId, callback) {
+            var track = trackId === null ? null : getTrack(trackId);
+
+            callback = typeof callback === 'function' ? callback : function () {};
+            if (trackId !== null && track === null) {
+                return false;
+            }
+            selected = track;
+            show('');
+            try {
+                webapis.avplay.setSilentSubtitle(track === null || track.source !== 'embedded');
+                if (track !== null && track.source === 'embedded') {
+                    webapis.avplay.setSelectTrack('TEXT', track.index);
+                }
+            } catch (e) {
+                console.error('avplay exception at subtitle selection', e.message);
+            }
+            if (track !== null && track.source === 'external') {
+                load(track, function (loaded) {
+                    if (!loaded && selected === track) {
+                        selected = null;
+                    }
+                    callback(loaded);
+                });
+                return true;
+            }
+            callback(true);
+            return true;
+        },
+        /**
+         * Shows cues of selected external track active at the playback time.
+         * @param {Number} position - playback time in miliseconds
+         */
+        update: function (position) {
+            if (selected === null || selected.source !== 'external' || !cues[selected.id]) {
+                return;
+            }
+            show(cues[selected.id].filter(function (cue) {
+                return cue.start <= position && position < cue.end;
+            }).map(function (cue) {
+                return cue.text;
+            }).join('\n'));
+        },
+        /**
+         * Shows embedded subtitle reported by avplay's onsubtitlechange event.
+         * @param {Number} duration - display time in miliseconds
+         * @param {String} text - subtitle text
+         */
+        showEmbedded: function (duration, text) {
+            if (selected === null || selected.source !== 'embedded') {
+                return;
+            }
+            clearTimeout(hideTimeout);
+            show(String(text).replace(/<[^>]*>/g, ''));
+            hideTimeout = setTimeout(function () {
+                show('');
+            }, Number(duration));
+        },
+        /**
+         * Hides shown caption, e.g. when playback stops.
+         */
+        hide: function () {
+            clearTimeout(hideTimeout);
+            show('');
+        },
+        /**
+         * Sets available tracks (textTracks) and id of the selected one (textTrack) in status object.
+         * @param {Object} stateObj - status object
+         */
+        trackSubtitles: function (stateObj) {
+            if (!stateObj) {
+                return;
+            }
+            stateObj.textTracks = tracks.map(describe);
+            stateObj.textTrack = selected === null ? null : selected.id;
+        }
+    };
+}
@@ -0,0 +1,262 @@
+/**
+ * @file Thumbnails
+ *
+ * @description Trick-play thumbnails of catalog videos, previewed above the progress bar while the position
+ * is moved with FF/REW or scrubbed by a sender.
+ * Thumbnails are described either as a sprite sheet with tiles taken every interval miliseconds,
+ * {type: "sprite", url or urls, interval, width, height, columns, rows}, where urls are sheets of columns x rows
+ * tiles, or as a BIF file, {type: "bif", url}, which is downloaded and parsed.
+ * Thumbnail of a position is described as {time, url, x, y, width, height}, BIF images are data URIs
+ * without the tile fields.
+ *
+ * @example
+ * var thumbnails = Thumbnails(document.querySelector('.trick-play'));
+ * thumbnails.load({type: "sprite", url: "thumbs/movie.jpg", interval: 10000, width: 240, height: 135, columns: 10});
+ * thumbnails.show(65000, 596000, "0:01:05");
+ * thumbnails.get(65000, function (thumbnail) {
+ *     console.log(thumbnail.url, thumbnail.x, thumbnail.y);
+ * });
+ */
+
+function Thumbnails(preview) {
+    'use strict';
+
+    var BIF_MAGIC = [0x89, 0x42, 0x49, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+    var BIF_INDEX_OFFSET = 64;
+
+    var description = null;
+
+    /**
+     * Parsed BIF of the description: {bytes, entries: [{time, start, end}]}, null until it is downloaded
+     * @type {Object|null}
+     */
+    var bif = null;
+
+    /**
+     * Callbacks of get calls waiting for BIF download
+     * @type {Array}
+     */
+    var pending = [];
+
+    function encode(bytes) {
+        var binary = '';
+        var i;
+
+        for (i = 0; i < bytes.length; i += 1) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Parses BIF (Base Index Frames) file: magic, version, image count and timestamp multiplier
+     * in the 64 bytes header, followed by the index of {timestamp, offset} pairs ended with 0xFFFFFFFF timestamp.
+     * @param {ArrayBuffer} buffer - file content
+     * @returns {Object|null} {bytes, entries: [{time, start, end}]}, null if file isn't valid BIF
+     */
+    function parseBif(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var view = new DataView(buffer);
+        var entries = [];
+        var count, multiplier, i, offset;
+
+        if (bytes.length < BIF_INDEX_OFFSET || BIF_MAGIC.some(function (value, index) {
+            return bytes[index] !== value;
+        })) {
+            return null;
+        }
+        count = view.getUint32(12, true);
+        multiplier = view.getUint32(16, true) || 1000;
+        if (BIF_INDEX_OFFSET + (count + 1) * 8 > bytes.length) {
+            return null;
+        }
+        for (i = 0; i < count; i += 1) {
+            offset = BIF_INDEX_OFFSET + i * 8;
+            entries.push({
+                time: view.getUint32(offset, true) * multiplier,
+                start: view.getUint32(offset + 4, true),
+                end: view.getUint32(offset + 12, true)
+            });
+        }
+        return {bytes: bytes, entries: entries};
+    }
+
+    function download(thumbnails) {
+        var xhr = new XMLHttpRequest();
+
+        function settle(parsed) {
+            var callbacks = pending;
+
+            if (description !== thumbnails) {
+                //other video has been loaded meanwhile
+                return;
+            }
+            bif = parsed;
+            if (bif === null) {
+                console.error('unable to load thumbnails: ' + thumbnails.url);
+                description = null;
+            }
+            pending = [];
+            callbacks.forEach(function (callback) {
+                callback();
+            });
+        }
+
+        xhr.open('GET', thumbnails.url);
+        xhr.responseType = 'arraybuffer';
+        xhr.onload = function () {
+            settle(xhr.status === 200 ? parseBif(xhr.response) : null);
+        };
+        xhr.onerror = function () {
+            settle(null);
+        };
+        xhr.send();
+    }
+
+    /**
+     * Returns thumbnail shown at the position, the last one taken before it.
+     * @param {Number} position - position in miliseconds
+     * @returns {Object|null}
+     */
+    function find(position) {
+        var index, perSheet, sheet, tile, entry;
+
+        if (description === null) {
+            return null;
+        }
+        if (description.type === 'bif') {
+            entry = bif && bif.entries.filter(function (candidate) {
+                return candidate.time <= position;
+            }).pop();
+            if (!entry) {
+                return null;
+            }
+            if (!entry.url) {
+                entry.url = 'data:image/jpeg;base64,' + encode(bif.bytes.subarray(entry.start, entry.end));
+            }
+            return {time: entry.time, url: entry.url};
+        }
+        index = Math.floor(Math.max(0, position) / description.interval);
+        perSheet = description.urls ? description.columns * description.rows : Infinity;
+        sheet = Math.floor(index / perSheet);
+        if (description.urls && sheet >= description.urls.length) {
+            sheet = description.urls.length - 1;
+            index = perSheet * description.urls.length - 1;
+        }
+        tile = description.urls ? index % perSheet : index;
+        return {
+            time: index * description.interval,
+            url: description.urls ? description.urls[sheet] : description.url,
+            x: (tile % description.columns) * description.width,
+            y: Math.floor(tile / description.columns) * description.height,
+            width: description.width,
+            height: description.height
+        };
+    }
+
+    /**
+     * Checks whether description has the fields thumbnails are found with.
+     * @param {Object} thumbnails - description
+     * @returns {Boolean}
+     */
+    function isValid(thumbnails) {
+        if (!thumbnails || typeof thumbnails !== 'object') {
+            return false;
+        }
+        if (thumbnails.type === 'bif') {
+            return typeof thumbnails.url === 'string';
+        }
+        return thumbnails.type === 'sprite'
+            && (typeof thumbnails.url === 'string' || Array.isArray(thumbnails.urls) && thumbnails.rows > 0)
+            && ['interval', 'width', 'height', 'columns'].every(function (key) {
+                return thumbnails[key] > 0;
+            });
+    }
+
+    return {
+        parseBif: parseBif,
+        /**
+         * Sets thumbnails of the opened video, BIF file is downloaded unless it is the one of the previous video.
+         * @param {Object|null} thumbnails - description, null for videos without thumbnails
+         * @returns {Boolean} false if video has no valid thumbnails
+         */
+        load: function (thumbnails) {
+            var previous = description;
+            var waiting = pending;
+
+            this.hide();
+            //requests waiting for the previous video get no thumbnail
+            pending = [];
+            description = null;
+            waiting.forEach(function (callback) {
+                callback();
+            });
+            if (!isValid(thumbnails)) {
+                description = null;
+                bif = null;
+                return false;
+            }
+            description = thumbnails;
+            if (thumbnails.type !== 'bif') {
+                bif = null;
+            } else if (!previous || previous.type !== 'bif' || previous.url !== thumbnails.url || bif === null) {
+                bif = null;
+                download(thumbnails);
+            }
+            return true;
+        },
+        /**
+         * Checks whether the video has thumbnails.
+         * @returns {Boolean}
+         */
+        isAvailable: function () {
+            return description !== null;
+        },
+        /**
+         * Returns thumbnail of the position, waits for BIF download.
+         * @param {Number} position - position in miliseconds
+         * @param {Function} callback - called with the thumbnail, null if there is none
+         */
+        get: function (position, callback) {
+            if (description !== null && description.type === 'bif' && bif === null) {
+                pending.push(function () {
+                    callback(find(position));
+                });
+                return;
+            }
+            callback(find(position));
+        },
+        /**
+         * Shows thumbnail and timestamp of the position above the progress bar, only the timestamp if there is
+         * no thumbnail.
+         * @param {Number} position - position in miliseconds
+         * @param {Number} totalTime - video duration in miliseconds
+         * @param {String} label - formatted position
+         */
+        show: function (position, totalTime, label) {
+            var thumbnail = find(position);
+            var image = preview.querySelector('.trick-play-image');
+
+            if (thumbnail) {
+                image.style.backgroundImage = 'url("' + thumbnail.url + '")';
+                image.style.backgroundPosition = thumbnail.x === undefined ? 'center'
+                    : -thumbnail.x + 'px ' + -thumbnail.y + 'px';
+                image.style.backgroundSize = thumbnail.x === undefined ? 'cover' : 'auto';
+                image.style.width = (thumbnail.width || 240) + 'px';
+                image.style.height = (thumbnail.height || 135) + 'px';
+                image.style.display = 'block';
+            } else {
+                image.style.display = 'none';
+            }
+            preview.querySelector('.trick-play-time').textContent = label;
+            preview.style.left = (totalTime > 0 ? Math.min(100, position / totalTime * 100) : 0) + '%';
+            preview.style.display = 'block';
+        },
+        /**
+         * Hides the preview.
+         */
+        hide: function () {
+            preview.style.display = 'none';
+        }
+    };
+}
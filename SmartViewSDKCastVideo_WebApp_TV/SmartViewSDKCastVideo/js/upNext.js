@@ -0,0 +1,136 @@
+/**
+ * @file Up Next
+ *
+ * @description Shows "Up next" card with the next catalog video and a countdown during the last seconds
+ * of the video, the next video is played when the stream completes unless the user has cancelled it.
+ * Countdown follows playback time, so it stops while the video is paused. Card state is mirrored
+ * to senders with FastCast.upNext.
+ *
+ * @example
+ * var upNext = UpNext(document.getElementById('up-next'));
+ * upNext.setNext(videoId, nextVideoEl);
+ * //on every playback time update
+ * upNext.update(currentTime, totalTime);
+ * //when the stream completes
+ * var nextVideoEl = upNext.complete();
+ */
+
+function UpNext(card) {
+    'use strict';
+
+    /**
+     * Card is shown this long before the end, in miliseconds
+     * @type {Number}
+     */
+    var COUNTDOWN_TIME = 10000;
+
+    var videoId = -1;
+
+    /**
+     * Video list item of the next video, null if nothing is played next
+     * @type {HTML Li Element}
+     */
+    var next = null;
+    var cancelled = false;
+
+    /**
+     * Shown countdown in seconds, null while the card is hidden
+     * @type {Number}
+     */
+    var countdown = null;
+
+    function getMedia() {
+        var artwork = next.querySelector('img');
+
+        return {
+            url: next.dataset.video,
+            title: next.dataset.videotitle,
+            artwork: artwork ? artwork.getAttribute('src') : ''
+        };
+    }
+
+    function publish() {
+        FastCast.upNext({videoId: videoId, media: getMedia(), countdown: countdown, cancelled: cancelled});
+    }
+
+    function show(seconds) {
+        var media;
+
+        if (countdown === null) {
+            media = getMedia();
+            card.querySelector('.up-next-title').textContent = media.title || media.url;
+            card.querySelector('.up-next-artwork').setAttribute('src', media.artwork);
+            card.style.display = 'block';
+        }
+        countdown = seconds;
+        card.querySelector('.up-next-countdown').textContent = seconds;
+        publish();
+    }
+
+    function hide() {
+        if (countdown === null) {
+            return;
+        }
+        countdown = null;
+        card.style.display = 'none';
+        publish();
+    }
+
+    return {
+        /**
+         * Sets video played after the one that has started.
+         * @param {String|Number} playedVideoId - id of the started video
+         * @param {HTML Li Element|null} nextVideo - next video list item, null turns autoplay off
+         */
+        setNext: function (playedVideoId, nextVideo) {
+            hide();
+            videoId = playedVideoId;
+            next = nextVideo || null;
+            cancelled = false;
+        },
+        /**
+         * Shows or hides the card according to the remaining playback time.
+         * @param {Number} position - playback time in miliseconds
+         * @param {Number} totalTime - video duration in miliseconds
+         */
+        update: function (position, totalTime) {
+            var remaining = totalTime - position;
+            var seconds;
+
+            if (next === null || cancelled || !(totalTime > 0) || remaining > COUNTDOWN_TIME) {
+                hide();
+                return;
+            }
+            seconds = Math.max(0, Math.ceil(remaining / 1000));
+            if (seconds !== countdown) {
+                show(seconds);
+            }
+        },
+        /**
+         * Cancels autoplay of the shown card.
+         * @returns {Boolean} false if the card isn't shown
+         */
+        cancel: function () {
+            if (countdown === null) {
+                return false;
+            }
+            cancelled = true;
+            hide();
+            return true;
+        },
+        /**
+         * Hides the card when playback stops, autoplay decision is kept for complete.
+         */
+        hide: hide,
+        /**
+         * Returns video to be played after the completed one, autoplay is off afterwards.
+         * @returns {HTML Li Element|null} null if autoplay has been cancelled or there is no next video
+         */
+        complete: function () {
+            var nextVideo = cancelled ? null : next;
+
+            next = null;
+            return nextVideo;
+        }
+    };
+}
@@ -54,6 +54,10 @@ function VideoList(config) {
             html.push('<li class="navigable" data-videoId="' + video.id
                 + '" id="video-' + video.id
                 + '" data-videoTitle="' + video.title
+                + (video.subtitles ? '" data-subtitles="' + encodeURIComponent(JSON.stringify(video.subtitles)) : '')
+                + (video.drm ? '" data-drm="' + encodeURIComponent(JSON.stringify(video.drm)) : '')
+                + (video.streaming ? '" data-streaming="' + encodeURIComponent(JSON.stringify(video.streaming)) : '')
+                + (video.thumbnails ? '" data-thumbnails="' + encodeURIComponent(JSON.stringify(video.thumbnails)) : '')
                 + '" data-video="' + video.url + '">'
                 + '<div class="li-content">'
                 + el.join('')
@@ -39,21 +39,24 @@ function VideoPlayer(config) {
     };
     
     var errorCallbacks = {
-        seek: onSeekError,
+        seekTo: onSeekError,
         prepare: onPrepareError
     };
-    
-    var loader = null;
 
+    /**
+     * Calls avplay method, errors are reported to FastCast clients.
+     * @returns {Boolean} false if avplay has thrown an exception
+     */
     function avProxy() {
         var args = Array.prototype.slice.call(arguments),
             method = args.shift();
         if (!method) {
-            return;
+            return false;
         }
 
         try {
             webapis.avplay[method].apply(webapis.avplay, args);
+            return true;
         } catch (e) {
             console.error('avplay exception at', method, e.message);
             if (typeof errorCallbacks[method] === "function") {
@@ -61,30 +64,40 @@ function VideoPlayer(config) {
             } else {
                 FastCast.error('avplay exception at ' + method + ", " + e.message);
             }
+            return false;
         }
     }
 
-    function onPrepareError() {
-        FastCast.error(FastCast.error.NO_SUCH_STREAM);
+    /**
+     * Returns FastCast error of failed preparation, DRM failures have their own errors.
+     * @param {Object} [e] - avplay error
+     * @returns {Number}
+     */
+    function getPrepareError(e) {
+        var drmError = e ? tvApp.drm.getError(e.name) : null;
+
+        return drmError === null ? FastCast.error.NO_SUCH_STREAM : drmError;
+    }
+
+    function onPrepareError(e) {
+        FastCast.error(getPrepareError(e));
     }
 
     function onSeekError() {
         FastCast.error(FastCast.error.SEEK_FAILED);
     }
 
-    function toggleLoading(show) {
-        if (loader === null) {
-            setTimeout(function () {
-                loader = document.querySelector('.loader');
-                showLoading();
-            }, 200);
-            return;
-        }
-        if (show) {
-            loader.classList.add('active');
-        } else {
-            loader.classList.remove('active');
+    /**
+     * Plays or pauses the stream and moves the player state along.
+     * @param {String} method - play or pause
+     * @returns {Boolean} false if avplay has thrown an exception
+     */
+    function control(method) {
+        if (!avProxy(method)) {
+            return false;
         }
+        tvApp.playerState.set(method === 'play' ? 'playing' : 'paused');
+        return true;
     }
 
 
@@ -98,7 +111,280 @@ function VideoPlayer(config) {
     var currentTime = 0;
     var totalTime = 0;
     var listener = null;
-    var jumpLength = 1000;
+
+    /**
+     * Url and play options of the current stream, it is restarted with them when quality changes
+     */
+    var current = {url: null, options: {}};
+
+    /**
+     * Bitrate pinned by the sender {url, bitrate}, kept while the same stream is played again
+     * @type {Object|null}
+     */
+    var lockedQuality = null;
+
+    /**
+     * Playback rate chosen by the sender {url, rate}, kept while the same stream is played again,
+     * null at normal rate
+     * @type {Object|null}
+     */
+    var chosenRate = null;
+    /**
+     * Result acknowledged once the stream reopened by setQuality plays, null for other playback
+     * @type {Object|null}
+     */
+    var reopenResult = null;
+    /**
+     * FastCast request of the stream being prepared, rejected when playback is stopped or replaced before it starts
+     * @type {Object|null}
+     */
+    var loadingRequest = null;
+    /**
+     * Preview position while position is being scrubbed, null otherwise
+     * @type {Number|null}
+     */
+    var scrubPosition = null;
+
+    /**
+     * Trick speeds FF/REW presses step through
+     * @type {Array}
+     */
+    var TRICK_SPEEDS = [2, 4, 8, 16];
+
+    /**
+     * Playback speed, negative while rewinding
+     * @type {Number}
+     */
+    var speed = 1;
+
+    /**
+     * Interval of simulated trick play, which pauses playback and steps the previewed position
+     * when the stream can't change its speed, null otherwise
+     */
+    var stepTimer = null;
+    var STEP_INTERVAL = 500;
+
+    function getRate() {
+        return chosenRate === null ? 1 : chosenRate.rate;
+    }
+
+    /**
+     * Shows position on the progress bar and current time label.
+     * @param {Number} position - position in miliseconds
+     * @param {Object} that - player object
+     */
+    function showPosition(position, that) {
+        document.querySelector('.current-time').textContent = that.getCurrentTime(position);
+        that.setProgressBar(position, totalTime);
+    }
+
+    /**
+     * Shows trick speed in the controls, it is hidden at normal speed.
+     */
+    function showSpeed() {
+        var label = document.querySelector('.video-controls .speed');
+
+        if (speed === 1) {
+            label.style.display = 'none';
+        } else {
+            label.querySelector('.fa').className = 'fa ' + (speed < 0 ? 'fa-backward' : 'fa-forward');
+            label.querySelector('.speed-value').textContent = Math.abs(speed) + 'x';
+            label.style.display = 'inline-block';
+        }
+        tvApp.stateObj.speed = speed;
+    }
+
+    /**
+     * Returns speed of the next FF/REW press, presses in the other direction start again at 2x.
+     * @param {Number} direction - 1 for FF, -1 for REW
+     * @returns {Number}
+     */
+    function nextSpeed(direction) {
+        var index = speed * direction > 1 ? TRICK_SPEEDS.indexOf(Math.abs(speed)) + 1 : 0;
+
+        return direction * TRICK_SPEEDS[Math.min(index, TRICK_SPEEDS.length - 1)];
+    }
+
+    /**
+     * Changes speed of the stream, errors aren't reported to senders as simulated trick play takes over.
+     * @param {Number} value - playback speed
+     * @returns {Boolean} false if the stream can't play at the speed
+     */
+    function setStreamSpeed(value) {
+        try {
+            webapis.avplay.setSpeed(value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Moves previewed position of simulated trick play, playback continues at normal speed
+     * when either end of the stream is reached.
+     * @param {Object} that - player object
+     */
+    function step(that) {
+        scrubPosition = clampPosition(scrubPosition + speed * STEP_INTERVAL);
+        showPosition(scrubPosition, that);
+        tvApp.thumbnails.show(scrubPosition, totalTime, that.getCurrentTime(scrubPosition));
+        tvApp.stateObj.scrubPosition = scrubPosition;
+        FastCast.status(tvApp.stateObj);
+        if (scrubPosition <= 0 || scrubPosition >= webapis.avplay.getDuration()) {
+            that.normalSpeed(true);
+        }
+    }
+
+    /**
+     * Steps trick speed with FF/REW presses.
+     * @param {Number} direction - 1 for FF, -1 for REW
+     * @param {Object} that - player object
+     */
+    function trickPlay(direction, that) {
+        var playback = tvApp.playerState.getPlayback();
+        var value = nextSpeed(direction);
+
+        if (playback === null || scrubPosition !== null && stepTimer === null) {
+            //nothing is played or sender is scrubbing
+            return;
+        }
+        if (stepTimer === null && setStreamSpeed(value)) {
+            if (playback === 'paused') {
+                control("play");
+            }
+        } else if (stepTimer === null) {
+            if (speed !== 1) {
+                setStreamSpeed(getRate());
+            }
+            if (playback === 'playing') {
+                control("pause");
+            }
+            scrubPosition = webapis.avplay.getCurrentTime();
+            stepTimer = setInterval(function () {
+                step(that);
+            }, STEP_INTERVAL);
+        }
+        speed = value;
+        showSpeed();
+        FastCast.status(tvApp.stateObj);
+    }
+
+    /**
+     * Converts avplay track info to track description.
+     * Keys of extra_info differ between containers, so both known variants are checked.
+     * @param {Object} trackInfo - item of webapis.avplay.getTotalTrackInfo()
+     * @param {Array} current - webapis.avplay.getCurrentStreamInfo()
+     * @returns {Object} {index, type, language, codec, channels, width, height, bitrate, selected}
+     */
+    function parseTrack(trackInfo, current) {
+        var extra = {};
+
+        try {
+            extra = JSON.parse(trackInfo.extra_info) || {};
+        } catch (e) {
+            extra = {};
+        }
+        return {
+            index: trackInfo.index,
+            type: String(trackInfo.type).toLowerCase(),
+            language: extra.language || extra.track_lang || '',
+            codec: extra.fourCC || '',
+            channels: parseInt(extra.channels, 10) || 0,
+            width: parseInt(extra.Width, 10) || 0,
+            height: parseInt(extra.Height, 10) || 0,
+            bitrate: parseInt(extra.Bit_rate || extra.bit_rate, 10) || 0,
+            selected: current.some(function (stream) {
+                return stream.type === trackInfo.type && stream.index === trackInfo.index;
+            })
+        };
+    }
+
+    /**
+     * Returns streaming profile limited to a single bitrate.
+     * @param {Object} [profile] - streaming profile of the stream
+     * @param {Number} bitrate - pinned bitrate
+     * @returns {Object}
+     */
+    function lockProfile(profile, bitrate) {
+        var locked = {};
+
+        Object.keys(profile || {}).forEach(function (key) {
+            locked[key] = profile[key];
+        });
+        locked.minBitrate = bitrate;
+        locked.maxBitrate = bitrate;
+        locked.startBitrate = bitrate;
+        delete locked.skipBitrate;
+        return locked;
+    }
+
+    /**
+     * Selects tracks which were selected before the stream was restarted.
+     * @param {Object} tracks - {audioTrack, textTrack}
+     */
+    function restoreTracks(tracks) {
+        if (tracks.audioTrack !== null && tracks.audioTrack !== undefined) {
+            avProxy("setSelectTrack", "AUDIO", tracks.audioTrack);
+        }
+        if (tracks.textTrack) {
+            tvApp.subtitles.select(tracks.textTrack, function () {
+                tvApp.subtitles.trackSubtitles(tvApp.stateObj);
+                FastCast.status(tvApp.stateObj);
+            });
+        }
+    }
+
+    /**
+     * Stops avplay and clears the controls, the caller moves player state.
+     */
+    function release() {
+        tvApp.savePosition();
+        stopStream();
+        tvApp.drm.reset();
+        tvApp.subtitles.hide();
+        tvApp.upNext.hide();
+
+        //switch back from fullscreen to window if stream finished playing
+        //if (isFullscreen === true) {
+        //    this.toggleFullscreen();
+        //}
+        document.querySelector('.total-time').textContent = '0:00:00';
+        document.querySelector('.current-time').textContent = '0:00:00';
+        document.querySelector('.determinate').style.width = '0%';
+        //clear stream information window
+        if(info) {
+            info.innerHTML = '';
+        }
+        listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+    }
+
+    /**
+     * Stops avplay, trick play and scrubbing, request of the stream being prepared is rejected.
+     * Unlike release, the stream stays the current one, e.g. to be reopened.
+     */
+    function stopStream() {
+        if (loadingRequest !== null) {
+            FastCast.nack(loadingRequest.clientId, loadingRequest.requestId, FastCast.error.LOAD_CANCELLED);
+            loadingRequest = null;
+        }
+        avProxy("stop");
+        tvApp.thumbnails.hide();
+        clearInterval(stepTimer);
+        stepTimer = null;
+        speed = 1;
+        showSpeed();
+        scrubPosition = null;
+        delete tvApp.stateObj.scrubPosition;
+    }
+
+    /**
+     * Limits position to the duration of current stream.
+     * @param {Number} position - position in miliseconds
+     * @returns {Number}
+     */
+    function clampPosition(position) {
+        return Math.max(0, Math.min(position, webapis.avplay.getDuration()));
+    }
 
     return {
         url: "",
@@ -106,17 +392,38 @@ function VideoPlayer(config) {
         /**
          * Function to initialize the playback.
          * @param {String} url - content url, if there is no value then take url from config
+         * @param {Number} [startingPosition] - playback starting position in miliseconds
+         * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged when playback starts
+         * @param {Object} [options] - playback configuration of the stream
+         * @param {Object} [options.drm] - DRM of protected stream: {type: "playready" or "widevine", licenseServer,
+         *     headers, customData}
+         * @param {Object} [options.streaming] - adaptive streaming profile, see applyStreamingProfile
+         * @param {Object} [options.tracks] - {audioTrack, textTrack} selected instead of the language preferences
+         * @param {Number} [options.quality] - pinned bitrate, e.g. the one sent back by sender after reclaim
+         * @param {Object} [options.thumbnails] - trick-play thumbnails, see Thumbnails
          */
-        play: function (url, startingPosition) {
-            /* Create listener object. */
-            toggleLoading(true);
+        play: function (url, startingPosition, request, options) {
             var that = this;
+            var media;
+            var result = reopenResult;
+
+            request = request || {};
+            reopenResult = null;
+            //stream is opened only once, e.g. play pressed again while it is loading is ignored
+            if (result === null && !tvApp.playerState.is('idle', 'ended', 'error')) {
+                FastCast.nack(request.clientId, request.requestId, FastCast.error.INVALID_STATE);
+                return;
+            }
+            tvApp.playerState.set('loading');
+            options = options || {};
+            /* Create listener object. */
             listener = {
                 onbufferingstart: function () {
                     log("Buffering start.");
-                    tvApp.stateObj.state = webapis.avplay.getState();
-                    tvApp.volumeControl.trackVolume(tvApp.stateObj);
-                    FastCast.status(tvApp.stateObj);
+                    //buffering before the stream starts is a part of loading
+                    if (tvApp.playerState.isActive()) {
+                        tvApp.playerState.set('buffering');
+                    }
                 },
                 onbufferingprogress: function (percent) {
                     log("Buffering progress data : " + percent);
@@ -127,38 +434,70 @@ function VideoPlayer(config) {
                 },
                 onbufferingcomplete: function () {
                     log("Buffering complete.");
-                    //document.querySelector('.loader').classList.remove('active');
-                    toggleLoading();
+                    if (tvApp.playerState.is('buffering')) {
+                        tvApp.playerState.settle();
+                    }
                     tvApp.stateObj.totalTime = webapis.avplay.getDuration();
                     tvApp.stateObj.position = webapis.avplay.getCurrentTime();
                     tvApp.volumeControl.trackVolume(tvApp.stateObj);
                     FastCast.status(tvApp.stateObj);
-                    jumpLength = totalTime / 10;
                 },
                 oncurrentplaytime: function (currentTime) {
                     //log("Current playtime: " + currentTime);
-                    document.querySelector('.current-time').textContent = this.getCurrentTime(currentTime);
-                    tvApp.stateObj.state = webapis.avplay.getState();
+                    tvApp.subtitles.update(currentTime);
+                    tvApp.upNext.update(currentTime, totalTime);
                     tvApp.stateObj.totalTime = totalTime;
                     tvApp.stateObj.position = currentTime;
+                    this.trackBandwidth(tvApp.stateObj);
                     tvApp.volumeControl.trackVolume(tvApp.stateObj);
                     FastCast.status(tvApp.stateObj);
-                    this.setProgressBar(currentTime, totalTime);
-
+                    //scrub preview stays on the screen until scrubbing ends
+                    if (scrubPosition === null) {
+                        showPosition(currentTime, this);
+                    }
+                    if (speed !== 1 && stepTimer === null) {
+                        tvApp.thumbnails.show(currentTime, totalTime, this.getCurrentTime(currentTime));
+                        if (speed < 0 && currentTime <= 0) {
+                            //rewinding stops at the start
+                            this.normalSpeed(true);
+                        }
+                    }
                 }.bind(this),
+                onsubtitlechange: function (duration, text) {
+                    tvApp.subtitles.showEmbedded(duration, text);
+                },
                 onevent: function (eventType, eventData) {
                     log("event type: " + eventType + ", data: " + eventData);
                 },
                 onstreamcompleted: function () {
                     log("Stream Completed");
                     var eve = new CustomEvent("streamCompleted");
+                    tvApp.playerState.set('ended');
+                    release();
+                    //listeners may start next video, so player is stopped before
                     tvApp.eventBus.dispatchEvent(eve);
-                    this.stop();
-                    tvApp.stateObj.state = webapis.avplay.getState();
-                    FastCast.status(tvApp.stateObj);
                 }.bind(this),
+                ondrmevent: function (drmEvent, drmData) {
+                    log("DRM event: " + drmEvent + ", " + (drmData && drmData.name));
+                    tvApp.drm.onDrmEvent(drmEvent, drmData, function (acquired) {
+                        if (!acquired) {
+                            loadingRequest = null;
+                            release();
+                            tvApp.playerState.set('error');
+                            FastCast.error(FastCast.error.DRM_LICENSE_FAILED);
+                            FastCast.nack(request.clientId, request.requestId, FastCast.error.DRM_LICENSE_FAILED);
+                        }
+                    });
+                },
                 onerror: function (eventType) {
+                    var drmError = tvApp.drm.getError(eventType);
+
                     log("event type error : " + eventType);
+                    tvApp.playerState.set('error');
+                    //e.g. license expired during playback
+                    if (drmError !== null) {
+                        FastCast.error(drmError);
+                    }
                 }
             };
 
@@ -169,6 +508,20 @@ function VideoPlayer(config) {
                 this.url = url;
             }
             log('videoPlayer open: ' + url);
+            current = {url: url, options: options};
+            if (typeof options.quality === 'number') {
+                lockedQuality = {url: url, bitrate: options.quality};
+            } else if (lockedQuality !== null && lockedQuality.url !== url) {
+                lockedQuality = null;
+            }
+            if (chosenRate !== null && chosenRate.url !== url) {
+                chosenRate = null;
+            }
+            //external subtitles of the media described in status
+            media = tvApp.stateObj.media;
+            tvApp.subtitles.setExternalTracks(media && media.url === url ? media.subtitles : []);
+            tvApp.stateObj.thumbnails = tvApp.thumbnails.load(options.thumbnails || null);
+            showSpeed();
             try {
                 webapis.avplay.open(url);
                 webapis.avplay.setDisplayMethod('PLAYER_DISPLAY_MODE_FULL_SCREEN');
@@ -183,24 +536,68 @@ function VideoPlayer(config) {
                 log(e);
             }
 
-            //set bitrates according to the values in your stream manifest
-            //			this.setBitrate(477000, 2056000, 2056000, 688000);
+            //bitrates and buffers of the catalog entry, pinned quality narrows the range to a single rendition
+            this.applyStreamingProfile(lockedQuality === null ? options.streaming
+                : lockProfile(options.streaming, lockedQuality.bitrate));
 
             //set 4k
             if (isUhd) {
                 this.set4K();
             }
 
+            if (!tvApp.drm.configure(options.drm)) {
+                //stream has been opened already, don't leave it half set up
+                try {
+                    webapis.avplay.close();
+                } catch (e) {
+                    log(e);
+                }
+                tvApp.playerState.set('error');
+                FastCast.error(FastCast.error.DRM_NOT_SUPPORTED);
+                FastCast.nack(request.clientId, request.requestId, FastCast.error.DRM_NOT_SUPPORTED);
+                return;
+            }
+
+            loadingRequest = request;
             webapis.avplay.prepareAsync(function () {
+                if (loadingRequest !== request || !tvApp.playerState.is('loading')) {
+                    //stopped or replaced meanwhile
+                    return;
+                }
+                loadingRequest = null;
+                tvApp.subtitles.setEmbeddedTracks(webapis.avplay.getTotalTrackInfo());
+                if (options.tracks) {
+                    restoreTracks(options.tracks);
+                } else {
+                    tvApp.applyTrackPreferences();
+                }
+                tvApp.subtitles.trackSubtitles(tvApp.stateObj);
+                that.trackStreams(tvApp.stateObj);
+                that.trackBandwidth(tvApp.stateObj);
+                that.trackRenditions(tvApp.stateObj);
                 if (startingPosition) {
                     avProxy("seekTo", parseInt(startingPosition, 10));
                 }
                 totalTime = webapis.avplay.getDuration();
                 that.setTotalTime();
-                avProxy("play");
-            }, function () {
-                toggleLoading();
-                onPrepareError.apply(null, arguments);
+                if (control("play")) {
+                    if (chosenRate !== null && !setStreamSpeed(chosenRate.rate)) {
+                        chosenRate = null;
+                    }
+                    tvApp.stateObj.playbackRate = getRate();
+                    FastCast.ack(request.clientId, request.requestId, result || {url: url, totalTime: totalTime});
+                } else {
+                    tvApp.playerState.set('error');
+                    FastCast.nack(request.clientId, request.requestId, FastCast.error.NO_SUCH_STREAM);
+                }
+            }, function (e) {
+                if (loadingRequest !== request) {
+                    return;
+                }
+                loadingRequest = null;
+                tvApp.playerState.set('error');
+                onPrepareError(e);
+                FastCast.nack(request.clientId, request.requestId, getPrepareError(e));
             })
 
 
@@ -240,13 +637,13 @@ function VideoPlayer(config) {
                 this.url = url;
             }
 
-            if (webapis.avplay.getState() === 'PLAYING' || webapis.avplay.getState() === 'PAUSED') {
-                document.querySelector('.play-pause').classList.remove('fa-pause');
-                document.querySelector('.play-pause').classList.add('fa-play');
+            if (speed !== 1) {
+                //play returns from trick play to normal speed
+                this.normalSpeed(true);
+                action = 'play';
+            } else if (tvApp.playerState.isActive()) {
                 action = this.pause();
             } else {
-                document.querySelector('.play-pause').classList.remove('fa-play');
-                document.querySelector('.play-pause').classList.add('fa-pause');
                 this.play(url);
                 action = 'play';
             }
@@ -257,22 +654,8 @@ function VideoPlayer(config) {
          * Function to stop current playback.
          */
         stop: function () {
-            avProxy("stop");
-
-            //switch back from fullscreen to window if stream finished playing
-            //if (isFullscreen === true) {
-            //    this.toggleFullscreen();
-            //}
-            document.querySelector('.total-time').textContent = '0:00:00';
-            document.querySelector('.current-time').textContent = '0:00:00';
-            document.querySelector('.determinate').style.width = '0%';
-            //clear stream information window
-            if(info) {
-                info.innerHTML = '';
-            }
-            document.querySelector('.play-pause').classList.remove('fa-pause');
-            document.querySelector('.play-pause').classList.add('fa-play');
-            listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+            release();
+            tvApp.playerState.set('idle');
         },
         /**
          * Function to pause/resume playback.
@@ -286,47 +669,196 @@ function VideoPlayer(config) {
             if (!this.url) {
                 this.url = url;
             }
-            if (webapis.avplay.getState() === 'PLAYING') {
-                avProxy("pause");
+            if (this.normalSpeed(false)) {
+                //trick play ends paused at the reached position
                 action = 'pause';
-            } else if (webapis.avplay.getState() === 'NONE' || webapis.avplay.getState() === 'IDLE') {
-                this.play(url);
+            } else if (tvApp.playerState.getPlayback() === 'playing') {
+                control("pause");
+                action = 'pause';
+            } else if (tvApp.playerState.getPlayback() === 'paused') {
+                //this works like resume
+                control("play");
                 action = 'play';
             } else {
-                //this works like resume
-                document.querySelector('.play-pause').classList.remove('fa-play');
-                document.querySelector('.play-pause').classList.add('fa-pause');
-                avProxy("play");
+                this.play(url);
                 action = 'play';
             }
             listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
             return action;
         },
         /**
-         * Jump forward 1/10th of total movie length.
+         * Function to resume paused playback.
+         * @returns {Boolean} false if playback is not paused or can't be resumed
+         */
+        resume: function () {
+            var resumed;
+            if (this.normalSpeed(true)) {
+                return true;
+            }
+            if (tvApp.playerState.getPlayback() !== 'paused') {
+                return false;
+            }
+            resumed = control("play");
+            listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+            return resumed;
+        },
+        /**
+         * Fast forward, repeated presses step through 2x, 4x, 8x and 16x speed.
          */
         ff: function () {
-            console.debug("Jumping forward by", jumpLength);
-            avProxy("jumpForward", jumpLength);
+            trickPlay(1, this);
         },
         /**
-         * Seek to time.
+         * Returns from trick play to normal speed, simulated trick play seeks to the reached position.
+         * @param {Boolean} resume - whether playback continues or stays paused
+         * @returns {Boolean} false if playback is at normal speed already
          */
-        seek: function (time) {
-            if (!time) {
+        normalSpeed: function (resume) {
+            var target;
+
+            if (speed === 1) {
+                return false;
+            }
+            speed = 1;
+            if (stepTimer !== null) {
+                clearInterval(stepTimer);
+                stepTimer = null;
+                target = scrubPosition;
+                scrubPosition = null;
+                delete tvApp.stateObj.scrubPosition;
+                if (resume) {
+                    control("play");
+                }
+                this.seek(target);
+            } else {
+                setStreamSpeed(getRate());
+                if (!resume && tvApp.playerState.getPlayback() === 'playing') {
+                    control("pause");
+                }
+            }
+            tvApp.thumbnails.hide();
+            showSpeed();
+            listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+            return true;
+        },
+        /**
+         * Returns playback speed, negative while rewinding.
+         * @returns {Number}
+         */
+        getSpeed: function () {
+            return speed;
+        },
+        /**
+         * Changes playback rate of the current stream, trick play returns to normal speed at the rate.
+         * The rate is kept while the same stream is played again, e.g. after quality change.
+         * @param {Number} rate - playback rate, 1 is normal speed
+         * @returns {Boolean} false if the stream can't play at the rate, trick play goes on then
+         */
+        setPlaybackRate: function (rate) {
+            if (!setStreamSpeed(rate)) {
+                return false;
+            }
+            chosenRate = rate === 1 ? null : {url: current.url, rate: rate};
+            tvApp.stateObj.playbackRate = rate;
+            this.normalSpeed(true);
+            FastCast.status(tvApp.stateObj);
+            return true;
+        },
+        /**
+         * Returns playback rate chosen for the current stream.
+         * @returns {Number}
+         */
+        getPlaybackRate: getRate,
+        /**
+         * Seek to time, playback stays playing or paused.
+         * @param {Number} time - position in miliseconds, limited to stream duration
+         * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged after seeking
+         */
+        seek: function (time, request) {
+            var position = clampPosition(time),
+                started;
+
+            request = request || {};
+            tvApp.playerState.set('seeking');
+            started = avProxy("seekTo", position, function () {
+                tvApp.playerState.settle();
+                listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+                FastCast.ack(request.clientId, request.requestId, {position: webapis.avplay.getCurrentTime()});
+            }, function () {
+                tvApp.playerState.settle();
+                onSeekError();
+                FastCast.nack(request.clientId, request.requestId, FastCast.error.SEEK_FAILED);
+            });
+            if (!started) {
+                tvApp.playerState.settle();
+                FastCast.nack(request.clientId, request.requestId, FastCast.error.SEEK_FAILED);
+            }
+        },
+        /**
+         * Seek relative to current position.
+         * @param {Number} offset - miliseconds to move forward, negative values move backward
+         * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged after seeking
+         */
+        seekBy: function (offset, request) {
+            this.seek(webapis.avplay.getCurrentTime() + offset, request);
+        },
+        /**
+         * Start scrubbing: position changes are previewed on the progress bar
+         * and playback is not moved until scrubbing ends.
+         */
+        startScrub: function () {
+            this.normalSpeed(true);
+            scrubPosition = webapis.avplay.getCurrentTime();
+            tvApp.thumbnails.show(scrubPosition, totalTime, this.getCurrentTime(scrubPosition));
+            tvApp.stateObj.scrubPosition = scrubPosition;
+            FastCast.status(tvApp.stateObj);
+        },
+        /**
+         * Preview position while scrubbing.
+         * @param {Number} position - position in miliseconds
+         */
+        scrub: function (position) {
+            if (scrubPosition === null) {
                 return;
             }
-            toggleLoading(true);
-            this.pause();
-            avProxy("seekTo", time);
-            this.playPause(this.url);
+            scrubPosition = clampPosition(position);
+            showPosition(scrubPosition, this);
+            tvApp.thumbnails.show(scrubPosition, totalTime, this.getCurrentTime(scrubPosition));
+            tvApp.stateObj.scrubPosition = scrubPosition;
+            FastCast.status(tvApp.stateObj);
         },
         /**
-         * Rewind 1/10th of total movie length.
+         * End scrubbing.
+         * @param {Boolean} commit - whether playback seeks to the previewed position
+         * @param {Number} [position] - final position in miliseconds, last previewed position by default
+         * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged after seeking
+         */
+        endScrub: function (commit, position, request) {
+            var target = position !== undefined ? position : scrubPosition;
+
+            request = request || {};
+            tvApp.thumbnails.hide();
+            scrubPosition = null;
+            delete tvApp.stateObj.scrubPosition;
+            if (commit && target !== null) {
+                this.seek(target, request);
+                return;
+            }
+            listener.oncurrentplaytime(webapis.avplay.getCurrentTime());
+            FastCast.ack(request.clientId, request.requestId, {position: webapis.avplay.getCurrentTime()});
+        },
+        /**
+         * Checks whether position is being scrubbed.
+         * @returns {Boolean}
+         */
+        isScrubbing: function () {
+            return scrubPosition !== null;
+        },
+        /**
+         * Rewind, repeated presses step through 2x, 4x, 8x and 16x speed.
          */
         rew: function () {
-            console.debug("Jumping backward by", jumpLength);
-            avProxy("jumpBackward", jumpLength);
+            trickPlay(-1, this);
         },
         /**
          * Set flag to play UHD content.
@@ -384,36 +916,212 @@ function VideoPlayer(config) {
          * In case of Smooth Streaming STARTBITRATE and SKIPBITRATE values 'LOWEST', 'HIGHEST', 'AVERAGE' can be set.
          * For other streaming engines there must be numeric values.
          *
-         * @param {Number} from  - Lower value of bitrates range.
-         * @param {Number} to    - Higher value of the bitrates range.
+         * @param {Number} [from]  - Lower value of bitrates range, range is set only with both values.
+         * @param {Number} [to]    - Higher value of the bitrates range.
          * @param {Number} start - Bitrate which should be used for initial chunks.
          * @param {Number} skip  - Bitrate that will not be used.
          */
         setBitrate: function (from, to, start, skip) {
-            var bitrates = '|BITRATES=' + from + '~' + to;
+            var bitrates = from !== undefined && to !== undefined ? ['BITRATES=' + from + '~' + to] : [];
 
             if (start !== '' && start !== undefined) {
-                bitrates += '|STARTBITRATE=' + start;
+                bitrates.push('STARTBITRATE=' + start);
+            }
+            if (skip !== '' && skip !== undefined) {
+                bitrates.push('SKIPBITRATE=' + skip);
+            }
+
+            avProxy("setStreamingProperty", "ADAPTIVE_INFO", bitrates.join('|'));
+        },
+        /**
+         * Applies adaptive streaming profile of the stream, has to be called before it is prepared.
+         * Bitrates are in bits per second, 'LOWEST', 'HIGHEST' and 'AVERAGE' start and skip bitrates are
+         * accepted for Smooth Streaming only.
+         * @param {Object} [profile]
+         * @param {String} [profile.protocol] - hls, dash, smooth or progressive, progressive streams aren't adaptive
+         * @param {Number} [profile.minBitrate] - lower bound of bitrates range, 0 by default
+         * @param {Number} [profile.maxBitrate] - upper bound of bitrates range, range is set only with it
+         * @param {Number|String} [profile.startBitrate] - bitrate of initial chunks
+         * @param {Number|String} [profile.skipBitrate] - bitrate that won't be used
+         * @param {Number} [profile.playBuffer] - seconds buffered before playback starts
+         * @param {Number} [profile.resumeBuffer] - seconds buffered before playback resumes after rebuffering
+         * @param {Number} [profile.prebuffer] - position in miliseconds prebuffered with PREBUFFER_MODE
+         */
+        applyStreamingProfile: function (profile) {
+            var keywords = ['LOWEST', 'HIGHEST', 'AVERAGE'];
+            var bitrates = {};
+
+            if (!profile) {
+                return;
+            }
+            if (profile.protocol !== 'progressive') {
+                ['startBitrate', 'skipBitrate'].forEach(function (key) {
+                    var value = profile[key];
+
+                    if (typeof value === 'number' || keywords.indexOf(value) > -1 && profile.protocol === 'smooth') {
+                        bitrates[key] = value;
+                    } else if (value !== undefined) {
+                        console.warn('unsupported ' + key + ' of ' + profile.protocol + ' stream: ' + value);
+                    }
+                });
+                if (profile.maxBitrate !== undefined || bitrates.startBitrate !== undefined
+                        || bitrates.skipBitrate !== undefined) {
+                    this.setBitrate(profile.maxBitrate === undefined ? undefined : profile.minBitrate || 0,
+                        profile.maxBitrate, bitrates.startBitrate, bitrates.skipBitrate);
+                }
+            }
+            if (typeof profile.playBuffer === 'number') {
+                avProxy("setBufferingParam", "PLAYER_BUFFER_FOR_PLAY", "PLAYER_BUFFER_SIZE_IN_SECOND", profile.playBuffer);
+            }
+            if (typeof profile.resumeBuffer === 'number') {
+                avProxy("setBufferingParam", "PLAYER_BUFFER_FOR_RESUME", "PLAYER_BUFFER_SIZE_IN_SECOND",
+                    profile.resumeBuffer);
+            }
+            if (typeof profile.prebuffer === 'number') {
+                avProxy("setStreamingProperty", "PREBUFFER_MODE", String(profile.prebuffer));
+            }
+        },
+        /**
+         * Sets bitrates of renditions of adaptive stream (renditions), parsed from AVAILABLE_BITRATE, and pinned
+         * bitrate or "auto" (quality) in status object. Both are null for progressive streams.
+         * @param {Object} stateObj - status object
+         */
+        trackRenditions: function (stateObj) {
+            var available = '';
+            var renditions;
+
+            try {
+                available = String(webapis.avplay.getStreamingProperty("AVAILABLE_BITRATE"));
+            } catch (e) {
+                console.error('avplay exception at getStreamingProperty', e.message);
+            }
+            renditions = available.split(/[|,\s]+/).map(function (bitrate) {
+                return parseInt(bitrate, 10);
+            }).filter(function (bitrate, index, all) {
+                return bitrate > 0 && all.indexOf(bitrate) === index;
+            }).sort(function (a, b) {
+                return a - b;
+            });
+            stateObj.renditions = renditions.length ? renditions : null;
+            stateObj.quality = renditions.length ? (lockedQuality === null ? 'auto' : lockedQuality.bitrate) : null;
+        },
+        /**
+         * Pins bitrate of adaptive stream or goes back to automatic quality. Bitrate range can be set only before
+         * the stream is prepared, so the stream is reopened at the current position with the same tracks,
+         * the request is acknowledged once it plays again. The player is loading meanwhile, it doesn't become idle.
+         * The choice is kept while the same stream is played again, e.g. after reclaim.
+         * @param {Number|null} bitrate - one of status renditions, null for automatic quality
+         * @param {Object} [request] - FastCast request {clientId, requestId} to be acknowledged
+         */
+        setQuality: function (bitrate, request) {
+            var renditions = tvApp.stateObj.renditions || [];
+            var changed = (lockedQuality === null ? null : lockedQuality.bitrate) !== bitrate;
+            var options = {};
+            var position;
+
+            request = request || {};
+            if (bitrate !== null && renditions.indexOf(bitrate) === -1) {
+                FastCast.nack(request.clientId, request.requestId, FastCast.error.NO_SUCH_TRACK);
+                return;
             }
-            if (to !== '' && to !== undefined) {
-                bitrates += '|SKIPBITRATE=' + skip;
+            lockedQuality = bitrate === null ? null : {url: current.url, bitrate: bitrate};
+            if (changed && renditions.length) {
+                Object.keys(current.options).forEach(function (key) {
+                    options[key] = current.options[key];
+                });
+                delete options.quality;
+                options.tracks = {audioTrack: tvApp.stateObj.audioTrack, textTrack: tvApp.stateObj.textTrack};
+                position = webapis.avplay.getCurrentTime();
+                stopStream();
+                reopenResult = {quality: bitrate === null ? 'auto' : bitrate};
+                this.play(current.url, position, request, options);
+                return;
             }
+            FastCast.ack(request.clientId, request.requestId, {quality: bitrate === null ? 'auto' : bitrate});
+        },
+        /**
+         * Sets current network bandwidth (bandwidth) and bitrate of the played rendition (bitrate) in status object,
+         * both in bits per second and null for progressive streams.
+         * @param {Object} stateObj - status object
+         */
+        trackBandwidth: function (stateObj) {
+            var bandwidth = null;
+            var video;
 
-            avProxy("setStreamingProperty", "ADAPTIVE_INFO", bitrates);
+            try {
+                bandwidth = parseInt(webapis.avplay.getStreamingProperty("CURRENT_BANDWIDTH"), 10) || null;
+                video = webapis.avplay.getCurrentStreamInfo().filter(function (stream) {
+                    return stream.type === 'VIDEO';
+                })[0];
+            } catch (e) {
+                video = null;
+            }
+            stateObj.bandwidth = bandwidth;
+            stateObj.bitrate = bandwidth && video ? parseTrack(video, []).bitrate || null : null;
         },
         /**
          * Function to change current VIDEO/AUDIO/TEXT track
          * @param {String} type  - Streaming type received with webapis.avplay.getTotalTrackInfo(), possible values
          *     are: VIDEO, AUDIO, TEXT.
          * @param {Number} index - Track id received with webapis.avplay.getTotalTrackInfo().
+         * @returns {Boolean} false if avplay has rejected the track
          */
         setTrack: function (type, index) {
-            avProxy("setSelectTrack", type, index);
+            return avProxy("setSelectTrack", type, index);
         },
         /**
-         * Show information about all available stream tracks on the screen.
+         * Returns AUDIO and VIDEO tracks of prepared stream.
+         * @returns {Array} {index, type: "audio" or "video", language, codec, channels, width, height, bitrate, selected}
          */
         getTracks: function () {
+            var trackInfo, current;
+
+            try {
+                trackInfo = webapis.avplay.getTotalTrackInfo();
+                current = webapis.avplay.getCurrentStreamInfo();
+            } catch (e) {
+                console.error('avplay exception at getTotalTrackInfo', e.message);
+                return [];
+            }
+            return trackInfo.filter(function (track) {
+                return track.type === 'AUDIO' || track.type === 'VIDEO';
+            }).map(function (track) {
+                return parseTrack(track, current);
+            });
+        },
+        /**
+         * Sets available tracks (audioTracks, videoTracks) and indexes of the selected ones (audioTrack, videoTrack)
+         * in status object.
+         * @param {Object} stateObj - status object
+         */
+        trackStreams: function (stateObj) {
+            var tracks = this.getTracks();
+
+            ['audio', 'video'].forEach(function (type) {
+                var ofType = tracks.filter(function (track) {
+                    return track.type === type;
+                });
+                var selected = ofType.filter(function (track) {
+                    return track.selected;
+                })[0];
+
+                stateObj[type + 'Tracks'] = ofType.map(function (track) {
+                    var described = {};
+
+                    Object.keys(track).forEach(function (key) {
+                        if (key !== 'type' && key !== 'selected') {
+                            described[key] = track[key];
+                        }
+                    });
+                    return described;
+                });
+                stateObj[type + 'Track'] = selected ? selected.index : null;
+            });
+        },
+        /**
+         * Show information about all available stream tracks on the screen.
+         */
+        showTracks: function () {
             var trackInfo = webapis.avplay.getTotalTrackInfo();
             var text = 'type of track info: ' + typeof trackInfo + '<br />';
             text += 'length: ' + trackInfo.length + '<br />';
@@ -429,7 +1137,7 @@ function VideoPlayer(config) {
          */
         getProperties: function () {
             var text = 'AVAILABLE_BITRATE: ' + webapis.avplay.getStreamingProperty("AVAILABLE_BITRATE") + '<br />';
-            text += 'CURRENT_BANDWIDTH: ' + webapis.avplay.getStreamingProperty("CURRENT_BANDWITH") + '<br />';
+            text += 'CURRENT_BANDWIDTH: ' + webapis.avplay.getStreamingProperty("CURRENT_BANDWIDTH") + '<br />';
             text += 'DURATION: ' + webapis.avplay.getStreamingProperty("DURATION") + '<br />';
             text += 'BUFFER_SIZE: ' + webapis.avplay.getStreamingProperty("BUFFER_SIZE") + '<br />';
             text += 'START_FRAGMENT: ' + webapis.avplay.getStreamingProperty("START_FRAGMENT") + '<br />';
@@ -437,8 +1145,12 @@ function VideoPlayer(config) {
             text += 'CUSTOM_MESSAGE: ' + webapis.avplay.getStreamingProperty("CUSTOM_MESSAGE");
             info.innerHTML = text;
         },
+        /**
+         * Returns player state, see PlayerState.
+         * @returns {String}
+         */
         getState: function () {
-            return webapis.avplay.getState();
+            return tvApp.playerState.get();
         },
         /**
          * Switch between full screen mode and normal windowed mode.
@@ -467,6 +1179,7 @@ function VideoPlayer(config) {
             }
         },
         suspend: function () {
+            tvApp.savePosition();
             avProxy("suspend");
         },
         restore: function () {
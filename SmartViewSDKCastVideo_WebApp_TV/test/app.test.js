@@ -0,0 +1,970 @@
+/**
+ * @file Application tests
+ * @description End-to-end flows: senders control the whole application (main.js, VideoPlayer,
+ * VolumeControl) running on the stand-in TV.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    fs = require("fs"),
+    path = require("path"),
+    harness = require("./harness/environment.js"),
+    movies = JSON.parse(fs.readFileSync(path.join(harness.APP_DIR, "data.json"), "utf8")).movies;
+
+/**
+ * Starts the application with playable catalog and connects a sender.
+ * @param {Array} [catalog] - movies served as data.json instead of the application's one
+ * @returns {Object} environment with phone property
+ */
+function setup(catalog) {
+    var env = harness.createEnvironment(),
+        phone;
+
+    if (catalog) {
+        env.serve("data.json", JSON.stringify({movies: catalog}));
+    }
+    movies.forEach(function (movie) {
+        env.avplay.addMedia(movie.url, {duration: 120000});
+    });
+    env.start();
+
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    phone.send("capabilities", {version: 2});
+    phone.clear();
+
+    env.phone = phone;
+    return env;
+}
+
+test("application registers its keys and shows the catalog", function () {
+    var env = setup();
+
+    assert.ok(env.tizen.tvinputdevice.registeredKeys.indexOf("MediaPlayPause") !== -1);
+    assert.strictEqual(env.document.querySelectorAll("#video-list li").length, movies.length);
+    assert.strictEqual(env.document.querySelector(".navigable.focused").dataset.videoid, String(movies[0].id));
+    assert.notStrictEqual(env.document.getElementById("msg-box").style.display, "block");
+});
+
+test("pairing is opt-in, the PIN stays on the screen until the sender is paired", function () {
+    var env = setup(),
+        prompt = env.document.getElementById("pairing-prompt"),
+        phone,
+        pin;
+
+    assert.strictEqual(env.phone.received("pairingRequired").length, 0);
+
+    env = harness.createEnvironment();
+    env.window.tvApp.fastCastOptions.pairing = true;
+    env.start();
+    prompt = env.document.getElementById("pairing-prompt");
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    phone.send("capabilities", {version: 2});
+    assert.strictEqual(prompt.style.display, "block");
+    pin = /PIN (\d+)/.exec(prompt.textContent)[1];
+
+    // connection check hides messages every 3 seconds, the PIN is not one of them
+    env.clock.tick(10000);
+    assert.strictEqual(prompt.style.display, "block");
+    assert.ok(prompt.textContent.indexOf("phone wants to connect, enter PIN " + pin) !== -1);
+
+    phone.send("pair", {pin: pin});
+    assert.strictEqual(phone.received("paired").length, 1);
+    assert.strictEqual(prompt.style.display, "none");
+});
+
+test("play starts the requested video and is acknowledged once playing", function () {
+    var env = setup(),
+        movie = movies[1];
+
+    env.phone.send("play", {videoId: movie.id, position: 5000, requestId: "p1"});
+    assert.strictEqual(env.phone.received("ack").length, 0);
+
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.deepStrictEqual(env.phone.last("ack"), {
+        requestId: "p1",
+        event: "play",
+        result: {url: movie.url, totalTime: 120000}
+    });
+    assert.ok(env.avplay.getCurrentTime() >= 5000);
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "block");
+    assert.strictEqual(env.phone.status().state, "PLAYING");
+});
+
+test("play replaced or stopped before the video starts is rejected with 410", function () {
+    var env = setup();
+
+    env.phone.send("play", {videoId: movies[0].id, position: 0, requestId: "first"});
+    env.phone.send("play", {videoId: movies[1].id, position: 0, requestId: "second"});
+    assert.deepStrictEqual(env.phone.last("nack"), {
+        requestId: "first",
+        event: "play",
+        error: {message: "Playback stopped or replaced before it started", code: 410}
+    });
+    env.clock.tick(1000);
+    assert.deepStrictEqual(env.phone.last("ack").result, {url: movies[1].url, totalTime: 120000});
+    assert.strictEqual(env.phone.received("ack").length, 1);
+
+    env.phone.send("load", {url: movies[2].url, requestId: "stopped"});
+    env.phone.send("stop", {});
+    assert.strictEqual(env.phone.last("nack").requestId, "stopped");
+    assert.strictEqual(env.phone.last("nack").error.code, 410);
+    env.clock.tick(15000);
+    assert.strictEqual(env.phone.received("nack").length, 2);
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+});
+
+test("play of unknown or unreachable video is rejected with 404", function () {
+    var env = setup();
+
+    env.phone.send("play", {videoId: 999, requestId: "missing"});
+    assert.strictEqual(env.phone.last("nack").requestId, "missing");
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+
+    env.phone.send("play", {videoId: "999\"], li[data-videoid=\"" + movies[1].id, requestId: "injected"});
+    assert.strictEqual(env.phone.last("nack").requestId, "injected");
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+
+    env.document.querySelector("li[data-videoid=\"" + movies[0].id + "\"]").setAttribute("data-video", "http://offline/stream.mp4");
+    env.phone.send("play", {videoId: movies[0].id, requestId: "offline"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("nack").requestId, "offline");
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+});
+
+test("load plays media outside the catalog and shows its metadata", function () {
+    var env = setup(),
+        media = {
+            url: "http://cdn.example.com/trailer.mp4",
+            mimeType: "video/mp4",
+            title: "Trailer",
+            artwork: "http://cdn.example.com/trailer.jpg",
+            customData: {contentId: "abc"}
+        };
+
+    env.avplay.addMedia(media.url, {duration: 60000});
+    env.phone.send("load", {
+        url: media.url,
+        mimeType: media.mimeType,
+        title: media.title,
+        artwork: media.artwork,
+        customData: media.customData,
+        position: 10000,
+        requestId: "l1"
+    });
+    env.clock.tick(1000);
+
+    assert.deepStrictEqual(env.phone.last("ack").result, {url: media.url, totalTime: 60000});
+    assert.ok(env.avplay.getCurrentTime() >= 10000);
+    assert.strictEqual(env.document.getElementById("logo-container").textContent, "Trailer");
+    assert.strictEqual(env.document.querySelector(".media-title").textContent, "Trailer");
+    assert.strictEqual(env.document.querySelector(".media-artwork").getAttribute("src"), media.artwork);
+    assert.deepStrictEqual(env.phone.status().media, media);
+    assert.strictEqual(env.phone.status().videoId, -1);
+
+    env.phone.send("load", {url: "http://offline/stream.m3u8", requestId: "l2"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("nack").requestId, "l2");
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+});
+
+test("seek moves playback and is acknowledged", function () {
+    var env = setup();
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    env.phone.send("seek", {position: 60000, requestId: "s1"});
+    env.clock.tick(0);
+
+    assert.deepStrictEqual(env.phone.last("ack"), {requestId: "s1", event: "seek", result: {position: 60000}});
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.ok(env.avplay.getCurrentTime() >= 60000);
+});
+
+test("seek accepts relative offsets and the start of the video, keeping playback paused", function () {
+    var env = setup(),
+        paused;
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    env.phone.send("pause", {});
+    paused = env.avplay.getCurrentTime();
+    env.phone.send("seek", {offset: 30000, requestId: "fwd"});
+    env.clock.tick(0);
+    assert.deepStrictEqual(env.phone.last("ack").result, {position: paused + 30000});
+    assert.strictEqual(env.avplay.getState(), "PAUSED");
+
+    env.phone.send("seek", {offset: -60000, requestId: "back"});
+    env.clock.tick(0);
+    assert.deepStrictEqual(env.phone.last("ack").result, {position: 0});
+
+    env.phone.send("seek", {position: 45000});
+    env.phone.send("seek", {position: 0, requestId: "start"});
+    env.clock.tick(0);
+    assert.deepStrictEqual(env.phone.last("ack").result, {position: 0});
+    assert.strictEqual(env.avplay.getCurrentTime(), 0);
+});
+
+test("scrubbing previews the position and seeks once it ends", function () {
+    var env = setup(),
+        seeks;
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    env.phone.send("scrubStart", {requestId: "s"});
+    assert.strictEqual(env.phone.last("ack").requestId, "s");
+
+    env.phone.send("scrub", {position: 60000});
+    env.phone.send("scrub", {position: 90000});
+    env.clock.tick(1000);
+    seeks = env.avplay.calls.filter(function (call) {
+        return call.method === "seekTo";
+    });
+    assert.strictEqual(seeks.length, 0);
+    assert.strictEqual(env.document.querySelector(".determinate").style.width, "75%");
+    assert.strictEqual(env.phone.status().scrubPosition, 90000);
+    assert.ok(env.avplay.getCurrentTime() < 60000);
+
+    env.phone.send("scrubEnd", {requestId: "e"});
+    env.clock.tick(0);
+    assert.deepStrictEqual(env.phone.last("ack"), {requestId: "e", event: "scrubEnd", result: {position: 90000}});
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    env.clock.tick(500);
+    assert.strictEqual(env.phone.status().scrubPosition, undefined);
+
+    env.phone.send("scrubStart", {});
+    env.phone.send("scrub", {position: 10000});
+    env.phone.send("scrubEnd", {cancel: true, requestId: "c"});
+    assert.ok(env.phone.last("ack").result.position >= 90000);
+});
+
+test("volume message changes TV volume and mute", function () {
+    var env = setup();
+
+    env.phone.send("volume", {value: 25, requestId: "v1"});
+    assert.strictEqual(env.tizen.tvaudiocontrol.getVolume(), 25);
+    assert.strictEqual(env.tizen.tvaudiocontrol.isMute(), false);
+    assert.deepStrictEqual(env.phone.last("ack").result, {volume: 25, isMute: false});
+
+    env.phone.send("volume", {value: -25});
+    assert.strictEqual(env.tizen.tvaudiocontrol.isMute(), true);
+});
+
+test("keydown message drives the application like the remote control", function () {
+    var env = setup();
+
+    env.phone.send("keydown", {keycode: "MediaPlay"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+
+    env.phone.send("keydown", {keycode: "MediaStop"});
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "none");
+
+    env.phone.send("keydown", {keycode: "NoSuchKey", requestId: "k1"});
+    assert.strictEqual(env.phone.last("nack").error.code, 400);
+});
+
+test("playback reaching the end is reported with status", function () {
+    var env = setup(),
+        last = movies[movies.length - 1];
+
+    env.phone.send("play", {videoId: last.id});
+    env.clock.tick(121000);
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    assert.strictEqual(env.phone.status().state, "IDLE");
+    assert.deepStrictEqual(env.phone.last("streamCompleted"), {videoId: String(last.id), next: null});
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "none");
+});
+
+test("pause, resume and stop commands drive the player in any view", function () {
+    var env = setup();
+
+    env.phone.send("pause", {requestId: "early"});
+    assert.strictEqual(env.phone.last("nack").error.code, 409);
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    env.phone.send("pause", {requestId: "p"});
+    assert.strictEqual(env.avplay.getState(), "PAUSED");
+    assert.strictEqual(env.phone.last("ack").result.state, "PAUSED");
+    assert.ok(env.document.querySelector(".play-pause").classList.contains("fa-play"));
+
+    env.phone.send("resume", {requestId: "r"});
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.strictEqual(env.phone.last("ack").result.state, "PLAYING");
+
+    env.phone.send("stop", {requestId: "s"});
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    assert.strictEqual(env.phone.last("ack").requestId, "s");
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "none");
+});
+
+test("next and previous play neighbouring catalog videos", function () {
+    var env = setup();
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    env.phone.send("next", {requestId: "n"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").result.url, movies[1].url);
+    assert.strictEqual(env.document.querySelector(".navigable.focused").dataset.videoid, String(movies[1].id));
+
+    env.phone.send("previous", {requestId: "p1"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").result.url, movies[0].url);
+
+    env.phone.send("previous", {requestId: "p2"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+});
+
+test("next follows the loaded catalog video, not the focused one", function () {
+    var env = setup();
+
+    env.phone.send("load", {url: movies[2].url});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().videoId, String(movies[2].id));
+    env.phone.send("next", {requestId: "n"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").result.url, movies[3].url);
+    assert.strictEqual(env.phone.status().videoId, String(movies[3].id));
+
+    env.avplay.addMedia("http://cdn.example.com/extra.mp4", {duration: 60000});
+    env.phone.send("load", {url: "http://cdn.example.com/extra.mp4"});
+    env.clock.tick(1000);
+    env.phone.send("next", {requestId: "outside"});
+    assert.strictEqual(env.phone.last("nack").requestId, "outside");
+    assert.deepStrictEqual(env.phone.last("nack").error, {message: "No such queue item", code: 404});
+});
+
+test("queue is shared by senders and advances when a video completes", function () {
+    var env = setup(),
+        tablet = env.connectSender({name: "tablet"}),
+        queue,
+        late;
+
+    env.phone.send("queueAdd", {
+        items: [{videoId: movies[0].id}, {url: "http://cdn.example.com/extra.mp4", title: "Extra"}],
+        play: true,
+        requestId: "q1"
+    });
+    queue = env.phone.last("ack").result;
+    assert.deepStrictEqual(queue.items.map(function (item) {
+        return item.media.url;
+    }), [movies[0].url, "http://cdn.example.com/extra.mp4"]);
+    assert.deepStrictEqual(tablet.last("queue"), queue);
+
+    env.avplay.addMedia("http://cdn.example.com/extra.mp4", {duration: 30000});
+    env.clock.tick(121000);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.strictEqual(env.phone.status().media.title, "Extra");
+    assert.strictEqual(tablet.last("queue").currentItemId, queue.items[1].itemId);
+
+    env.phone.send("queueMode", {repeat: "one", requestId: "m"});
+    assert.strictEqual(env.phone.last("ack").result.repeat, "one");
+    env.clock.tick(31000);
+    assert.strictEqual(env.phone.status().media.title, "Extra");
+
+    env.phone.send("previous", {requestId: "p"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").result.url, movies[0].url);
+
+    env.phone.send("queueRemove", {itemIds: [999], requestId: "r"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+    env.phone.send("queueClear", {});
+    late = env.connectSender({name: "late"});
+    assert.deepStrictEqual(late.last("queue").items, []);
+});
+
+test("external subtitles of catalog videos and load messages are rendered in sync", function () {
+    var env = setup(),
+        overlay = env.document.getElementById("subtitles"),
+        srtUrl = "http://cdn.example.com/trailer.fr.srt";
+
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1000);
+    assert.deepStrictEqual(env.phone.status().textTracks, [
+        {id: "external-0", source: "external", language: "en", label: "English"}
+    ]);
+    // fields set to null are removed from status by delta updates
+    assert.ok(!env.phone.status().textTrack);
+
+    env.phone.send("textTrack", {trackId: "external-0", requestId: "t1"});
+    env.clock.tick(1000);
+    assert.deepStrictEqual(env.phone.last("ack").result, {textTrack: "external-0"});
+    assert.strictEqual(overlay.textContent, "Big Buck Bunny");
+    env.clock.tick(5000);
+    assert.strictEqual(overlay.textContent, "[birds chirping]");
+
+    env.phone.send("textTrack", {requestId: "off"});
+    assert.strictEqual(overlay.style.display, "none");
+    env.clock.tick(500);
+    assert.ok(!env.phone.status().textTrack);
+
+    env.avplay.addMedia("http://cdn.example.com/trailer.mp4", {duration: 60000});
+    env.serve(srtUrl, "1\n00:00:00,000 --> 00:00:10,000\nBonjour\n");
+    env.phone.send("load", {url: "http://cdn.example.com/trailer.mp4", subtitles: [{url: srtUrl, language: "fr"}]});
+    env.clock.tick(1000);
+    env.phone.send("textTrack", {trackId: "external-0", requestId: "t2"});
+    env.clock.tick(1000);
+    assert.strictEqual(overlay.textContent, "Bonjour");
+
+    env.phone.send("textTrack", {trackId: "external-5", requestId: "t3"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+});
+
+test("embedded text tracks are rendered from avplay subtitle events", function () {
+    var env = setup(),
+        overlay = env.document.getElementById("subtitles"),
+        url = "http://cdn.example.com/embedded.mp4";
+
+    env.avplay.addMedia(url, {duration: 60000, tracks: [
+        {index: 0, type: "VIDEO", extra_info: "{}"},
+        {index: 1, type: "TEXT", extra_info: "{\"track_lang\":\"de\"}"}
+    ]});
+    env.phone.send("load", {url: url});
+    env.clock.tick(1000);
+    env.avplay.emitSubtitle("ignored", 1000);
+    assert.strictEqual(overlay.textContent, "");
+
+    env.phone.send("textTrack", {trackId: "embedded-1", requestId: "e"});
+    assert.strictEqual(env.phone.last("ack").requestId, "e");
+    env.avplay.emitSubtitle("Guten Tag", 1000);
+    assert.strictEqual(overlay.textContent, "Guten Tag");
+    env.clock.tick(1000);
+    assert.strictEqual(overlay.style.display, "none");
+});
+
+test("audio and video tracks are published, selected by senders and by language preferences", function () {
+    var env = setup(),
+        url = "http://cdn.example.com/multilingual.mp4";
+
+    env.avplay.addMedia(url, {duration: 60000, tracks: [
+        {index: 0, type: "VIDEO", extra_info: "{\"fourCC\":\"H264\",\"Width\":\"1920\",\"Height\":\"1080\",\"Bit_rate\":\"4000000\"}"},
+        {index: 1, type: "AUDIO", extra_info: "{\"language\":\"eng\",\"fourCC\":\"AAC\",\"channels\":\"2\"}"},
+        {index: 2, type: "AUDIO", extra_info: "{\"language\":\"fr-CA\",\"fourCC\":\"AC3\",\"channels\":\"6\"}"}
+    ]});
+    env.phone.send("load", {url: url});
+    env.clock.tick(1500);
+    assert.deepStrictEqual(env.phone.status().audioTracks[1], {
+        index: 2, language: "fr-CA", codec: "AC3", channels: 6, width: 0, height: 0, bitrate: 0
+    });
+    assert.strictEqual(env.phone.status().videoTracks[0].bitrate, 4000000);
+    assert.strictEqual(env.phone.status().audioTrack, 1);
+
+    env.phone.send("selectTrack", {type: "audio", index: 2, requestId: "s1"});
+    assert.deepStrictEqual(env.phone.last("ack").result, {audioTrack: 2});
+    env.phone.send("selectTrack", {type: "audio", index: 0, requestId: "s2"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+
+    env.phone.send("preferences", {audioLanguage: "fr", requestId: "p"});
+    env.phone.send("load", {url: url});
+    env.clock.tick(1500);
+    assert.strictEqual(env.phone.status().audioTrack, 2);
+    env.phone.send("preferences", {audioLanguage: "en", textLanguage: "en", requestId: "p2"});
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1500);
+    assert.strictEqual(env.phone.status().textTrack, "external-0");
+});
+
+test("protected catalog videos get licenses from their license servers", function () {
+    var catalog = JSON.parse(JSON.stringify(movies)),
+        env,
+        playReady,
+        widevine;
+
+    catalog[1].drm = {
+        type: "playready",
+        licenseServer: "https://license.example.com/playready",
+        headers: {"X-Tenant": "tv"},
+        customData: "catalog-token"
+    };
+    catalog[2].drm = {type: "widevine", licenseServer: "https://license.example.com/widevine"};
+    env = setup(catalog);
+    playReady = env.addLicenseServer(catalog[1].drm.licenseServer, {headers: {"X-Tenant": "tv"}, customData: "catalog-token"});
+    widevine = env.addLicenseServer(catalog[2].drm.licenseServer, {headers: {Authorization: "Bearer user-1"}});
+    env.avplay.addMedia(catalog[1].url, {duration: 120000, drm: "PLAYREADY"});
+    env.avplay.addMedia(catalog[2].url, {duration: 120000, drm: "WIDEVINE_CDM"});
+
+    env.phone.send("play", {videoId: catalog[1].id, requestId: "pr"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").requestId, "pr");
+    assert.strictEqual(playReady.requests.length, 1);
+    // license details stay on the TV
+    assert.ok(!env.phone.status().media.drm);
+
+    env.phone.send("play", {videoId: catalog[2].id, requestId: "wv1"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("nack").error.code, 6002);
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+
+    env.phone.send("play", {videoId: catalog[2].id, requestId: "wv2", data: {drm: {headers: {Authorization: "Bearer user-1"}}}});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").requestId, "wv2");
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.strictEqual(widevine.requests[1].body, "challenge:" + catalog[2].url);
+});
+
+test("DRM failures are reported with distinct error codes", function () {
+    var env = setup(),
+        url = "https://license.example.com/rightsmanager",
+        server = env.addLicenseServer(url, {policy: "expired"});
+
+    function playWith(drm) {
+        env.phone.send("play", {videoId: movies[0].id, requestId: "d", data: drm ? {drm: drm} : undefined});
+        env.clock.tick(1000);
+        return env.phone.last("nack").error.code;
+    }
+
+    env.avplay.addMedia(movies[0].url, {duration: 120000, drm: "PLAYREADY"});
+    assert.strictEqual(playWith(null), 6003);
+    assert.strictEqual(playWith({type: "fairplay", licenseServer: url}), 6001);
+    assert.strictEqual(env.phone.last("error").code, 6001);
+    assert.strictEqual(env.avplay.getState(), "NONE");
+    assert.strictEqual(playWith({type: "playready", licenseServer: url}), 6004);
+
+    env.addLicenseServer(url, {policy: "not-permitted"});
+    assert.strictEqual(playWith({type: "playready", licenseServer: url}), 6005);
+
+    env.avplay.addMedia(movies[0].url, {duration: 120000, drm: "WIDEVINE_CDM"});
+    env.addLicenseServer(url).online = false;
+    assert.strictEqual(playWith({type: "widevine", licenseServer: url}), 6002);
+    assert.strictEqual(server.requests.length, 1);
+});
+
+test("streaming profiles of catalog entries configure the player and bandwidth is reported", function () {
+    var catalog = JSON.parse(JSON.stringify(movies)),
+        env;
+
+    function calls(method) {
+        return env.avplay.calls.filter(function (call) {
+            return call.method === method;
+        }).map(function (call) {
+            return call.args;
+        });
+    }
+
+    catalog[3].streaming = {
+        protocol: "dash",
+        minBitrate: 1000000,
+        maxBitrate: 3000000,
+        startBitrate: 1500000,
+        playBuffer: 4,
+        resumeBuffer: 8,
+        prebuffer: 2000
+    };
+    catalog[2].streaming = {protocol: "hls", maxBitrate: 2000000, startBitrate: "HIGHEST"};
+    env = setup(catalog);
+    env.avplay.addMedia(catalog[3].url, {duration: 120000, bitrates: [500000, 1500000, 3000000, 6000000], bandwidth: 4000000});
+
+    env.phone.send("play", {videoId: catalog[3].id});
+    env.clock.tick(1500);
+    assert.deepStrictEqual(calls("setStreamingProperty"), [
+        ["ADAPTIVE_INFO", "BITRATES=1000000~3000000|STARTBITRATE=1500000"],
+        ["PREBUFFER_MODE", "2000"]
+    ]);
+    assert.deepStrictEqual(calls("setBufferingParam"), [
+        ["PLAYER_BUFFER_FOR_PLAY", "PLAYER_BUFFER_SIZE_IN_SECOND", 4],
+        ["PLAYER_BUFFER_FOR_RESUME", "PLAYER_BUFFER_SIZE_IN_SECOND", 8]
+    ]);
+    assert.strictEqual(env.phone.status().bandwidth, 4000000);
+    assert.strictEqual(env.phone.status().bitrate, 3000000);
+
+    env.avplay.setBandwidth(catalog[3].url, 2000000);
+    env.clock.tick(500);
+    assert.strictEqual(env.phone.status().bitrate, 1500000);
+
+    // keywords are Smooth Streaming only, progressive streams report no bandwidth
+    env.phone.send("play", {videoId: catalog[2].id});
+    env.clock.tick(1500);
+    assert.deepStrictEqual(calls("setStreamingProperty").pop(), ["ADAPTIVE_INFO", "BITRATES=0~2000000"]);
+    assert.ok(!env.phone.status().bandwidth);
+});
+
+test("sender pins a rendition, it survives seek and reclaim and goes back to auto", function () {
+    var env = setup(),
+        movie = movies[3],
+        states;
+
+    function adaptiveInfo() {
+        return env.avplay.calls.filter(function (call) {
+            return call.method === "setStreamingProperty" && call.args[0] === "ADAPTIVE_INFO";
+        }).map(function (call) {
+            return call.args[1];
+        });
+    }
+
+    env.avplay.addMedia(movie.url, {duration: 120000, bitrates: [1500000, 500000, 3000000]});
+    env.phone.send("play", {videoId: movie.id});
+    env.clock.tick(1500);
+    assert.deepStrictEqual(env.phone.status().renditions, [500000, 1500000, 3000000]);
+    assert.strictEqual(env.phone.status().quality, "auto");
+    assert.strictEqual(env.phone.status().bitrate, 3000000);
+
+    env.phone.send("setQuality", {bitrate: 700000, requestId: "q0"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+
+    // stream is reopened without becoming idle, the request is acknowledged once it plays again
+    states = env.recordEvents("player:statechange");
+    env.phone.send("setQuality", {bitrate: 500000, requestId: "q1"});
+    assert.strictEqual(env.phone.last("ack"), undefined);
+    env.clock.tick(1500);
+    assert.deepStrictEqual(env.phone.last("ack").result, {quality: 500000});
+    assert.deepStrictEqual(states.map(function (detail) {
+        return detail.state;
+    }), ["loading", "playing"]);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.ok(env.avplay.getCurrentTime() >= 1000);
+    assert.strictEqual(env.phone.status().quality, 500000);
+    assert.strictEqual(env.phone.status().bitrate, 500000);
+
+    env.phone.send("seek", {position: 60000, requestId: "s"});
+    env.clock.tick(500);
+    assert.strictEqual(env.phone.status().bitrate, 500000);
+
+    env.phone.send("reclaim");
+    assert.strictEqual(env.phone.last("play").data.quality, 500000);
+    env.phone.send("play", {videoId: movies[0].id});
+    env.clock.tick(1500);
+    env.phone.send("play", {videoId: movie.id, position: 60000, data: {quality: 500000}});
+    env.clock.tick(1500);
+    assert.strictEqual(env.phone.status().quality, 500000);
+    assert.strictEqual(adaptiveInfo().pop(), "BITRATES=500000~500000|STARTBITRATE=500000");
+
+    env.phone.send("setQuality", {requestId: "q2"});
+    env.clock.tick(1500);
+    assert.deepStrictEqual(env.phone.last("ack").result, {quality: "auto"});
+    assert.strictEqual(env.phone.status().quality, "auto");
+    assert.strictEqual(env.phone.status().bitrate, 3000000);
+});
+
+test("stopped videos are continued from the saved position or started over", function () {
+    var env = setup(),
+        movie = movies[1],
+        saved;
+
+    function prompt() {
+        return env.document.getElementById("resume-prompt");
+    }
+
+    env.phone.send("play", {videoId: movie.id, position: 0});
+    env.clock.tick(30000);
+    env.phone.send("keydown", {keycode: "Back"});
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    assert.strictEqual(env.document.getElementById("continue-watching").style.display, "block");
+    assert.strictEqual(env.document.querySelectorAll("#continue-list li").length, 1);
+    assert.strictEqual(env.document.querySelector("#continue-list li").dataset.videoid, String(movie.id));
+    saved = JSON.parse(env.window.localStorage.getItem("tvApp.resumePositions"))[movie.id];
+    assert.ok(saved.position >= 28000 && saved.position <= 30000);
+    assert.strictEqual(saved.totalTime, 120000);
+
+    // play without position asks first, the request doesn't wait for the choice
+    env.phone.send("play", {videoId: movie.id, requestId: "r"});
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(env.phone.last("ack").result)), {
+        resumePrompt: {videoId: String(movie.id), position: saved.position, totalTime: 120000}
+    });
+    assert.strictEqual(prompt().style.display, "block");
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    env.clock.tick(500);
+    assert.strictEqual(env.phone.status().resumePrompt.position, saved.position);
+
+    env.phone.send("keydown", {keycode: "Enter"});
+    env.clock.tick(1000);
+    assert.strictEqual(prompt().style.display, "none");
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.ok(env.avplay.getCurrentTime() >= saved.position);
+    assert.strictEqual(env.phone.status().resumePrompt, undefined);
+
+    // position is saved when the application goes to background
+    env.clock.tick(20000);
+    env.document.setHidden(true);
+    assert.ok(JSON.parse(env.window.localStorage.getItem("tvApp.resumePositions"))[movie.id].position >= saved.position + 19000);
+    env.document.setHidden(false);
+
+    env.phone.send("keydown", {keycode: "Back"});
+    env.phone.send("keydown", {keycode: "Enter"});
+    assert.strictEqual(prompt().style.display, "block");
+    env.phone.send("keydown", {keycode: "ArrowRight"});
+    assert.ok(env.document.querySelector("#resume-prompt .start-over").classList.contains("focused"));
+    env.phone.send("keydown", {keycode: "Enter"});
+    env.clock.tick(1000);
+    assert.ok(env.avplay.getCurrentTime() < 5000);
+
+    // watched video isn't offered anymore
+    env.clock.tick(121000);
+    assert.strictEqual(env.phone.last("streamCompleted").videoId, String(movie.id));
+    assert.strictEqual(env.document.querySelectorAll("#continue-list li").length, 0);
+    assert.strictEqual(env.document.getElementById("continue-watching").style.display, "none");
+    env.phone.send("play", {videoId: movie.id, requestId: "again"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.last("ack").result.url, movie.url);
+});
+
+test("up next card counts down to the next catalog video unless Return cancels it", function () {
+    var env = setup(),
+        card = env.document.getElementById("up-next"),
+        upNext;
+
+    env.phone.send("play", {videoId: movies[0].id, position: 100000});
+    env.clock.tick(1000);
+    assert.notStrictEqual(card.style.display, "block");
+    env.clock.tick(10000);
+    assert.strictEqual(card.style.display, "block");
+    assert.strictEqual(card.querySelector(".up-next-title").textContent, movies[1].title);
+    upNext = env.phone.last("upNext");
+    assert.strictEqual(upNext.videoId, String(movies[0].id));
+    assert.strictEqual(upNext.media.url, movies[1].url);
+    assert.strictEqual(upNext.cancelled, false);
+    assert.ok(upNext.countdown > 0 && upNext.countdown <= 10);
+    assert.strictEqual(card.querySelector(".up-next-countdown").textContent, String(upNext.countdown));
+
+    env.clock.tick(10000);
+    assert.deepStrictEqual(env.phone.last("streamCompleted"), {videoId: String(movies[0].id), next: String(movies[1].id)});
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.strictEqual(env.phone.status().media.url, movies[1].url);
+    assert.strictEqual(card.style.display, "none");
+
+    env.phone.send("seek", {position: 115000, requestId: "s"});
+    env.clock.tick(500);
+    assert.strictEqual(card.style.display, "block");
+    env.phone.send("keydown", {keycode: "Back"});
+    assert.strictEqual(card.style.display, "none");
+    assert.strictEqual(env.phone.last("upNext").countdown, null);
+    assert.strictEqual(env.phone.last("upNext").cancelled, true);
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "block");
+
+    env.clock.tick(6000);
+    assert.deepStrictEqual(env.phone.last("streamCompleted"), {videoId: String(movies[1].id), next: null});
+    assert.strictEqual(env.avplay.getState(), "IDLE");
+    assert.strictEqual(env.document.getElementById("video-player").style.display, "none");
+});
+
+/**
+ * Builds BIF file with an image every 10 seconds.
+ * @param {Array} images - image contents, strings
+ * @returns {Buffer}
+ */
+function makeBif(images) {
+    var header = Buffer.alloc(64),
+        index = Buffer.alloc((images.length + 1) * 8),
+        offset = header.length + index.length;
+
+    Buffer.from([0x89, 0x42, 0x49, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+    header.writeUInt32LE(images.length, 12);
+    header.writeUInt32LE(1000, 16);
+    images.forEach(function (image, i) {
+        index.writeUInt32LE(i * 10, i * 8);
+        index.writeUInt32LE(offset, i * 8 + 4);
+        offset += image.length;
+    });
+    index.writeUInt32LE(0xffffffff, images.length * 8);
+    index.writeUInt32LE(offset, images.length * 8 + 4);
+    return Buffer.concat([header, index, Buffer.from(images.join(""), "binary")]);
+}
+
+test("trick-play thumbnails are previewed during FF/REW and scrubbing and sent to senders", function () {
+    var catalog = JSON.parse(JSON.stringify(movies)),
+        preview,
+        env,
+        position,
+        thumbnail;
+
+    catalog[0].thumbnails = {type: "sprite", url: "thumbs/0.jpg", interval: 10000, width: 160, height: 90, columns: 5};
+    catalog[1].thumbnails = {type: "bif", url: "thumbs/1.bif"};
+    env = setup(catalog);
+    env.serve("thumbs/1.bif", makeBif(["first", "second", "third"]));
+    preview = env.document.querySelector(".trick-play");
+
+    env.phone.send("play", {videoId: catalog[0].id, position: 0});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().thumbnails, true);
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    env.clock.tick(2500);
+    assert.strictEqual(preview.style.display, "block");
+    position = env.avplay.getCurrentTime();
+    assert.ok(position > 10000);
+    assert.strictEqual(preview.querySelector(".trick-play-time").textContent, env.window.tvApp.player.getCurrentTime(position));
+    assert.strictEqual(preview.querySelector(".trick-play-image").style.backgroundPosition,
+        -(Math.floor(position / 10000) % 5) * 160 + "px 0px");
+    env.phone.send("keydown", {keycode: "MediaPlay"});
+    assert.strictEqual(preview.style.display, "none");
+
+    env.phone.send("thumbnail", {position: 65000, requestId: "t1"});
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(env.phone.last("ack").result)), {
+        position: 65000, time: 60000, url: "thumbs/0.jpg", x: 160, y: 90, width: 160, height: 90
+    });
+
+    env.phone.send("scrubStart", {});
+    env.phone.send("scrub", {position: 30000});
+    assert.strictEqual(preview.style.display, "block");
+    assert.strictEqual(preview.querySelector(".trick-play-image").style.backgroundPosition, "-480px 0px");
+    env.phone.send("scrubEnd", {cancel: true});
+    assert.strictEqual(preview.style.display, "none");
+
+    env.phone.send("play", {videoId: catalog[1].id, position: 0});
+    env.phone.send("thumbnail", {position: 15000, requestId: "early"});
+    assert.strictEqual(env.phone.last("nack").error.code, 409);
+    env.clock.tick(1000);
+    env.phone.send("thumbnail", {position: 15000, requestId: "t2"});
+    thumbnail = env.phone.last("ack").result;
+    assert.strictEqual(thumbnail.time, 10000);
+    assert.strictEqual(thumbnail.url, "data:image/jpeg;base64," + Buffer.from("second").toString("base64"));
+
+    env.phone.send("play", {videoId: catalog[2].id, position: 0});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().thumbnails, false);
+    env.phone.send("thumbnail", {position: 15000, requestId: "t3"});
+    assert.strictEqual(env.phone.last("nack").error.code, 404);
+    assert.strictEqual(env.phone.last("nack").error.message, "No thumbnails");
+});
+
+test("FF/REW step through trick speeds, simulated when the stream can't play at the speed", function () {
+    var env = setup(),
+        player,
+        label,
+        position;
+
+    env.avplay.addMedia(movies[1].url, {duration: 120000, speeds: [1, 2]});
+    player = env.window.tvApp.player;
+    label = env.document.querySelector(".video-controls .speed");
+
+    env.phone.send("play", {videoId: movies[0].id, position: 60000});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().speed, 1);
+    [2, 4, 8, 16, 16].forEach(function (speed) {
+        env.phone.send("keydown", {keycode: "MediaFastForward"});
+        assert.strictEqual(player.getSpeed(), speed);
+    });
+    assert.strictEqual(label.style.display, "inline-block");
+    assert.strictEqual(label.querySelector(".speed-value").textContent, "16x");
+    position = env.avplay.getCurrentTime();
+    env.clock.tick(500);
+    assert.strictEqual(env.avplay.getCurrentTime(), position + 8000);
+    assert.strictEqual(env.phone.status().speed, 16);
+
+    env.phone.send("keydown", {keycode: "MediaRewind"});
+    assert.strictEqual(player.getSpeed(), -2);
+    assert.ok(label.querySelector(".fa").classList.contains("fa-backward"));
+    env.phone.send("keydown", {keycode: "MediaPlay"});
+    assert.strictEqual(player.getSpeed(), 1);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.strictEqual(label.style.display, "none");
+
+    //rewinding plays at normal speed from the start
+    [1, 2, 3, 4].forEach(function () {
+        env.phone.send("keydown", {keycode: "MediaRewind"});
+    });
+    env.clock.tick(10000);
+    assert.strictEqual(env.phone.status().speed, 1);
+    assert.strictEqual(env.phone.status().state, "PLAYING");
+    assert.ok(env.avplay.getCurrentTime() < 10000);
+
+    env.phone.send("play", {videoId: movies[1].id, position: 30000});
+    env.clock.tick(1000);
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    assert.strictEqual(player.getSpeed(), 4);
+    assert.strictEqual(env.avplay.getState(), "PAUSED");
+    position = env.avplay.getCurrentTime();
+    env.clock.tick(1000);
+    assert.strictEqual(env.window.tvApp.stateObj.scrubPosition, position + 4000);
+    assert.strictEqual(env.avplay.getCurrentTime(), position);
+
+    env.phone.send("pause", {requestId: "pause"});
+    env.clock.tick(0);
+    assert.strictEqual(env.phone.last("ack").result.state, "PAUSED");
+    assert.strictEqual(env.avplay.getCurrentTime(), position + 4000);
+    env.clock.tick(500);
+    assert.strictEqual(env.phone.status().speed, 1);
+    assert.strictEqual(env.phone.status().scrubPosition, undefined);
+
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    env.phone.send("resume", {requestId: "resume"});
+    assert.strictEqual(env.phone.last("ack").result.state, "PLAYING");
+    assert.strictEqual(player.getSpeed(), 1);
+});
+
+test("senders change playback rate of streams that support it", function () {
+    var env = setup(),
+        position;
+
+    env.avplay.addMedia(movies[0].url, {duration: 120000, speeds: [0.5, 1, 1.5, 2]});
+
+    env.phone.send("setPlaybackRate", {rate: 1.5, requestId: "early"});
+    assert.strictEqual(env.phone.last("nack").error.code, 409);
+
+    env.phone.send("play", {videoId: movies[0].id, position: 0});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().playbackRate, 1);
+    env.phone.send("setPlaybackRate", {rate: 1.5, requestId: "r1"});
+    assert.deepStrictEqual(env.phone.last("ack"), {requestId: "r1", event: "setPlaybackRate", result: {playbackRate: 1.5}});
+    position = env.avplay.getCurrentTime();
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.getCurrentTime(), position + 1500);
+    assert.strictEqual(env.phone.status().playbackRate, 1.5);
+
+    env.phone.send("setPlaybackRate", {rate: 3, requestId: "r3"});
+    assert.strictEqual(env.phone.last("nack").error.code, 400);
+
+    //unsupported rate leaves trick play going, trick play returns to the chosen rate
+    env.phone.send("keydown", {keycode: "MediaFastForward"});
+    env.phone.send("setPlaybackRate", {rate: 0.75, requestId: "r2"});
+    assert.strictEqual(env.phone.last("nack").error.code, 415);
+    assert.strictEqual(env.phone.last("nack").error.message, "Playback rate not supported by the stream");
+    assert.strictEqual(env.window.tvApp.player.getPlaybackRate(), 1.5);
+    assert.strictEqual(env.window.tvApp.player.getSpeed(), 2);
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().speed, 2);
+    assert.strictEqual(env.phone.status().playbackRate, 1.5);
+    env.phone.send("keydown", {keycode: "MediaPlay"});
+    position = env.avplay.getCurrentTime();
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.getCurrentTime(), position + 1500);
+
+    env.phone.send("play", {videoId: movies[1].id, position: 0});
+    env.clock.tick(1000);
+    assert.strictEqual(env.phone.status().playbackRate, 1);
+    env.phone.send("setPlaybackRate", {rate: 0.5, requestId: "r4"});
+    assert.strictEqual(env.phone.last("nack").error.code, 415);
+});
+
+test("player state machine drives controls and status, play pressed while loading is ignored", function () {
+    var env = setup(),
+        last = movies[movies.length - 1],
+        icon = env.document.querySelector(".play-pause"),
+        states = [];
+
+    env.document.addEventListener("player:statechange", function (e) {
+        states.push(e.detail.state);
+    });
+
+    env.phone.send("play", {videoId: last.id, position: 0});
+    assert.strictEqual(env.window.tvApp.playerState.get(), "loading");
+    assert.ok(env.document.querySelector(".loader").classList.contains("active"));
+    env.phone.send("keydown", {keycode: "MediaPlay"});
+    env.clock.tick(1000);
+    assert.strictEqual(env.avplay.calls.filter(function (call) {
+        return call.method === "open";
+    }).length, 1);
+    assert.strictEqual(env.avplay.getState(), "PLAYING");
+    assert.ok(icon.classList.contains("fa-pause"));
+    assert.ok(!env.document.querySelector(".loader").classList.contains("active"));
+
+    env.phone.send("keydown", {keycode: "MediaPlayPause"});
+    assert.ok(icon.classList.contains("fa-play"));
+    assert.strictEqual(env.phone.status().state, "PAUSED");
+    env.phone.send("seek", {position: 30000, requestId: "s1"});
+    env.clock.tick(0);
+    assert.strictEqual(env.window.tvApp.playerState.get(), "paused");
+    env.phone.send("keydown", {keycode: "MediaPlayPause"});
+    assert.ok(icon.classList.contains("fa-pause"));
+
+    env.clock.tick(100000);
+    assert.deepStrictEqual(Array.from(states), ["loading", "playing", "paused", "seeking", "paused", "playing", "ended", "idle"]);
+    assert.strictEqual(env.phone.status().state, "IDLE");
+});
@@ -0,0 +1,502 @@
+/**
+ * @file FastCast protocol tests
+ * @description Message flows between simulated senders and FastCast alone, without the application.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    createEnvironment = require("./harness/environment.js").createEnvironment;
+
+/**
+ * Creates environment with FastCast connected to the channel.
+ * @param {Object} [connectOptions] - FastCast.connect attributes
+ * @param {number} [maximumClients] - FastCast.connect client limit
+ * @returns {Object} environment with FastCast property
+ */
+function setup(connectOptions, maximumClients) {
+    var env = createEnvironment({scripts: ["js/fastcastTransport.js", "js/fastcast.js"], page: false}),
+        FastCast = env.window.FastCast;
+
+    FastCast.init("com.samsung.MultiScreenPlayer", env.document, function () {
+        FastCast.connect(connectOptions || {}, maximumClients);
+    });
+    env.clock.tick(0);
+    env.FastCast = FastCast;
+    return env;
+}
+
+test("handshake: hello, capabilities and negotiated version", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        hello = phone.last("hello");
+
+    assert.strictEqual(phone.received("ready").length, 1);
+    assert.strictEqual(hello.role, "owner");
+    assert.strictEqual(hello.version, env.FastCast.PROTOCOL_VERSION);
+    assert.ok(hello.messages.indexOf("capabilities") !== -1);
+
+    phone.send("capabilities", {version: 1});
+    assert.deepStrictEqual(phone.last("negotiated"), {version: 1});
+    assert.strictEqual(env.FastCast.getClientVersion(phone.id), 1);
+});
+
+test("messages newer than negotiated version are rejected with 501", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "legacy phone"});
+
+    phone.send("statusRequest", {requestId: 7});
+    assert.strictEqual(phone.last("nack").requestId, 7);
+    assert.strictEqual(phone.last("nack").error.code, 501);
+});
+
+test("invalid payloads are answered with 400 and never reach the application", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        seeks = env.recordEvents("ms2:seek");
+
+    phone.send("seek", {position: -5, requestId: "a"});
+    phone.send("seek", "{not json");
+    assert.strictEqual(phone.last("nack").error.code, 400);
+    assert.strictEqual(phone.last("nack").error.field, "position");
+    assert.strictEqual(phone.last("error").code, 400);
+    assert.strictEqual(seeks.length, 0);
+});
+
+test("deferred commands are acknowledged by the application or time out with 504", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        seeks = env.recordEvents("ms2:seek");
+
+    phone.send("seek", {position: 1000, requestId: "s1"});
+    assert.strictEqual(seeks[0].requestId, "s1");
+    assert.strictEqual(seeks[0].clientId, phone.id);
+    env.FastCast.ack(phone.id, "s1", {position: 1000});
+    assert.deepStrictEqual(phone.last("ack"), {requestId: "s1", event: "seek", result: {position: 1000}});
+
+    phone.send("seek", {position: 2000, requestId: "s2"});
+    env.clock.tick(15000);
+    assert.strictEqual(phone.last("nack").requestId, "s2");
+    assert.strictEqual(phone.last("nack").error.code, 504);
+});
+
+test("play of video with id 0 reaches the application", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        plays = env.recordEvents("ms2:play");
+
+    phone.send("play", {videoId: 0, position: 0, requestId: "zero"});
+    assert.strictEqual(plays.length, 1);
+    assert.strictEqual(plays[0].videoId, 0);
+    assert.strictEqual(phone.last("nack"), undefined);
+});
+
+test("senders may use the same request id, each request is settled for its own sender", function () {
+    var env = setup({}, 2),
+        phone = env.connectSender({name: "phone"}),
+        tablet = env.connectSender({name: "tablet"}),
+        seeks = env.recordEvents("ms2:seek");
+
+    phone.send("seek", {position: 1000, requestId: 1});
+    tablet.send("seek", {position: 2000, requestId: 1});
+    assert.deepStrictEqual(seeks.map(function (detail) {
+        return [detail.clientId, detail.requestId];
+    }), [[phone.id, 1], [tablet.id, 1]]);
+
+    assert.strictEqual(env.FastCast.nack(tablet.id, 1, env.FastCast.error.SEEK_FAILED), true);
+    assert.strictEqual(tablet.last("nack").requestId, 1);
+    assert.strictEqual(phone.last("nack"), undefined);
+    assert.strictEqual(env.FastCast.ack(phone.id, 1, {position: 1000}), true);
+    assert.deepStrictEqual(phone.last("ack").result, {position: 1000});
+    assert.strictEqual(tablet.last("ack"), undefined);
+    assert.strictEqual(env.FastCast.ack(tablet.id, 1), false);
+});
+
+test("roles: controllers can't change volume, extra senders wait as viewers", function () {
+    var env = setup({}, 2),
+        owner = env.connectSender({name: "owner"}),
+        controller = env.connectSender({name: "controller"}),
+        viewer = env.connectSender({name: "viewer"});
+
+    assert.strictEqual(env.FastCast.getRole(owner.id), "owner");
+    assert.strictEqual(env.FastCast.getRole(controller.id), "controller");
+    assert.strictEqual(env.FastCast.getRole(viewer.id), "viewer");
+    assert.strictEqual(viewer.last("error").code, 403);
+
+    controller.send("volume", {value: 5, requestId: 1});
+    assert.strictEqual(controller.last("nack").error.code, 403);
+
+    controller.disconnect();
+    env.clock.tick(30000);
+    assert.strictEqual(env.FastCast.getRole(viewer.id), "controller");
+    assert.deepStrictEqual(viewer.last("role"), {role: "controller"});
+});
+
+test("pairing: commands need the PIN shown on the TV", function () {
+    var env = setup({pairing: true}),
+        pins = [],
+        phone;
+
+    env.FastCast.onPairingRequest(function (client, pin) {
+        pins.push(pin);
+    });
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    assert.strictEqual(phone.last("pairingRequired").pinLength, 4);
+
+    phone.send("capabilities", {version: 2});
+    phone.send("seek", {position: 10, requestId: 1});
+    assert.strictEqual(phone.last("nack").error.code, 401);
+
+    phone.send("pair", {pin: pins[0] === "0000" ? "1111" : "0000", requestId: 2});
+    assert.strictEqual(phone.last("nack").error.code, 401);
+    phone.send("pair", {pin: pins[0], requestId: 3});
+    assert.strictEqual(phone.received("paired").length, 1);
+
+    // paired devices skip the prompt
+    phone.disconnect();
+    env.clock.tick(30000);
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    assert.strictEqual(phone.received("pairingRequired").length, 0);
+});
+
+test("pairing: client running out of renewed PINs is locked out, also across reconnection", function () {
+    var env = setup({pairing: true}),
+        pins = [],
+        ended = [],
+        phone,
+        i;
+
+    env.FastCast.onPairingRequest(function (client, pin) {
+        pins.push(pin);
+    });
+    env.FastCast.onPairingEnd(function (client, paired) {
+        ended.push(paired);
+    });
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    phone.send("capabilities", {version: 2});
+
+    // first PIN and two renewed ones, three wrong attempts each
+    for (i = 0; i < 9; i += 1) {
+        phone.send("pair", {pin: pins[pins.length - 1] === "0000" ? "1111" : "0000"});
+    }
+    assert.strictEqual(pins.length, 3);
+    assert.deepStrictEqual(ended, [false]);
+    assert.strictEqual(phone.last("pairingRequired").retryAfter, 60000);
+
+    phone.send("pair", {pin: pins[2], requestId: 1});
+    assert.strictEqual(phone.last("nack").error.code, 429);
+    phone.disconnect();
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    phone.send("capabilities", {version: 2});
+    assert.strictEqual(pins.length, 3);
+    assert.strictEqual(phone.last("pairingRequired").attempts, 0);
+
+    env.clock.tick(60000);
+    assert.strictEqual(pins.length, 4);
+    assert.strictEqual(phone.last("pairingRequired").attempts, 3);
+    phone.send("pair", {pin: pins[3]});
+    assert.strictEqual(phone.received("paired").length, 1);
+});
+
+test("session resumption keeps the role after a short disconnect", function () {
+    var env = setup({}, 2),
+        owner = env.connectSender({name: "owner"}),
+        token = owner.last("session").token,
+        other = env.connectSender({name: "other"}),
+        back;
+
+    owner.disconnect();
+    env.clock.tick(10000);
+    assert.strictEqual(env.FastCast.getRole(other.id), "controller");
+
+    back = env.connectSender({name: "owner", sessionToken: token});
+    assert.strictEqual(env.FastCast.getRole(back.id), "owner");
+    assert.strictEqual(back.last("resumed").role, "owner");
+    assert.notStrictEqual(back.last("session").token, token);
+});
+
+test("session resumption keeps a viewer's place in the waiting line", function () {
+    var env = setup({}, 2),
+        owner = env.connectSender({name: "owner"}),
+        controller = env.connectSender({name: "controller"}),
+        viewer = env.connectSender({name: "viewer"}),
+        token = viewer.last("session").token,
+        later = env.connectSender({name: "later"}),
+        back;
+
+    viewer.disconnect();
+    env.clock.tick(10000);
+    back = env.connectSender({name: "viewer", sessionToken: token});
+    assert.strictEqual(back.last("resumed").role, "viewer");
+    assert.strictEqual(env.FastCast.getRole(later.id), "viewer");
+
+    controller.disconnect();
+    env.clock.tick(30000);
+    assert.strictEqual(env.FastCast.getRole(back.id), "controller");
+    assert.strictEqual(env.FastCast.getRole(later.id), "viewer");
+    assert.strictEqual(env.FastCast.getRole(viewer.id), null);
+});
+
+test("status: throttled, delta-encoded for current senders and full for legacy ones", function () {
+    var env = setup(),
+        modern = env.connectSender({name: "modern"}),
+        legacy = env.connectSender({name: "legacy"}),
+        status = {state: "PLAYING", position: 0, totalTime: 60000, volume: 10, videoId: 1};
+
+    modern.send("capabilities", {version: 2});
+    env.FastCast.status(status);
+    assert.strictEqual(modern.last("status").seq, 1);
+
+    status.position = 500;
+    env.FastCast.status(status);
+    status.position = 1000;
+    env.FastCast.status(status);
+    assert.strictEqual(modern.received("statusDelta").length, 0);
+
+    env.clock.tick(500);
+    assert.deepStrictEqual(modern.last("statusDelta"), {seq: 2, changes: {position: 1000}});
+    assert.strictEqual(legacy.last("status").position, 1000);
+
+    status.state = "PAUSED";
+    env.FastCast.status(status);
+    assert.deepStrictEqual(modern.last("statusDelta").changes, {state: "PAUSED"});
+
+    modern.send("statusRequest", {});
+    assert.strictEqual(modern.last("status").state, "PAUSED");
+});
+
+test("status: legacy senders get avplay states in place of the states added in version 2", function () {
+    var env = setup(),
+        modern = env.connectSender({name: "modern"}),
+        legacy = env.connectSender({name: "legacy"});
+
+    modern.send("capabilities", {version: 2});
+    [
+        ["LOADING", "READY"], ["PLAYING", "PLAYING"], ["BUFFERING", "PLAYING"], ["PAUSED", "PAUSED"],
+        ["SEEKING", "PAUSED"], ["BUFFERING", "PAUSED"], ["ENDED", "IDLE"], ["ERROR", "IDLE"], ["IDLE", "IDLE"]
+    ].forEach(function (states) {
+        env.document.dispatchEvent(new env.window.CustomEvent("player:statechange", {detail: {state: states[0].toLowerCase()}}));
+        env.FastCast.status({state: states[0], position: 0, totalTime: 60000, volume: 10, videoId: 1});
+        assert.strictEqual(modern.status().state, states[0]);
+        assert.strictEqual(legacy.last("status").state, states[1]);
+    });
+
+    // keyframes too
+    env.clock.tick(10000);
+    env.FastCast.status({state: "LOADING", position: 0, totalTime: 60000, volume: 10, videoId: 2});
+    assert.strictEqual(modern.last("status").state, "LOADING");
+    assert.strictEqual(legacy.last("status").state, "READY");
+});
+
+test("custom messages are validated against their schema", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        greetings = [];
+
+    env.FastCast.on("greet", function (msg) {
+        greetings.push(JSON.parse(msg).name);
+    }, {name: {type: "string", required: true}});
+
+    phone.send("greet", {name: 5});
+    phone.send("greet", {name: "TV"});
+    assert.deepStrictEqual(greetings, ["TV"]);
+    assert.strictEqual(phone.last("error").code, 400);
+});
+
+test("instances created with FastCast.create are independent", function () {
+    var env = setup(),
+        chat = env.FastCast.create(),
+        chatBus = new env.window.EventTarget(),
+        mediaSeeks = env.recordEvents("ms2:seek"),
+        chatSeeks = [],
+        phone,
+        chatPhone,
+        chatMessages = [];
+
+    chat.init("com.samsung.MultiScreenChat", chatBus, function () {
+        chat.on("message", function (msg) {
+            chatMessages.push(JSON.parse(msg).text);
+        });
+        chat.connect({name: "TV chat"}, 5);
+    });
+    env.clock.tick(0);
+    chatBus.addEventListener("ms2:seek", function (e) {
+        chatSeeks.push(e.detail.position);
+    });
+
+    phone = env.connectSender({name: "phone"});
+    env.connectSender({name: "tablet"}, "com.samsung.MultiScreenChat");
+    chatPhone = env.connectSender({name: "phone"}, "com.samsung.MultiScreenChat");
+
+    assert.strictEqual(env.FastCast.getRole(phone.id), "owner");
+    assert.strictEqual(chat.getRole(chatPhone.id), "controller");
+    assert.strictEqual(env.FastCast.getRole(chatPhone.id), null);
+
+    chatPhone.send("message", {text: "hi"});
+    chatPhone.send("seek", {position: 100});
+    phone.send("message", {text: "lost"});
+    assert.deepStrictEqual(chatMessages, ["hi"]);
+    assert.deepStrictEqual(chatSeeks, [100]);
+    assert.strictEqual(mediaSeeks.length, 0);
+    assert.strictEqual(phone.received("hello").length, 1);
+    assert.strictEqual(chatPhone.received("hello").length, 1);
+});
+
+test("transport commands need negotiated version 2 and reach the application as ms2 events", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        pauses = env.recordEvents("ms2:pause");
+
+    phone.send("pause", {requestId: 1});
+    assert.strictEqual(phone.last("nack").error.code, 501);
+
+    phone.send("capabilities", {version: 2});
+    phone.send("pause", {requestId: 2});
+    assert.deepStrictEqual(pauses.map(function (detail) {
+        return detail.requestId;
+    }), [2]);
+});
+
+test("seek forwards relative offsets, scrub sessions belong to a single sender", function () {
+    var env = setup({}, 2),
+        phone = env.connectSender({name: "phone"}),
+        tablet = env.connectSender({name: "tablet"}),
+        seeks = env.recordEvents("ms2:seek"),
+        scrubEnds = env.recordEvents("ms2:scrubEnd");
+
+    phone.send("seek", {offset: -10000});
+    phone.send("seek", {position: 0});
+    phone.send("seek", {requestId: "none"});
+    assert.deepStrictEqual(seeks.map(function (detail) {
+        return [detail.position, detail.offset];
+    }), [[undefined, -10000], [0, undefined]]);
+    assert.strictEqual(phone.last("nack").error.code, 400);
+
+    phone.send("capabilities", {version: 2});
+    tablet.send("capabilities", {version: 2});
+    tablet.send("scrub", {position: 100, requestId: 1});
+    assert.strictEqual(tablet.last("nack").error.code, 409);
+
+    phone.send("scrubStart", {requestId: 2});
+    tablet.send("scrubStart", {requestId: 3});
+    assert.strictEqual(phone.last("ack").requestId, 2);
+    assert.strictEqual(tablet.last("nack").error.code, 409);
+
+    phone.disconnect();
+    assert.strictEqual(scrubEnds.length, 1);
+    assert.strictEqual(scrubEnds[0].cancel, true);
+    tablet.send("scrubStart", {requestId: 4});
+    assert.strictEqual(tablet.last("ack").requestId, 4);
+});
+
+test("scrub session needs an active player and is cancelled when the stream stops", function () {
+    var env = setup({}, 2),
+        phone = env.connectSender({name: "phone"}),
+        tablet = env.connectSender({name: "tablet"}),
+        scrubStarts = env.recordEvents("ms2:scrubStart"),
+        scrubEnds = env.recordEvents("ms2:scrubEnd");
+
+    function setPlayerState(state) {
+        env.document.dispatchEvent(new env.window.CustomEvent("player:statechange", {detail: {state: state}}));
+    }
+
+    phone.send("capabilities", {version: 2});
+    tablet.send("capabilities", {version: 2});
+    setPlayerState("loading");
+    phone.send("scrubStart", {});
+    assert.strictEqual(phone.last("error").code, 409);
+    assert.strictEqual(scrubStarts.length, 0);
+
+    setPlayerState("playing");
+    phone.send("scrubStart", {});
+    assert.strictEqual(scrubStarts.length, 1);
+    setPlayerState("idle");
+    assert.strictEqual(scrubEnds.length, 1);
+    assert.strictEqual(scrubEnds[0].cancel, true);
+
+    setPlayerState("playing");
+    tablet.send("scrubStart", {requestId: 1});
+    assert.strictEqual(tablet.last("ack").requestId, 1);
+});
+
+test("load needs a url and reaches the application with the media description", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        loads = env.recordEvents("ms2:load");
+
+    phone.send("capabilities", {version: 2});
+    phone.send("load", {title: "No url", requestId: 1});
+    assert.strictEqual(phone.last("nack").error.field, "url");
+
+    phone.send("load", {url: "http://example.com/a.m3u8", title: "A", customData: {id: 1}, position: 5, requestId: 2});
+    assert.strictEqual(loads.length, 1);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(loads[0])), {
+        media: {url: "http://example.com/a.m3u8", title: "A", customData: {id: 1}},
+        position: 5,
+        requestId: 2,
+        clientId: phone.id
+    });
+    assert.strictEqual(env.FastCast.getVideoId(), -1);
+});
+
+test("queue commands check their items and published queue reaches late senders", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        adds = env.recordEvents("ms2:queueAdd"),
+        late;
+
+    phone.send("capabilities", {version: 2});
+    phone.send("queueAdd", {items: [{title: "no url"}], requestId: 1});
+    assert.strictEqual(phone.last("nack").error.field, "items");
+    phone.send("queueMode", {repeat: "sometimes", requestId: 2});
+    assert.strictEqual(phone.last("nack").error.field, "repeat");
+
+    phone.send("queueAdd", {items: [{videoId: 1}, {url: "http://example.com/a.mp4"}], play: true, requestId: 3});
+    assert.strictEqual(adds.length, 1);
+    assert.strictEqual(adds[0].play, true);
+    assert.strictEqual(adds[0].items.length, 2);
+
+    env.FastCast.queue({items: [], currentItemId: null, repeat: "all", shuffle: false});
+    assert.strictEqual(phone.last("queue").repeat, "all");
+    late = env.connectSender({name: "late"});
+    assert.strictEqual(late.last("queue").repeat, "all");
+});
+
+test("preferences are kept per device and selectTrack reaches the application", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone", deviceId: "phone-1"}),
+        selects = env.recordEvents("ms2:selectTrack");
+
+    phone.send("capabilities", {version: 2});
+    phone.send("selectTrack", {type: "text", index: 1, requestId: 1});
+    assert.strictEqual(phone.last("nack").error.field, "type");
+    phone.send("selectTrack", {type: "audio", index: 2, requestId: 2});
+    assert.strictEqual(selects[0].type, "audio");
+    assert.strictEqual(selects[0].index, 2);
+
+    phone.send("preferences", {audioLanguage: "fr", requestId: 3});
+    phone.send("preferences", {textLanguage: "off", requestId: 4});
+    assert.deepStrictEqual(phone.last("ack").result, {audioLanguage: "fr", textLanguage: "off"});
+    // owner's preferences are used when client isn't given
+    assert.strictEqual(env.FastCast.getPreferences().textLanguage, "off");
+
+    phone.disconnect();
+    env.clock.tick(30000);
+    phone = env.connectSender({name: "phone", deviceId: "phone-1"});
+    assert.strictEqual(env.FastCast.getPreferences(phone.id).audioLanguage, "fr");
+});
+
+test("setQuality takes a positive bitrate or none for auto quality", function () {
+    var env = setup(),
+        phone = env.connectSender({name: "phone"}),
+        qualities = env.recordEvents("ms2:setQuality");
+
+    phone.send("capabilities", {version: 2});
+    phone.send("setQuality", {bitrate: 0, requestId: 1});
+    assert.strictEqual(phone.last("nack").error.field, "bitrate");
+    phone.send("setQuality", {bitrate: 500000, requestId: 2});
+    phone.send("setQuality", {requestId: 3});
+    assert.deepStrictEqual(qualities.map(function (detail) {
+        return detail.bitrate;
+    }), [500000, null]);
+});
@@ -0,0 +1,141 @@
+/**
+ * @file Harness tests
+ * @description Checks that the stand-ins behave like the TV APIs the application relies on.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    Clock = require("./harness/clock.js"),
+    createWebapis = require("./harness/fakeAvplay.js").createWebapis,
+    createTizen = require("./harness/fakeTizen.js").createTizen,
+    createLicenseServer = require("./harness/licenseServer.js").createLicenseServer;
+
+test("avplay follows NONE/IDLE/READY/PLAYING/PAUSED state machine", function () {
+    var clock = Clock(),
+        avplay = createWebapis(clock).avplay,
+        prepared = false;
+
+    avplay.addMedia("movie.mp4", {duration: 2000});
+    assert.throws(function () {
+        avplay.play();
+    }, {name: "InvalidStateError"});
+
+    avplay.open("movie.mp4");
+    assert.strictEqual(avplay.getState(), "IDLE");
+    avplay.prepareAsync(function () {
+        prepared = true;
+    });
+    clock.tick(100);
+    assert.ok(prepared);
+    assert.strictEqual(avplay.getState(), "READY");
+    assert.strictEqual(avplay.getDuration(), 2000);
+
+    avplay.play();
+    avplay.pause();
+    assert.strictEqual(avplay.getState(), "PAUSED");
+    avplay.play();
+    avplay.stop();
+    assert.strictEqual(avplay.getState(), "IDLE");
+    avplay.close();
+    assert.strictEqual(avplay.getState(), "NONE");
+});
+
+test("avplay reports playback time and completion through the listener", function () {
+    var clock = Clock(),
+        avplay = createWebapis(clock).avplay,
+        times = [],
+        completed = 0;
+
+    avplay.addMedia("movie.mp4", {duration: 1500});
+    avplay.open("movie.mp4");
+    avplay.setListener({
+        oncurrentplaytime: function (time) {
+            times.push(time);
+        },
+        onstreamcompleted: function () {
+            completed += 1;
+        }
+    });
+    avplay.prepare();
+    avplay.play();
+    clock.tick(5000);
+    assert.deepStrictEqual(times, [500, 1000, 1500]);
+    assert.strictEqual(completed, 1);
+});
+
+test("avplay fails to prepare unknown streams and rejects positions out of range", function () {
+    var clock = Clock(),
+        avplay = createWebapis(clock).avplay,
+        error = null;
+
+    avplay.open("offline.mp4");
+    avplay.prepareAsync(function () {}, function (e) {
+        error = e;
+    });
+    clock.tick(1000);
+    assert.strictEqual(error.name, "PLAYER_ERROR_CONNECTION_FAILED");
+    assert.strictEqual(avplay.getState(), "IDLE");
+
+    avplay.addMedia("movie.mp4", {duration: 1000});
+    avplay.close();
+    avplay.open("movie.mp4");
+    avplay.prepare();
+    assert.throws(function () {
+        avplay.seekTo(5000);
+    }, {name: "InvalidValuesError"});
+});
+
+test("tizen stand-in keeps volume, mute and registered keys", function () {
+    var tizen = createTizen({volume: 20}),
+        changes = [];
+
+    tizen.tvaudiocontrol.setVolumeChangeListener(function (volume) {
+        changes.push(volume);
+    });
+    tizen.tvaudiocontrol.setVolumeUp();
+    tizen.tvaudiocontrol.setVolume(50);
+    tizen.tvaudiocontrol.setMute(true);
+    assert.deepStrictEqual(changes, [21, 50]);
+    assert.strictEqual(tizen.tvaudiocontrol.isMute(), true);
+    assert.throws(function () {
+        tizen.tvaudiocontrol.setVolume(101);
+    }, {name: "InvalidValuesError"});
+
+    tizen.tvinputdevice.registerKey("MediaPlay");
+    assert.deepStrictEqual(tizen.tvinputdevice.registeredKeys, ["MediaPlay"]);
+    assert.strictEqual(tizen.tvinputdevice.getKey("MediaPlay").code, 415);
+    assert.throws(function () {
+        tizen.tvinputdevice.registerKey("Enter");
+    }, {name: "InvalidValuesError"});
+});
+
+test("avplay prepares protected streams only with license of the configured server", function () {
+    var clock = Clock(),
+        servers = {"https://license.example.com": createLicenseServer({customData: "token"})},
+        avplay = createWebapis(clock, {licenseServers: servers}).avplay,
+        errors = [],
+        prepared = 0;
+
+    function prepare(properties) {
+        avplay.open("protected.mp4");
+        if (properties) {
+            avplay.setDrm("PLAYREADY", "SetProperties", JSON.stringify(properties));
+        }
+        avplay.prepareAsync(function () {
+            prepared += 1;
+        }, function (e) {
+            errors.push(e.name);
+        });
+        clock.tick(100);
+        avplay.close();
+    }
+
+    avplay.addMedia("protected.mp4", {drm: "PLAYREADY"});
+    prepare(null);
+    prepare({LicenseServer: "https://license.example.com", CustomData: "other"});
+    prepare({LicenseServer: "https://license.example.com", CustomData: "token"});
+    assert.deepStrictEqual(errors, ["PLAYER_ERROR_DRM_NO_LICENSE", "PLAYER_ERROR_DRM_NO_LICENSE"]);
+    assert.strictEqual(prepared, 1);
+    assert.strictEqual(servers["https://license.example.com"].requests.length, 2);
+});
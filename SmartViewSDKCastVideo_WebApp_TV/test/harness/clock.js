@@ -0,0 +1,113 @@
+/**
+ * @file Fake clock
+ * @description Deterministic replacement for setTimeout, setInterval and Date.now.
+ * Time moves only when tick is called, so tests never wait for real timers
+ * (FastCast keeps 15 s request and 30 s session timers).
+ */
+'use strict';
+
+/**
+ * Creates fake clock.
+ * @param {number} [start] - initial time in miliseconds
+ * @returns {Object}
+ */
+function Clock(start) {
+    var now = start || Date.UTC(2016, 2, 3),
+        lastId = 0,
+        timers = [];
+
+    function schedule(callback, delay, args, interval) {
+        lastId += 1;
+        timers.push({
+            id: lastId,
+            at: now + Math.max(0, delay || 0),
+            interval: interval ? Math.max(1, delay || 0) : 0,
+            callback: callback,
+            args: args
+        });
+        return lastId;
+    }
+
+    function cancel(id) {
+        timers = timers.filter(function (timer) {
+            return timer.id !== id;
+        });
+    }
+
+    function next(until) {
+        var due = null;
+
+        timers.forEach(function (timer) {
+            if (timer.at <= until && (due === null || timer.at < due.at || (timer.at === due.at && timer.id < due.id))) {
+                due = timer;
+            }
+        });
+        return due;
+    }
+
+    /**
+     * Moves time forward, firing due timers in order.
+     * @param {number} [ms] - time to move forward, 0 runs timers that are already due
+     * @returns {undefined}
+     */
+    function tick(ms) {
+        var until = now + (ms || 0),
+            timer;
+
+        timer = next(until);
+        while (timer !== null) {
+            now = timer.at;
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                cancel(timer.id);
+            }
+            timer.callback.apply(null, timer.args);
+            timer = next(until);
+        }
+        now = until;
+    }
+
+    /**
+     * Creates Date constructor bound to the clock.
+     * @returns {function}
+     */
+    function createDate() {
+        function FakeDate() {
+            var args = Array.prototype.slice.call(arguments);
+
+            if (args.length === 0) {
+                return new Date(now);
+            }
+            return new (Function.prototype.bind.apply(Date, [null].concat(args)))();
+        }
+        FakeDate.now = function () {
+            return now;
+        };
+        FakeDate.UTC = Date.UTC;
+        FakeDate.parse = Date.parse;
+        FakeDate.prototype = Date.prototype;
+        return FakeDate;
+    }
+
+    return {
+        setTimeout: function (callback, delay) {
+            return schedule(callback, delay, Array.prototype.slice.call(arguments, 2), false);
+        },
+        clearTimeout: cancel,
+        setInterval: function (callback, delay) {
+            return schedule(callback, delay, Array.prototype.slice.call(arguments, 2), true);
+        },
+        clearInterval: cancel,
+        now: function () {
+            return now;
+        },
+        pending: function () {
+            return timers.length;
+        },
+        tick: tick,
+        createDate: createDate
+    };
+}
+
+module.exports = Clock;
@@ -0,0 +1,464 @@
+/**
+ * @file Headless environment
+ * @description Runs the application scripts in a vm context with stand-ins for the TV:
+ * fake clock, DOM built from index.html, tizen, webapis and msf (MultiScreen service simulated
+ * with the in-memory FastCast transport). Senders connect with env.connectSender.
+ * XMLHttpRequest reaches only license server stand-ins added with env.addLicenseServer.
+ *
+ * @example
+ * var env = createEnvironment();
+ * env.start();
+ * var phone = env.connectSender({name: "phone"});
+ * phone.send("capabilities", {version: 2});
+ * env.clock.tick(1000);
+ */
+'use strict';
+
+var fs = require("fs"),
+    path = require("path"),
+    vm = require("vm"),
+    nodeCrypto = require("crypto"),
+    Clock = require("./clock.js"),
+    FakeDocument = require("./fakeDom.js").FakeDocument,
+    createTizen = require("./fakeTizen.js").createTizen,
+    createWebapis = require("./fakeAvplay.js").createWebapis,
+    createLicenseServer = require("./licenseServer.js").createLicenseServer,
+    APP_DIR = path.join(__dirname, "..", "..", "SmartViewSDKCastVideo"),
+    CHANNEL_NAME = "com.samsung.MultiScreenPlayer",
+    // libraries replaced by the harness
+    STAND_INS = ["$WEBAPIS/webapis/webapis.js", "libs/jquery.min.js", "libs/msf-2.3.3.min.js", "js/materialize.min.js"];
+
+/**
+ * Returns application scripts in index.html order, without the libraries replaced by the harness.
+ * @returns {Array}
+ */
+function getAppScripts() {
+    var html = fs.readFileSync(path.join(APP_DIR, "index.html"), "utf8"),
+        pattern = /<script[^>]*src=['"]([^'"]+)['"]/g,
+        scripts = [],
+        match = pattern.exec(html);
+
+    while (match !== null) {
+        if (STAND_INS.indexOf(match[1]) === -1) {
+            scripts.push(match[1]);
+        }
+        match = pattern.exec(html);
+    }
+    return scripts;
+}
+
+/**
+ * Creates localStorage stand-in.
+ * @returns {Object}
+ */
+function createStorage() {
+    var items = {};
+
+    return {
+        getItem: function (key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem: function (key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function (key) {
+            delete items[key];
+        },
+        clear: function () {
+            items = {};
+        }
+    };
+}
+
+/**
+ * Creates XMLHttpRequest stand-in answered by license server stand-ins, other urls fail like unreachable hosts.
+ * @param {Object} clock - harness clock
+ * @param {Object} licenseServers - license server stand-ins by url
+ * @param {Object} served - responses added with env.serve by url, answered to GET requests
+ * @returns {Function} constructor
+ */
+function createXMLHttpRequest(clock, licenseServers, served) {
+    function FakeXMLHttpRequest() {
+        this.readyState = 0;
+        this.status = 0;
+        this.response = null;
+        this.responseType = "";
+        this.onload = null;
+        this.onerror = null;
+        this.method = null;
+        this.url = null;
+        this.headers = {};
+    }
+
+    FakeXMLHttpRequest.prototype.open = function (method, url) {
+        this.method = String(method).toUpperCase();
+        this.url = url;
+        this.readyState = 1;
+    };
+
+    FakeXMLHttpRequest.prototype.setRequestHeader = function (name, value) {
+        this.headers[name] = String(value);
+    };
+
+    FakeXMLHttpRequest.prototype.send = function (body) {
+        var xhr = this;
+
+        clock.setTimeout(function () {
+            var server = licenseServers[xhr.url],
+                response = server ? server.handle({
+                    method: xhr.method,
+                    headers: xhr.headers,
+                    body: body === undefined || body === null ? "" : Buffer.from(body).toString("binary")
+                }) : null,
+                bytes;
+
+            if (!server && xhr.method === "GET" && served.hasOwnProperty(xhr.url)) {
+                response = {status: 200, body: served[xhr.url]};
+            }
+
+            xhr.readyState = 4;
+            if (response === null) {
+                if (typeof xhr.onerror === "function") {
+                    xhr.onerror();
+                }
+                return;
+            }
+            xhr.status = response.status;
+            if (xhr.responseType === "arraybuffer") {
+                bytes = Buffer.from(response.body, "binary");
+                xhr.response = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+            } else {
+                xhr.response = response.body;
+            }
+            if (typeof xhr.onload === "function") {
+                xhr.onload();
+            }
+        }, 0);
+    };
+
+    return FakeXMLHttpRequest;
+}
+
+/**
+ * Creates console collecting messages in logs array.
+ * @param {Array} logs - array receiving [level, message] entries
+ * @param {boolean} verbose - whether messages are also printed
+ * @returns {Object}
+ */
+function createConsole(logs, verbose) {
+    var fake = {};
+
+    ["log", "debug", "info", "warn", "error"].forEach(function (level) {
+        fake[level] = function () {
+            var args = Array.prototype.slice.call(arguments);
+
+            logs.push([level, args.map(String).join(" ")]);
+            if (verbose) {
+                console[level].apply(console, args);
+            }
+        };
+    });
+    return fake;
+}
+
+/**
+ * Wraps in-memory transport sender with helpers recording received messages.
+ * @param {Object} sender - sender created by FastCastTransport.memory
+ * @returns {Object}
+ */
+function wrapSender(sender) {
+    var wrapped = {
+        id: sender.id,
+        client: sender.client,
+        messages: [],
+
+        /**
+         * Sends message to the TV, objects are sent as JSON strings like real senders do.
+         * @param {string} event - message name
+         * @param {*} [data] - message data
+         * @returns {undefined}
+         */
+        send: function (event, data) {
+            sender.publish(event, typeof data === "object" && data !== null ? JSON.stringify(data) : data);
+        },
+
+        /**
+         * Returns data of received messages, JSON strings are parsed.
+         * @param {string} event - message name
+         * @returns {Array}
+         */
+        received: function (event) {
+            return wrapped.messages.filter(function (message) {
+                return message.event === event;
+            }).map(function (message) {
+                return message.data;
+            });
+        },
+
+        /**
+         * Returns data of the last received message.
+         * @param {string} event - message name
+         * @returns {*}
+         */
+        last: function (event) {
+            var received = wrapped.received(event);
+
+            return received[received.length - 1];
+        },
+
+        /**
+         * Returns status as seen by the sender: last full status with later statusDelta changes applied.
+         * @returns {Object|null}
+         */
+        status: function () {
+            var view = null;
+
+            wrapped.messages.forEach(function (message) {
+                if (message.event === "status") {
+                    view = JSON.parse(JSON.stringify(message.data));
+                } else if (message.event === "statusDelta" && view !== null) {
+                    Object.keys(message.data.changes).forEach(function (key) {
+                        if (message.data.changes[key] === null) {
+                            delete view[key];
+                        } else {
+                            view[key] = message.data.changes[key];
+                        }
+                    });
+                    view.seq = message.data.seq;
+                }
+            });
+            return view;
+        },
+
+        clear: function () {
+            wrapped.messages.length = 0;
+        },
+
+        on: sender.on,
+        off: sender.off,
+        connect: sender.connect,
+        disconnect: sender.disconnect
+    };
+
+    // sender receives every message, record them all
+    sender.emit = (function (emit) {
+        return function (event, data) {
+            var parsed = data;
+
+            if (typeof data === "string") {
+                try {
+                    parsed = JSON.parse(data);
+                } catch (e) {
+                    parsed = data;
+                }
+            } else if (typeof data === "object" && data !== null) {
+                // copy objects created in the vm context, so that assert.deepStrictEqual works with them
+                parsed = JSON.parse(JSON.stringify(data));
+            }
+            wrapped.messages.push({event: event, data: parsed});
+            emit.apply(null, arguments);
+        };
+    }(sender.emit));
+
+    return wrapped;
+}
+
+/**
+ * Creates headless environment.
+ * @param {Object} [options]
+ * @param {Array} [options.scripts] - scripts to load, relative to the widget directory; all application scripts by default
+ * @param {boolean} [options.page] - whether document body is loaded from index.html, true by default
+ * @param {number} [options.volume] - initial TV volume
+ * @param {boolean} [options.uhd] - whether panel supports UHD
+ * @param {boolean} [options.verbose] - print console output of the application
+ * @returns {Object}
+ */
+function createEnvironment(options) {
+    var clock, document, window, transport = null, logs = [], served = {}, licenseServers = {}, env;
+
+    options = options || {};
+    clock = Clock();
+    document = new FakeDocument();
+    if (options.page !== false) {
+        document.loadPage(fs.readFileSync(path.join(APP_DIR, "index.html"), "utf8"));
+    }
+
+    window = {
+        document: document,
+        tizen: createTizen({volume: options.volume}),
+        webapis: createWebapis(clock, {uhd: options.uhd, licenseServers: licenseServers}),
+        XMLHttpRequest: createXMLHttpRequest(clock, licenseServers, served),
+        atob: atob,
+        btoa: btoa,
+        console: createConsole(logs, options.verbose),
+        setTimeout: clock.setTimeout,
+        clearTimeout: clock.clearTimeout,
+        setInterval: clock.setInterval,
+        clearInterval: clock.clearInterval,
+        Date: clock.createDate(),
+        Event: Event,
+        EventTarget: EventTarget,
+        CustomEvent: CustomEvent,
+        localStorage: createStorage(),
+        crypto: {
+            getRandomValues: function (array) {
+                return nodeCrypto.randomFillSync(array);
+            }
+        },
+        navigator: {onLine: true, userAgent: "SmartViewSDKCastVideo headless harness"},
+        location: {search: "", href: "file:///index.html"},
+        innerWidth: 1920,
+        innerHeight: 1080,
+        getComputedStyle: function (element) {
+            return {display: element.style.display || ""};
+        },
+        jQuery: {
+            /**
+             * Reads files of the widget or responses added with env.serve, other urls fail.
+             * @returns {Object} request with fail method
+             */
+            get: function (url, callback) {
+                var failCallbacks = [];
+
+                clock.setTimeout(function () {
+                    var file = path.join(APP_DIR, url);
+
+                    if (served.hasOwnProperty(url)) {
+                        callback(served[url]);
+                    } else if (!/^[a-z]+:/.test(url) && fs.existsSync(file)) {
+                        callback(fs.readFileSync(file, "utf8"));
+                    } else {
+                        failCallbacks.forEach(function (failCallback) {
+                            failCallback({status: 404});
+                        });
+                    }
+                }, 0);
+                return {
+                    fail: function (failCallback) {
+                        failCallbacks.push(failCallback);
+                        return this;
+                    }
+                };
+            }
+        },
+        msf: {
+            local: function (callback) {
+                clock.setTimeout(function () {
+                    callback(null, {
+                        channel: function (chanName) {
+                            var channel = null;
+
+                            getTransport().open(chanName, function (err, chan) {
+                                channel = chan;
+                            });
+                            return channel;
+                        }
+                    });
+                }, 0);
+            }
+        }
+    };
+    window.window = window;
+    window.self = window;
+    window.$ = window.jQuery;
+    vm.createContext(window);
+
+    function getTransport() {
+        if (transport === null) {
+            transport = window.FastCastTransport.memory();
+        }
+        return transport;
+    }
+
+    /**
+     * Loads script into the environment.
+     * @param {string} file - path relative to the widget directory
+     * @returns {undefined}
+     */
+    function load(file) {
+        var filename = path.join(APP_DIR, file);
+
+        vm.runInContext(fs.readFileSync(filename, "utf8"), window, {filename: filename});
+    }
+
+    (options.scripts || getAppScripts()).forEach(load);
+
+    env = {
+        window: window,
+        document: document,
+        tizen: window.tizen,
+        webapis: window.webapis,
+        avplay: window.webapis.avplay,
+        clock: clock,
+        logs: logs,
+        load: load,
+
+        /**
+         * Runs window.onload of the application and lets asynchronous initialization finish.
+         * @returns {undefined}
+         */
+        start: function () {
+            if (typeof window.onload === "function") {
+                window.onload();
+            }
+            clock.tick(0);
+            clock.tick(0);
+        },
+
+        /**
+         * Connects simulated sender to the channel.
+         * @param {Object} [attributes] - sender attributes, e.g. name, deviceId, sessionToken
+         * @param {string} [chanName] - channel name, application channel by default
+         * @returns {Object} sender
+         */
+        connectSender: function (attributes, chanName) {
+            var sender = wrapSender(getTransport().createClient(chanName || CHANNEL_NAME, attributes || {}));
+
+            sender.connect();
+            return sender;
+        },
+
+        /**
+         * Makes url respond with the body to jQuery.get and XMLHttpRequest GET requests.
+         * @param {string} url - requested url
+         * @param {string|Buffer} body - response body, binary files are given as Buffer
+         * @returns {undefined}
+         */
+        serve: function (url, body) {
+            served[url] = body;
+        },
+
+        /**
+         * Adds license server stand-in answering PlayReady requests of avplay and XMLHttpRequest posts.
+         * @param {string} url - license server url
+         * @param {Object} [options] - createLicenseServer options: required headers and customData, license policy
+         * @returns {Object} license server with requests array and online flag
+         */
+        addLicenseServer: function (url, options) {
+            licenseServers[url] = createLicenseServer(options);
+            return licenseServers[url];
+        },
+
+        /**
+         * Returns data of ms2:* and other events dispatched on document.
+         * @param {string} type - event type
+         * @returns {Array} event details
+         */
+        recordEvents: function (type) {
+            var details = [];
+
+            document.addEventListener(type, function (e) {
+                details.push(e.detail !== undefined ? e.detail : e);
+            });
+            return details;
+        }
+    };
+    return env;
+}
+
+module.exports = {
+    createEnvironment: createEnvironment,
+    getAppScripts: getAppScripts,
+    APP_DIR: APP_DIR,
+    CHANNEL_NAME: CHANNEL_NAME
+};
@@ -0,0 +1,555 @@
+/**
+ * @file Fake webapis
+ * @description Stand-in for webapis.avplay, webapis.productinfo and webapis.network.
+ * avplay follows the AVPlay state machine: NONE -open-> IDLE -prepare-> READY -play-> PLAYING <-pause/play-> PAUSED,
+ * stop returns to IDLE and close to NONE. Methods called in a wrong state throw InvalidStateError.
+ * Playback time moves with the harness clock: while PLAYING, oncurrentplaytime is called every 500 ms
+ * and onstreamcompleted when the end of the stream is reached.
+ * Only urls added with addMedia (harness only) can be prepared, other ones fail like unreachable streams.
+ * Protected media are prepared once a license is acquired: PlayReady ones from the license server stand-in
+ * configured with setDrm, Widevine ones from the license data passed after the ondrmevent challenge.
+ * Adaptive media play the highest rendition within the ADAPTIVE_INFO range that the bandwidth allows.
+ */
+'use strict';
+
+var webApiError = require("./fakeTizen.js").webApiError,
+    TICK = 500,
+    SPEEDS = [-16, -8, -4, -2, 1, 2, 4, 8, 16],
+    DRM_OPERATIONS = {
+        PLAYREADY: ["SetProperties"],
+        WIDEVINE_CDM: ["Initialize", "widevine_license_data"]
+    };
+
+/**
+ * Creates webapis.avplay stand-in.
+ * @param {Object} clock - harness clock
+ * @param {Object} [licenseServers] - license server stand-ins by url
+ * @returns {Object}
+ */
+function createAvplay(clock, licenseServers) {
+    var state = "NONE",
+        media = null,
+        listener = {},
+        position = 0,
+        speed = 1,
+        timer = null,
+        properties = {},
+        selectedTracks = {},
+        silentSubtitle = false,
+        catalog = {},
+        drm = null,
+        // callbacks of preparation waiting for Widevine license data
+        pendingLicense = null,
+        // increased when preparation is cancelled by stop, close or open
+        generation = 0,
+        avplay;
+
+    function log(method, args) {
+        avplay.calls.push({method: method, args: Array.prototype.slice.call(args)});
+    }
+
+    function requireState(method, allowed) {
+        if (allowed.indexOf(state) === -1) {
+            throw webApiError("InvalidStateError", method + " is not allowed in " + state + " state");
+        }
+    }
+
+    function notify(event) {
+        var args = Array.prototype.slice.call(arguments, 1);
+
+        if (typeof listener[event] === "function") {
+            listener[event].apply(listener, args);
+        }
+    }
+
+    function stopClock() {
+        if (timer !== null) {
+            clock.clearInterval(timer);
+            timer = null;
+        }
+    }
+
+    function onTick() {
+        position = Math.max(0, Math.min(media.duration, position + TICK * speed));
+        notify("oncurrentplaytime", position);
+        if (position >= media.duration) {
+            stopClock();
+            notify("onstreamcompleted");
+        }
+    }
+
+    function startClock() {
+        stopClock();
+        timer = clock.setInterval(onTick, TICK);
+    }
+
+    function checkPosition(method, ms) {
+        if (typeof ms !== "number" || isNaN(ms) || ms < 0 || ms > media.duration) {
+            throw webApiError("InvalidValuesError", method + ": position " + ms + " is out of range");
+        }
+    }
+
+    function moveTo(method, ms, successCallback, errorCallback) {
+        requireState(method, ["READY", "PLAYING", "PAUSED"]);
+        try {
+            checkPosition(method, ms);
+        } catch (e) {
+            if (typeof errorCallback === "function") {
+                clock.setTimeout(errorCallback, 0, e);
+                return;
+            }
+            throw e;
+        }
+        position = ms;
+        if (typeof successCallback === "function") {
+            clock.setTimeout(successCallback, 0);
+        }
+    }
+
+    function prepared() {
+        state = "READY";
+        notify("onbufferingstart");
+        notify("onbufferingprogress", 100);
+        notify("onbufferingcomplete");
+    }
+
+    /**
+     * Returns bitrate range and skipped bitrate set with ADAPTIVE_INFO streaming property.
+     * @returns {Object} {min, max, skip}
+     */
+    function adaptiveInfo() {
+        var info = {min: 0, max: Infinity, skip: null};
+
+        String(properties.ADAPTIVE_INFO || "").split("|").forEach(function (part) {
+            var pair = part.split("="),
+                range;
+
+            if (pair[0] === "BITRATES") {
+                range = pair[1].split("~");
+                info.min = Number(range[0]) || 0;
+                info.max = Number(range[1]) || Infinity;
+            } else if (pair[0] === "SKIPBITRATE") {
+                info.skip = Number(pair[1]);
+            }
+        });
+        return info;
+    }
+
+    /**
+     * Returns bitrate of rendition being played, null for progressive media.
+     * @returns {number|null}
+     */
+    function currentBitrate() {
+        var info = adaptiveInfo(),
+            allowed;
+
+        if (!media.bitrates) {
+            return null;
+        }
+        allowed = media.bitrates.filter(function (bitrate) {
+            return bitrate >= info.min && bitrate <= info.max && bitrate !== info.skip;
+        });
+        if (!allowed.length) {
+            allowed = media.bitrates.slice(0, 1);
+        }
+        return allowed.reduce(function (chosen, bitrate) {
+            return bitrate <= media.bandwidth && bitrate > chosen ? bitrate : chosen;
+        }, allowed[0]);
+    }
+
+    /**
+     * Returns name of player error caused by the license, null if license allows playback.
+     * @param {string|null} license - license issued by the license server stand-in
+     * @returns {string|null}
+     */
+    function licenseError(license) {
+        var policy = license ? license.split(":")[1] : null;
+
+        if (policy === "valid") {
+            return null;
+        }
+        if (policy === "expired") {
+            return "PLAYER_ERROR_DRM_EXPIRED";
+        }
+        if (policy === "not-permitted") {
+            return "PLAYER_ERROR_DRM_NOT_PERMITTED";
+        }
+        return "PLAYER_ERROR_DRM_NO_LICENSE";
+    }
+
+    /**
+     * Requests PlayReady license from the server configured with SetProperties.
+     * @returns {string|null} license, null if it can't be acquired
+     */
+    function acquirePlayReadyLicense() {
+        var properties = drm.properties,
+            server = licenseServers && licenseServers[properties.LicenseServer],
+            headers = {},
+            response;
+
+        String(properties.HttpHeader || "").split("\r\n").forEach(function (line) {
+            var separator = line.indexOf(":");
+
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+        if (!server) {
+            return null;
+        }
+        response = server.handle({
+            method: "POST",
+            headers: headers,
+            body: "challenge:" + media.url,
+            customData: properties.CustomData
+        });
+        return response && response.status === 200 ? response.body : null;
+    }
+
+    avplay = {
+        /**
+         * Calls of avplay methods, {method, args} (harness only).
+         */
+        calls: [],
+
+        /**
+         * Makes url playable (harness only).
+         * @param {string} url - stream url
+         * @param {Object} [info]
+         * @param {number} [info.duration] - stream duration in miliseconds, 60 s by default
+         * @param {number} [info.prepareTime] - time prepareAsync takes in miliseconds, 100 ms by default
+         * @param {Array} [info.tracks] - tracks reported by getTotalTrackInfo
+         * @param {string} [info.drm] - DRM protecting the stream, PLAYREADY or WIDEVINE_CDM
+         * @param {Array} [info.bitrates] - bitrates of renditions of adaptive media, in ascending order
+         * @param {number} [info.bandwidth] - network bandwidth in bits per second, 10 Mbps by default
+         * @param {Array} [info.speeds] - speeds setSpeed accepts, all SPEEDS by default, may include rates like 0.5
+         * @returns {undefined}
+         */
+        addMedia: function (url, info) {
+            info = info || {};
+            catalog[url] = {
+                url: url,
+                duration: info.duration || 60000,
+                prepareTime: typeof info.prepareTime === "number" ? info.prepareTime : 100,
+                drm: info.drm || null,
+                bitrates: info.bitrates || null,
+                bandwidth: info.bandwidth || 10000000,
+                speeds: info.speeds || SPEEDS,
+                tracks: info.tracks || [
+                    {index: 0, type: "VIDEO", extra_info: "{\"fourCC\":\"H264\",\"Width\":\"1920\",\"Height\":\"1080\"}"},
+                    {index: 1, type: "AUDIO", extra_info: "{\"language\":\"en\",\"channels\":\"2\"}"}
+                ]
+            };
+        },
+
+        /**
+         * Changes network bandwidth of the media (harness only).
+         * @param {string} url - stream url
+         * @param {number} bandwidth - bandwidth in bits per second
+         * @returns {undefined}
+         */
+        setBandwidth: function (url, bandwidth) {
+            catalog[url].bandwidth = bandwidth;
+        },
+
+        /**
+         * Reports player error through the listener (harness only).
+         * @param {string} type - error type, e.g. PLAYER_ERROR_CONNECTION_FAILED
+         * @returns {undefined}
+         */
+        raiseError: function (type) {
+            stopClock();
+            notify("onerror", type);
+        },
+
+        /**
+         * Reports embedded subtitle through the listener unless subtitles are silent (harness only).
+         * @param {string} text - subtitle text
+         * @param {number} duration - display time in miliseconds
+         * @returns {undefined}
+         */
+        emitSubtitle: function (text, duration) {
+            if (!silentSubtitle) {
+                notify("onsubtitlechange", duration, text, 0, "");
+            }
+        },
+
+        open: function (url) {
+            log("open", arguments);
+            requireState("open", ["NONE", "IDLE"]);
+            media = {url: url, missing: !catalog[url]};
+            if (catalog[url]) {
+                media = catalog[url];
+            }
+            position = 0;
+            speed = 1;
+            properties = {};
+            selectedTracks = {};
+            drm = null;
+            pendingLicense = null;
+            generation += 1;
+            state = "IDLE";
+        },
+        close: function () {
+            log("close", arguments);
+            stopClock();
+            media = null;
+            position = 0;
+            pendingLicense = null;
+            generation += 1;
+            state = "NONE";
+        },
+        prepare: function () {
+            log("prepare", arguments);
+            requireState("prepare", ["IDLE"]);
+            if (media.missing) {
+                throw webApiError("PLAYER_ERROR_CONNECTION_FAILED", "Can't open " + media.url);
+            }
+            if (media.drm) {
+                throw webApiError("PLAYER_ERROR_INVALID_OPERATION", "Protected media are prepared with prepareAsync");
+            }
+            prepared();
+        },
+        prepareAsync: function (successCallback, errorCallback) {
+            var preparing = media,
+                preparation = generation;
+
+            function fail(name) {
+                if (typeof errorCallback === "function") {
+                    errorCallback(webApiError(name, "Can't prepare " + preparing.url));
+                }
+            }
+
+            function finish(license) {
+                var error = licenseError(license);
+
+                if (error !== null) {
+                    fail(error);
+                    return;
+                }
+                prepared();
+                if (typeof successCallback === "function") {
+                    successCallback();
+                }
+            }
+
+            log("prepareAsync", arguments);
+            requireState("prepareAsync", ["IDLE"]);
+            clock.setTimeout(function () {
+                if (media !== preparing || state !== "IDLE" || generation !== preparation) {
+                    return;
+                }
+                if (preparing.missing) {
+                    fail("PLAYER_ERROR_CONNECTION_FAILED");
+                    return;
+                }
+                if (!preparing.drm) {
+                    finish("license:valid:clear");
+                } else if (drm === null || drm.type !== preparing.drm) {
+                    fail("PLAYER_ERROR_DRM_NO_LICENSE");
+                } else if (drm.type === "PLAYREADY") {
+                    finish(acquirePlayReadyLicense());
+                } else {
+                    pendingLicense = finish;
+                    notify("ondrmevent", "WIDEVINE_CDM", {
+                        name: "Challenge",
+                        session_id: String(preparation),
+                        challenge: Buffer.from("challenge:" + preparing.url, "binary").toString("base64")
+                    });
+                }
+            }, preparing.prepareTime || 0);
+        },
+        play: function () {
+            log("play", arguments);
+            requireState("play", ["READY", "PLAYING", "PAUSED"]);
+            state = "PLAYING";
+            startClock();
+        },
+        pause: function () {
+            log("pause", arguments);
+            requireState("pause", ["PLAYING", "PAUSED"]);
+            stopClock();
+            state = "PAUSED";
+        },
+        stop: function () {
+            log("stop", arguments);
+            requireState("stop", ["IDLE", "READY", "PLAYING", "PAUSED"]);
+            stopClock();
+            position = 0;
+            speed = 1;
+            pendingLicense = null;
+            generation += 1;
+            state = "IDLE";
+        },
+        seekTo: function (ms, successCallback, errorCallback) {
+            log("seekTo", arguments);
+            moveTo("seekTo", ms, successCallback, errorCallback);
+        },
+        jumpForward: function (ms, successCallback, errorCallback) {
+            log("jumpForward", arguments);
+            requireState("jumpForward", ["PLAYING", "PAUSED"]);
+            moveTo("jumpForward", Math.min(media.duration, position + ms), successCallback, errorCallback);
+        },
+        jumpBackward: function (ms, successCallback, errorCallback) {
+            log("jumpBackward", arguments);
+            requireState("jumpBackward", ["PLAYING", "PAUSED"]);
+            moveTo("jumpBackward", Math.max(0, position - ms), successCallback, errorCallback);
+        },
+        setSpeed: function (value) {
+            log("setSpeed", arguments);
+            requireState("setSpeed", ["READY", "PLAYING", "PAUSED"]);
+            if (media.speeds.indexOf(value) === -1 && SPEEDS.indexOf(value) === -1) {
+                throw webApiError("InvalidValuesError", "Speed " + value + " is not supported");
+            }
+            if (media.speeds.indexOf(value) === -1) {
+                throw webApiError("NotSupportedError", "Speed " + value + " is not supported by the stream");
+            }
+            speed = value;
+        },
+        getState: function () {
+            return state;
+        },
+        getCurrentTime: function () {
+            return state === "NONE" || state === "IDLE" ? 0 : position;
+        },
+        getDuration: function () {
+            return state === "NONE" || state === "IDLE" ? 0 : media.duration;
+        },
+        setListener: function (newListener) {
+            log("setListener", arguments);
+            listener = newListener || {};
+        },
+        setDisplayRect: function () {
+            log("setDisplayRect", arguments);
+            requireState("setDisplayRect", ["IDLE", "READY", "PLAYING", "PAUSED"]);
+        },
+        setDisplayMethod: function () {
+            log("setDisplayMethod", arguments);
+        },
+        setStreamingProperty: function (name, value) {
+            log("setStreamingProperty", arguments);
+            requireState("setStreamingProperty", ["IDLE"]);
+            properties[name] = value;
+        },
+        getStreamingProperty: function (name) {
+            if (media && media.bitrates && state !== "NONE" && state !== "IDLE") {
+                if (name === "AVAILABLE_BITRATE") {
+                    return media.bitrates.join("|");
+                }
+                if (name === "CURRENT_BANDWIDTH") {
+                    return String(media.bandwidth);
+                }
+            }
+            return properties.hasOwnProperty(name) ? properties[name] : "";
+        },
+        setBufferingParam: function (option, unit, amount) {
+            log("setBufferingParam", arguments);
+            requireState("setBufferingParam", ["IDLE"]);
+            if (["PLAYER_BUFFER_FOR_PLAY", "PLAYER_BUFFER_FOR_RESUME"].indexOf(option) === -1
+                    || ["PLAYER_BUFFER_SIZE_IN_BYTE", "PLAYER_BUFFER_SIZE_IN_SECOND"].indexOf(unit) === -1) {
+                throw webApiError("InvalidValuesError", "Unsupported buffering param " + option + " " + unit);
+            }
+        },
+        getTotalTrackInfo: function () {
+            requireState("getTotalTrackInfo", ["READY", "PLAYING", "PAUSED"]);
+            return media.tracks.slice();
+        },
+        getCurrentStreamInfo: function () {
+            requireState("getCurrentStreamInfo", ["READY", "PLAYING", "PAUSED"]);
+            return ["VIDEO", "AUDIO", "TEXT"].map(function (type) {
+                var tracks = media.tracks.filter(function (track) {
+                    return track.type === type && (selectedTracks[type] === undefined || selectedTracks[type] === track.index);
+                }),
+                    extra;
+
+                if (type === "VIDEO" && tracks[0] && media.bitrates) {
+                    // adaptive media report the rendition being played
+                    extra = JSON.parse(tracks[0].extra_info || "{}");
+                    extra.Bit_rate = String(currentBitrate());
+                    return {index: tracks[0].index, type: type, extra_info: JSON.stringify(extra)};
+                }
+                return tracks[0];
+            }).filter(function (track) {
+                return track !== undefined;
+            });
+        },
+        setSelectTrack: function (type, index) {
+            log("setSelectTrack", arguments);
+            requireState("setSelectTrack", ["READY", "PLAYING", "PAUSED"]);
+            if (!media.tracks.some(function (track) {
+                return track.type === type && track.index === index;
+            })) {
+                throw webApiError("InvalidValuesError", "No " + type + " track " + index);
+            }
+            selectedTracks[type] = index;
+        },
+        setDrm: function (type, operation, param) {
+            var license;
+
+            log("setDrm", arguments);
+            if (DRM_OPERATIONS[type] === undefined || DRM_OPERATIONS[type].indexOf(operation) === -1) {
+                throw webApiError("InvalidValuesError", "Unsupported DRM operation " + type + " " + operation);
+            }
+            if (operation === "widevine_license_data") {
+                if (pendingLicense === null) {
+                    throw webApiError("InvalidStateError", "No license challenge is pending");
+                }
+                license = Buffer.from(JSON.parse(param).ResponseMessage, "base64").toString("binary");
+                clock.setTimeout(pendingLicense, 0, license);
+                pendingLicense = null;
+                return;
+            }
+            requireState("setDrm", ["IDLE"]);
+            drm = {type: type, properties: operation === "SetProperties" ? JSON.parse(param) : {}};
+        },
+        setSilentSubtitle: function (onoff) {
+            log("setSilentSubtitle", arguments);
+            silentSubtitle = !!onoff;
+        },
+        suspend: function () {
+            log("suspend", arguments);
+            stopClock();
+        },
+        restore: function () {
+            log("restore", arguments);
+            if (state === "PLAYING") {
+                startClock();
+            }
+        }
+    };
+
+    return avplay;
+}
+
+/**
+ * Creates webapis object stand-in.
+ * @param {Object} clock - harness clock
+ * @param {Object} [options]
+ * @param {boolean} [options.uhd] - whether panel supports UHD
+ * @param {string} [options.ip] - TV ip address
+ * @param {Object} [options.licenseServers] - license server stand-ins by url
+ * @returns {Object}
+ */
+function createWebapis(clock, options) {
+    options = options || {};
+    return {
+        avplay: createAvplay(clock, options.licenseServers),
+        productinfo: {
+            isUdPanelSupported: function () {
+                return !!options.uhd;
+            },
+            getModel: function () {
+                return "HARNESS";
+            }
+        },
+        network: {
+            getIp: function () {
+                return options.ip || "127.0.0.1";
+            }
+        }
+    };
+}
+
+module.exports = {
+    createWebapis: createWebapis
+};
@@ -0,0 +1,532 @@
+/**
+ * @file Fake DOM
+ * @description Minimal document for running the application scripts off a TV.
+ * Parses well-formed markup (index.html, VideoList items), supports simple selectors
+ * (tag, #id, .class, [attr] and [attr="value"], descendant and child combinators, selector lists),
+ * classList, dataset, style and the legacy document.createEvent API used by FastCast.
+ * There is no layout: offsets and sizes are always 0.
+ */
+'use strict';
+
+var VOID_ELEMENTS = ["area", "base", "br", "col", "hr", "img", "input", "link", "meta", "source", "track", "wbr"],
+    RAW_TEXT_ELEMENTS = ["script", "style"],
+    TOKEN = /<!--[\s\S]*?-->|<!DOCTYPE[^>]*>|<\/([a-zA-Z0-9-]+)\s*>|<([a-zA-Z0-9-]+)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|([^<]+)/gi,
+    ATTRIBUTE = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Converts legacy event created with document.createEvent to DOM Event.
+ * @param {Object} event - event object
+ * @returns {Event}
+ */
+function toEvent(event) {
+    var converted;
+
+    if (event instanceof Event) {
+        return event;
+    }
+    converted = new Event(event.type, {bubbles: event.bubbles, cancelable: event.cancelable});
+    Object.keys(event).forEach(function (key) {
+        if (["type", "bubbles", "cancelable"].indexOf(key) === -1) {
+            converted[key] = event[key];
+        }
+    });
+    return converted;
+}
+
+class FakeNode extends EventTarget {
+    dispatchEvent(event) {
+        return super.dispatchEvent(toEvent(event));
+    }
+}
+
+class FakeNodeList {
+    constructor(nodes) {
+        var list = this;
+
+        nodes.forEach(function (node, index) {
+            list[index] = node;
+        });
+        this.length = nodes.length;
+    }
+
+    get [Symbol.toStringTag]() {
+        return "NodeList";
+    }
+
+    item(index) {
+        return this[index] || null;
+    }
+
+    forEach(callback, thisArg) {
+        Array.prototype.forEach.call(this, callback, thisArg);
+    }
+}
+
+class FakeText {
+    constructor(text) {
+        this.nodeType = 3;
+        this.parentNode = null;
+        this.textContent = text;
+    }
+}
+
+class FakeElement extends FakeNode {
+    constructor(tagName, ownerDocument) {
+        var element;
+
+        super();
+        element = this;
+        this.nodeType = 1;
+        this.tagName = tagName.toUpperCase();
+        this.ownerDocument = ownerDocument || null;
+        this.parentNode = null;
+        this.childNodes = [];
+        this.attributes = {};
+        this.style = {};
+        this.scrollTop = 0;
+        this.offsetTop = 0;
+        this.offsetParent = null;
+        this.classList = {
+            add: function () {
+                var names = element.classNames();
+
+                Array.prototype.forEach.call(arguments, function (name) {
+                    if (names.indexOf(name) === -1) {
+                        names.push(name);
+                    }
+                });
+                element.className = names.join(" ");
+            },
+            remove: function () {
+                var removed = Array.prototype.slice.call(arguments);
+
+                element.className = element.classNames().filter(function (name) {
+                    return removed.indexOf(name) === -1;
+                }).join(" ");
+            },
+            contains: function (name) {
+                return element.classNames().indexOf(name) !== -1;
+            },
+            toggle: function (name, force) {
+                var add = force === undefined ? !this.contains(name) : force;
+
+                if (add) {
+                    this.add(name);
+                } else {
+                    this.remove(name);
+                }
+                return add;
+            }
+        };
+        this.dataset = new Proxy({}, {
+            get: function (target, key) {
+                return element.getAttribute("data-" + String(key).toLowerCase()) || undefined;
+            },
+            set: function (target, key, value) {
+                element.setAttribute("data-" + String(key).toLowerCase(), value);
+                return true;
+            }
+        });
+    }
+
+    get id() {
+        return this.getAttribute("id") || "";
+    }
+
+    set id(value) {
+        this.setAttribute("id", value);
+    }
+
+    get className() {
+        return this.getAttribute("class") || "";
+    }
+
+    set className(value) {
+        this.setAttribute("class", value);
+    }
+
+    get children() {
+        return this.childNodes.filter(function (node) {
+            return node.nodeType === 1;
+        });
+    }
+
+    get firstElementChild() {
+        return this.children[0] || null;
+    }
+
+    get scrollHeight() {
+        return 0;
+    }
+
+    get textContent() {
+        return this.childNodes.map(function (node) {
+            return node.textContent;
+        }).join("");
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(function (node) {
+            node.parentNode = null;
+        });
+        this.childNodes = [];
+        if (value !== "" && value !== null && value !== undefined) {
+            this.appendChild(new FakeText(String(value)));
+        }
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(serialize).join("");
+    }
+
+    set innerHTML(html) {
+        this.textContent = "";
+        parse(String(html), this);
+    }
+
+    classNames() {
+        return this.className.split(/\s+/).filter(function (name) {
+            return name !== "";
+        });
+    }
+
+    getAttribute(name) {
+        name = name.toLowerCase();
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name.toLowerCase()] = String(value);
+    }
+
+    hasAttribute(name) {
+        return this.attributes.hasOwnProperty(name.toLowerCase());
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name.toLowerCase()];
+    }
+
+    appendChild(node) {
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    removeChild(node) {
+        var index = this.childNodes.indexOf(node);
+
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+        }
+        return node;
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    descendants() {
+        var result = [];
+
+        this.children.forEach(function (child) {
+            result.push(child);
+            result = result.concat(child.descendants());
+        });
+        return result;
+    }
+
+    matches(selector) {
+        var element = this;
+
+        return selector.split(",").some(function (single) {
+            return matchesComplex(element, tokenizeSelector(single.trim()));
+        });
+    }
+
+    querySelectorAll(selector) {
+        return new FakeNodeList(this.descendants().filter(function (element) {
+            return element.matches(selector);
+        }));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector).item(0);
+    }
+
+    getElementsByClassName(name) {
+        return this.descendants().filter(function (element) {
+            return element.classList.contains(name);
+        });
+    }
+
+    getElementsByTagName(name) {
+        name = name.toUpperCase();
+        return this.descendants().filter(function (element) {
+            return name === "*" || element.tagName === name;
+        });
+    }
+
+    getBoundingClientRect() {
+        return {top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0};
+    }
+
+    focus() {}
+
+    blur() {}
+}
+
+class FakeDocument extends FakeElement {
+    constructor() {
+        super("#document");
+        this.nodeType = 9;
+        this.ownerDocument = this;
+        this.hidden = false;
+        this.visibilityState = "visible";
+        this.documentElement = this.appendChild(this.createElement("html"));
+        this.head = this.documentElement.appendChild(this.createElement("head"));
+        this.body = this.documentElement.appendChild(this.createElement("body"));
+        this.activeElement = this.body;
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName, this);
+    }
+
+    createTextNode(text) {
+        return new FakeText(text);
+    }
+
+    createEvent() {
+        return {
+            type: "",
+            bubbles: false,
+            cancelable: false,
+            initEvent: function (type, bubbles, cancelable) {
+                this.type = type;
+                this.bubbles = !!bubbles;
+                this.cancelable = !!cancelable;
+            }
+        };
+    }
+
+    getElementById(id) {
+        var found = this.descendants().filter(function (element) {
+            return element.id === id;
+        });
+
+        return found[0] || null;
+    }
+
+    /**
+     * Replaces body content with body of the given page.
+     * @param {string} html - full html document or body markup
+     * @returns {undefined}
+     */
+    loadPage(html) {
+        var body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+
+        this.body.innerHTML = body ? body[1] : html;
+    }
+
+    /**
+     * Changes page visibility and dispatches visibilitychange event (harness only).
+     * @param {boolean} hidden - whether application went to background
+     * @returns {undefined}
+     */
+    setHidden(hidden) {
+        this.hidden = !!hidden;
+        this.visibilityState = hidden ? "hidden" : "visible";
+        this.dispatchEvent(new Event("visibilitychange"));
+    }
+}
+
+/**
+ * Serializes node to markup.
+ * @param {Object} node - element or text node
+ * @returns {string}
+ */
+function serialize(node) {
+    var tag, attributes;
+
+    if (node.nodeType === 3) {
+        return node.textContent;
+    }
+    tag = node.tagName.toLowerCase();
+    attributes = Object.keys(node.attributes).map(function (name) {
+        return " " + name + '="' + node.attributes[name] + '"';
+    }).join("");
+    if (VOID_ELEMENTS.indexOf(tag) !== -1) {
+        return "<" + tag + attributes + " />";
+    }
+    return "<" + tag + attributes + ">" + node.innerHTML + "</" + tag + ">";
+}
+
+/**
+ * Parses markup and appends nodes to the parent element.
+ * @param {string} html - markup
+ * @param {FakeElement} parent - element receiving parsed nodes
+ * @returns {undefined}
+ */
+function parse(html, parent) {
+    var stack = [parent],
+        current = parent,
+        match,
+        element,
+        attribute,
+        closing,
+        end;
+
+    TOKEN.lastIndex = 0;
+    match = TOKEN.exec(html);
+    while (match !== null) {
+        if (match[5] !== undefined) {
+            current.appendChild(new FakeText(match[5]));
+        } else if (match[2] !== undefined) {
+            element = new FakeElement(match[2], parent.ownerDocument);
+            ATTRIBUTE.lastIndex = 0;
+            attribute = ATTRIBUTE.exec(match[3]);
+            while (attribute !== null) {
+                element.setAttribute(attribute[1], attribute[2] !== undefined ? attribute[2] :
+                    attribute[3] !== undefined ? attribute[3] : attribute[4] !== undefined ? attribute[4] : "");
+                attribute = ATTRIBUTE.exec(match[3]);
+            }
+            current.appendChild(element);
+            if (RAW_TEXT_ELEMENTS.indexOf(match[2].toLowerCase()) !== -1) {
+                closing = "</" + match[2].toLowerCase();
+                end = html.toLowerCase().indexOf(closing, TOKEN.lastIndex);
+                end = end === -1 ? html.length : end;
+                if (end > TOKEN.lastIndex) {
+                    element.appendChild(new FakeText(html.substring(TOKEN.lastIndex, end)));
+                }
+                TOKEN.lastIndex = Math.min(html.length, html.indexOf(">", end) + 1 || html.length);
+            } else if (!match[4] && VOID_ELEMENTS.indexOf(match[2].toLowerCase()) === -1) {
+                stack.push(element);
+                current = element;
+            }
+        } else if (match[1] !== undefined) {
+            while (stack.length > 1 && stack[stack.length - 1].tagName !== match[1].toUpperCase()) {
+                stack.pop();
+            }
+            if (stack.length > 1) {
+                stack.pop();
+            }
+            current = stack[stack.length - 1];
+        }
+        match = TOKEN.exec(html);
+    }
+}
+
+/**
+ * Splits selector into compound selectors and combinators.
+ * @param {string} selector - single complex selector
+ * @returns {Array} compounds from left to right, each with combinator preceding it
+ */
+function tokenizeSelector(selector) {
+    var parts = [],
+        combinator = " ",
+        pattern = /\s*>\s*|\s+|(?:[^\s>\[]|\[[^\]]*\])+/g,
+        match = pattern.exec(selector);
+
+    while (match !== null) {
+        if (match[0].trim() === ">") {
+            combinator = ">";
+        } else if (match[0].trim() === "") {
+            combinator = combinator === ">" ? ">" : " ";
+        } else {
+            parts.push({combinator: combinator, compound: parseCompound(match[0])});
+            combinator = " ";
+        }
+        match = pattern.exec(selector);
+    }
+    return parts;
+}
+
+/**
+ * Parses compound selector, e.g. li.navigable[data-videoid="1"].
+ * @param {string} compound - compound selector
+ * @returns {Object}
+ */
+function parseCompound(compound) {
+    var result = {tag: null, id: null, classes: [], attributes: []},
+        pattern = /^[a-zA-Z*][a-zA-Z0-9-]*|#[\w-]+|\.[\w-]+|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+)))?\s*\]/g,
+        match = pattern.exec(compound);
+
+    while (match !== null) {
+        if (match[0].charAt(0) === "#") {
+            result.id = match[0].substring(1);
+        } else if (match[0].charAt(0) === ".") {
+            result.classes.push(match[0].substring(1));
+        } else if (match[0].charAt(0) === "[") {
+            result.attributes.push({
+                name: match[1].toLowerCase(),
+                value: match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4]
+            });
+        } else if (match[0] !== "*") {
+            result.tag = match[0].toUpperCase();
+        }
+        match = pattern.exec(compound);
+    }
+    return result;
+}
+
+function matchesCompound(element, compound) {
+    if (!element || element.nodeType !== 1) {
+        return false;
+    }
+    if (compound.tag && element.tagName !== compound.tag) {
+        return false;
+    }
+    if (compound.id && element.id !== compound.id) {
+        return false;
+    }
+    if (!compound.classes.every(function (name) {
+        return element.classList.contains(name);
+    })) {
+        return false;
+    }
+    return compound.attributes.every(function (attribute) {
+        if (attribute.value === undefined) {
+            return element.hasAttribute(attribute.name);
+        }
+        return element.getAttribute(attribute.name) === attribute.value;
+    });
+}
+
+function matchesComplex(element, parts) {
+    var i = parts.length - 1,
+        part;
+
+    if (!matchesCompound(element, parts[i].compound)) {
+        return false;
+    }
+    for (; i > 0; i -= 1) {
+        part = parts[i];
+        if (part.combinator === ">") {
+            element = element.parentNode;
+            if (!matchesCompound(element, parts[i - 1].compound)) {
+                return false;
+            }
+        } else {
+            element = element.parentNode;
+            while (element && !matchesCompound(element, parts[i - 1].compound)) {
+                element = element.parentNode;
+            }
+            if (!element) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    FakeDocument: FakeDocument,
+    FakeElement: FakeElement
+};
@@ -0,0 +1,204 @@
+/**
+ * @file Fake tizen
+ * @description Stand-in for the parts of the tizen object used by the application:
+ * tvaudiocontrol (volume, mute, volume change listener), tvinputdevice (supported keys and
+ * key registry) and application (current application and app info).
+ * Errors are thrown the way Tizen WebAPI does - objects with name and message.
+ */
+'use strict';
+
+var SUPPORTED_KEYS = [
+    {name: "MediaPlay", code: 415},
+    {name: "MediaPause", code: 19},
+    {name: "MediaPlayPause", code: 10252},
+    {name: "MediaStop", code: 413},
+    {name: "MediaFastForward", code: 417},
+    {name: "MediaRewind", code: 412},
+    {name: "MediaRecord", code: 416},
+    {name: "MediaTrackPrevious", code: 10232},
+    {name: "MediaTrackNext", code: 10233},
+    {name: "VolumeUp", code: 447},
+    {name: "VolumeDown", code: 448},
+    {name: "VolumeMute", code: 449},
+    {name: "ChannelUp", code: 427},
+    {name: "ChannelDown", code: 428},
+    {name: "ColorF0Red", code: 403},
+    {name: "ColorF1Green", code: 404},
+    {name: "ColorF2Yellow", code: 405},
+    {name: "ColorF3Blue", code: 406},
+    {name: "Info", code: 457},
+    {name: "Caption", code: 10221},
+    {name: "Exit", code: 10182},
+    {name: "0", code: 48},
+    {name: "1", code: 49},
+    {name: "2", code: 50},
+    {name: "3", code: 51},
+    {name: "4", code: 52},
+    {name: "5", code: 53},
+    {name: "6", code: 54},
+    {name: "7", code: 55},
+    {name: "8", code: 56},
+    {name: "9", code: 57}
+],
+    // keys delivered without registration
+    MANDATORY_KEYS = [
+        {name: "ArrowLeft", code: 37},
+        {name: "ArrowUp", code: 38},
+        {name: "ArrowRight", code: 39},
+        {name: "ArrowDown", code: 40},
+        {name: "Enter", code: 13},
+        {name: "Back", code: 10009}
+    ];
+
+/**
+ * Creates Tizen WebAPI-like error.
+ * @param {string} name - error name, e.g. InvalidValuesError
+ * @param {string} message - error message
+ * @returns {Error}
+ */
+function webApiError(name, message) {
+    var error = new Error(message);
+
+    error.name = name;
+    return error;
+}
+
+/**
+ * Creates tizen.tvaudiocontrol stand-in.
+ * @param {number} [volume] - initial volume level
+ * @returns {Object}
+ */
+function createAudioControl(volume) {
+    var level = typeof volume === "number" ? volume : 10,
+        mute = false,
+        listener = null;
+
+    function notify() {
+        if (listener) {
+            listener(level);
+        }
+    }
+
+    return {
+        getVolume: function () {
+            return level;
+        },
+        setVolume: function (value) {
+            if (typeof value !== "number" || value % 1 !== 0 || value < 0 || value > 100) {
+                throw webApiError("InvalidValuesError", "Volume must be an integer between 0 and 100");
+            }
+            level = value;
+            notify();
+        },
+        setVolumeUp: function () {
+            level = Math.min(100, level + 1);
+            notify();
+        },
+        setVolumeDown: function () {
+            level = Math.max(0, level - 1);
+            notify();
+        },
+        isMute: function () {
+            return mute;
+        },
+        setMute: function (value) {
+            mute = !!value;
+        },
+        setVolumeChangeListener: function (callback) {
+            listener = callback;
+        },
+        unsetVolumeChangeListener: function () {
+            listener = null;
+        }
+    };
+}
+
+/**
+ * Creates tizen.tvinputdevice stand-in.
+ * registeredKeys lists names of registered keys (harness only).
+ * @returns {Object}
+ */
+function createInputDevice() {
+    var input = {
+        registeredKeys: [],
+        getSupportedKeys: function () {
+            return SUPPORTED_KEYS.concat(MANDATORY_KEYS).map(function (key) {
+                return {name: key.name, code: key.code};
+            });
+        },
+        getKey: function (name) {
+            var keys = this.getSupportedKeys().filter(function (key) {
+                return key.name === name;
+            });
+
+            return keys[0] || null;
+        },
+        registerKey: function (name) {
+            if (!SUPPORTED_KEYS.some(function (key) {
+                return key.name === name;
+            })) {
+                throw webApiError("InvalidValuesError", "Key " + name + " can not be registered");
+            }
+            if (input.registeredKeys.indexOf(name) === -1) {
+                input.registeredKeys.push(name);
+            }
+        },
+        unregisterKey: function (name) {
+            input.registeredKeys = input.registeredKeys.filter(function (registered) {
+                return registered !== name;
+            });
+        }
+    };
+
+    return input;
+}
+
+/**
+ * Creates tizen.application stand-in.
+ * hidden and exited flags tell what the application did (harness only).
+ * @param {string} appId - application id
+ * @returns {Object}
+ */
+function createApplication(appId) {
+    var current = {
+        appInfo: {id: appId},
+        hidden: false,
+        exited: false,
+        hide: function () {
+            current.hidden = true;
+        },
+        exit: function () {
+            current.exited = true;
+        }
+    };
+
+    return {
+        getCurrentApplication: function () {
+            return current;
+        },
+        getAppInfo: function () {
+            return current.appInfo;
+        }
+    };
+}
+
+/**
+ * Creates tizen object stand-in.
+ * @param {Object} [options]
+ * @param {number} [options.volume] - initial volume level
+ * @param {string} [options.appId] - application id
+ * @returns {Object}
+ */
+function createTizen(options) {
+    options = options || {};
+    return {
+        tvaudiocontrol: createAudioControl(options.volume),
+        tvinputdevice: createInputDevice(),
+        application: createApplication(options.appId || "YcKEdWMZve.SmartViewSDKCastVideo")
+    };
+}
+
+module.exports = {
+    createTizen: createTizen,
+    webApiError: webApiError
+};
@@ -0,0 +1,75 @@
+/**
+ * @file License server stand-in
+ * @description Answers DRM license requests locally. PlayReady requests come from the fake avplay,
+ * Widevine ones are posted by the application through the XMLHttpRequest stand-in.
+ * Challenges and licenses are plain strings: a license is "license:<policy>:<challenge>",
+ * where policy tells the fake avplay whether it is valid, expired or not-permitted.
+ */
+'use strict';
+
+/**
+ * Creates license server stand-in.
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - headers every request has to carry, {name: value}
+ * @param {string} [options.customData] - PlayReady custom data every request has to carry
+ * @param {string} [options.policy] - policy of issued licenses: valid (default), expired or not-permitted
+ * @returns {Object}
+ */
+function createLicenseServer(options) {
+    var server;
+
+    options = options || {};
+
+    function authorized(request) {
+        var required = options.headers || {};
+
+        if (options.customData !== undefined && request.customData !== options.customData) {
+            return false;
+        }
+        return Object.keys(required).every(function (name) {
+            return Object.keys(request.headers).some(function (sent) {
+                return sent.toLowerCase() === name.toLowerCase() && request.headers[sent] === required[name];
+            });
+        });
+    }
+
+    server = {
+        /**
+         * Received requests, {method, headers, body, customData}.
+         */
+        requests: [],
+
+        /**
+         * Whether server answers, unreachable server fails requests like a network error.
+         */
+        online: true,
+
+        /**
+         * Answers license request.
+         * @param {Object} request
+         * @param {string} request.method - HTTP method
+         * @param {Object} request.headers - request headers, {name: value}
+         * @param {string} request.body - license challenge
+         * @param {string} [request.customData] - PlayReady custom data
+         * @returns {Object|null} {status, body}, null when server is unreachable
+         */
+        handle: function (request) {
+            server.requests.push(request);
+            if (!server.online) {
+                return null;
+            }
+            if (request.method !== "POST" || !/^challenge:/.test(request.body)) {
+                return {status: 400, body: "Bad challenge"};
+            }
+            if (!authorized(request)) {
+                return {status: 403, body: "Forbidden"};
+            }
+            return {status: 200, body: "license:" + (options.policy || "valid") + ":" + request.body};
+        }
+    };
+    return server;
+}
+
+module.exports = {
+    createLicenseServer: createLicenseServer
+};
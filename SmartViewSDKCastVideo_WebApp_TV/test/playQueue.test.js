@@ -0,0 +1,99 @@
+/**
+ * @file Play queue tests
+ * @description PlayQueue alone: play order, repeat and shuffle modes.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    createEnvironment = require("./harness/environment.js").createEnvironment;
+
+/**
+ * Creates queue with items a, b, c and d.
+ * @returns {Object} queue with states array receiving published states
+ */
+function setup() {
+    var env = createEnvironment({scripts: ["js/playQueue.js"], page: false}),
+        states = [],
+        queue = env.window.PlayQueue(function (state) {
+            states.push(state);
+        });
+
+    queue.add(["a", "b", "c", "d"].map(function (name) {
+        return {url: "http://example.com/" + name + ".mp4", title: name};
+    }));
+    queue.states = states;
+    return queue;
+}
+
+/**
+ * Returns titles of queued items in play order.
+ * @param {Object} queue - PlayQueue
+ * @returns {Array} array of the test realm, so that assert.deepStrictEqual works with it
+ */
+function titles(queue) {
+    return Array.from(queue.getState().items, function (item) {
+        return item.media.title;
+    });
+}
+
+test("items play in order, insert next and reorder change what comes next", function () {
+    var queue = setup();
+
+    assert.strictEqual(queue.next().media.title, "a");
+    queue.setCurrent(queue.next().itemId);
+    queue.insertNext([{url: "http://example.com/x.mp4", title: "x"}]);
+    assert.deepStrictEqual(titles(queue), ["a", "x", "b", "c", "d"]);
+
+    queue.move(queue.getState().items[4].itemId, 1);
+    assert.deepStrictEqual(titles(queue), ["a", "d", "x", "b", "c"]);
+    assert.strictEqual(queue.next().media.title, "d");
+    assert.strictEqual(queue.previous(), null);
+    assert.strictEqual(queue.states[queue.states.length - 1].currentItemId, 1);
+});
+
+test("removing the current item keeps the place in the queue", function () {
+    var queue = setup(),
+        items = queue.getState().items;
+
+    queue.setCurrent(items[1].itemId);
+    queue.remove([items[1].itemId]);
+    assert.strictEqual(queue.getState().currentItemId, null);
+    assert.strictEqual(queue.next().media.title, "c");
+    assert.strictEqual(queue.previous().media.title, "a");
+});
+
+test("repeat one replays completed item, repeat all wraps around", function () {
+    var queue = setup(),
+        items = queue.getState().items;
+
+    queue.setCurrent(items[3].itemId);
+    assert.strictEqual(queue.next(true), null);
+
+    queue.setMode("one");
+    assert.strictEqual(queue.next(true).media.title, "d");
+    assert.strictEqual(queue.next(), null);
+
+    queue.setMode("all");
+    assert.strictEqual(queue.next(true).media.title, "a");
+    queue.setCurrent(items[0].itemId);
+    assert.strictEqual(queue.previous().media.title, "d");
+});
+
+test("shuffle reorders upcoming items only and turning it off restores the order", function () {
+    var queue = setup(),
+        items = queue.getState().items;
+
+    queue.setCurrent(items[1].itemId);
+    queue.setMode(undefined, true);
+    assert.deepStrictEqual(titles(queue).slice(0, 2), ["a", "b"]);
+    assert.deepStrictEqual(titles(queue).slice(2).sort(), ["c", "d"]);
+    assert.strictEqual(queue.getState().shuffle, true);
+
+    queue.add([{url: "http://example.com/e.mp4", title: "e"}]);
+    assert.deepStrictEqual(titles(queue).slice(2).sort(), ["c", "d", "e"]);
+
+    queue.setMode(undefined, false);
+    assert.deepStrictEqual(titles(queue), ["a", "b", "c", "d", "e"]);
+    assert.strictEqual(queue.getState().currentItemId, items[1].itemId);
+});
@@ -0,0 +1,83 @@
+/**
+ * @file Player state tests
+ * @description PlayerState alone: guarded transitions and events emitted on the event bus.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    createEnvironment = require("./harness/environment.js").createEnvironment;
+
+/**
+ * Creates state machine recording events it emits.
+ * @returns {Object} state machine with events array of "type previous->state" strings
+ */
+function setup() {
+    var env = createEnvironment({scripts: ["js/playerState.js"], page: false}),
+        events = [],
+        playerState = env.window.PlayerState(env.document);
+
+    ["player:statechange", "player:playing", "player:ended"].forEach(function (type) {
+        env.document.addEventListener(type, function (e) {
+            events.push(type + " " + e.detail.previous + "->" + e.detail.state);
+        });
+    });
+    playerState.events = events;
+    return playerState;
+}
+
+test("allowed transitions emit typed and statechange events", function () {
+    var playerState = setup();
+
+    assert.strictEqual(playerState.get(), "idle");
+    assert.strictEqual(playerState.set("loading"), true);
+    assert.strictEqual(playerState.set("playing"), true);
+    assert.strictEqual(playerState.set("ended"), true);
+    assert.deepStrictEqual(playerState.events, [
+        "player:statechange idle->loading",
+        "player:playing loading->playing",
+        "player:statechange loading->playing",
+        "player:ended playing->ended",
+        "player:statechange playing->ended"
+    ]);
+    assert.strictEqual(playerState.toStatus(), "ENDED");
+});
+
+test("transitions outside of the table are refused without events", function () {
+    var playerState = setup();
+
+    assert.strictEqual(playerState.set("paused"), false);
+    assert.strictEqual(playerState.set("seeking"), false);
+    playerState.set("loading");
+    playerState.events.length = 0;
+    assert.strictEqual(playerState.set("loading"), true);
+    assert.strictEqual(playerState.set("paused"), false);
+    assert.strictEqual(playerState.set("unknown"), false);
+    assert.strictEqual(playerState.get(), "loading");
+    assert.strictEqual(playerState.isActive(), false);
+    assert.deepStrictEqual(playerState.events, []);
+});
+
+test("buffering and seeking settle to the state playback was in", function () {
+    var playerState = setup();
+
+    playerState.set("loading");
+    playerState.set("playing");
+    playerState.set("paused");
+    playerState.set("seeking");
+    assert.strictEqual(playerState.isActive(), true);
+    assert.strictEqual(playerState.getPlayback(), "paused");
+    assert.strictEqual(playerState.toStatus(), "SEEKING");
+    assert.strictEqual(playerState.toStatus(true), "PAUSED");
+    assert.strictEqual(playerState.settle(), true);
+    assert.strictEqual(playerState.get(), "paused");
+
+    playerState.set("playing");
+    playerState.set("buffering");
+    playerState.settle();
+    assert.strictEqual(playerState.get(), "playing");
+    assert.strictEqual(playerState.settle(), false);
+
+    playerState.set("idle");
+    assert.strictEqual(playerState.getPlayback(), null);
+});
@@ -0,0 +1,63 @@
+/**
+ * @file Subtitles tests
+ * @description WebVTT and SRT parsing of the Subtitles module.
+ */
+'use strict';
+
+var test = require("node:test"),
+    assert = require("node:assert"),
+    createEnvironment = require("./harness/environment.js").createEnvironment;
+
+/**
+ * Parses subtitle file with Subtitles module.
+ * @param {string} text - file content
+ * @returns {Array} cues copied to the test realm
+ */
+function parse(text) {
+    var env = createEnvironment({scripts: ["js/subtitles.js"], page: false}),
+        subtitles = env.window.Subtitles(env.document.createElement("div"));
+
+    return JSON.parse(JSON.stringify(subtitles.parse(text)));
+}
+
+test("WebVTT cues drop header, notes, settings and styling tags", function () {
+    var cues = parse([
+        "WEBVTT - sample",
+        "",
+        "NOTE written by hand",
+        "",
+        "intro",
+        "00:01.000 --> 00:02.500 line:90% align:center",
+        "<i>Hello</i>",
+        "<v Narrator>world",
+        "",
+        "01:00:00.000 --> 01:00:01.000",
+        "Late"
+    ].join("\n"));
+
+    assert.deepStrictEqual(cues, [
+        {start: 1000, end: 2500, text: "Hello\nworld"},
+        {start: 3600000, end: 3601000, text: "Late"}
+    ]);
+});
+
+test("SRT cues are parsed with comma separated miliseconds and CRLF line ends", function () {
+    var cues = parse([
+        "2",
+        "00:00:05,000 --> 00:00:06,000",
+        "Second",
+        "",
+        "1",
+        "00:00:01,250 --> 00:00:02,000",
+        "First",
+        "",
+        "3",
+        "broken --> timing",
+        "Skipped"
+    ].join("\r\n"));
+
+    assert.deepStrictEqual(cues, [
+        {start: 1250, end: 2000, text: "First"},
+        {start: 5000, end: 6000, text: "Second"}
+    ]);
+});